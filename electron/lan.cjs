@@ -0,0 +1,94 @@
+const dgram = require("node:dgram");
+
+/**
+ * Transporte de la sincronía entre metrónomos: mensajes JSON por UDP multicast
+ * en la red local. Varios procesos del mismo equipo comparten el puerto
+ * (reuseAddr) y reciben sus propios mensajes, así que el panel filtra por id.
+ * La lógica de líder y seguidor está en el panel (src/lib/lanSync.js).
+ */
+
+const LAN_GROUP = "239.255.77.77";
+const LAN_PORT = 20808;
+const MAX_MESSAGE_BYTES = 2048;
+const MESSAGE_KINDS = ["state", "ping", "pong"];
+
+// Mensaje recibido como objeto o null; el contenido lo valida el panel.
+function parseLanMessage(buffer) {
+  if (buffer.length > MAX_MESSAGE_BYTES) return null;
+  try {
+    const message = JSON.parse(buffer.toString("utf8"));
+    if (message?.v !== 1 || !MESSAGE_KINDS.includes(message.kind)) return null;
+    if (typeof message.session !== "string" || typeof message.id !== "string") return null;
+    return message;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * configure({ enabled }) une o saca el socket del grupo y resuelve
+ * { listening, error }; send(message) lo difunde a todo el grupo.
+ */
+function createLanSync({ onMessage }) {
+  let socket = null;
+
+  const close = () =>
+    new Promise((resolve) => {
+      if (!socket) return resolve();
+      const closing = socket;
+      socket = null;
+      closing.close(() => resolve());
+    });
+
+  const configure = async ({ enabled }) => {
+    await close();
+    if (!enabled) return { listening: false, error: null };
+    const next = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    next.on("message", (buffer) => {
+      const message = parseLanMessage(buffer);
+      if (message) onMessage(message);
+    });
+    try {
+      await new Promise((resolve, reject) => {
+        next.once("error", reject);
+        next.bind(LAN_PORT, () => {
+          next.off("error", reject);
+          resolve();
+        });
+      });
+      next.addMembership(LAN_GROUP);
+      next.setMulticastLoopback(true);
+      next.setMulticastTTL(1);
+    } catch (error) {
+      next.close();
+      return { listening: false, error: error.code ?? error.message };
+    }
+    next.on("error", () => {});
+    socket = next;
+    return { listening: true, error: null };
+  };
+
+  const send = (message) => {
+    if (!socket) return;
+    const buffer = Buffer.from(JSON.stringify({ ...message, v: 1 }));
+    if (buffer.length <= MAX_MESSAGE_BYTES) socket.send(buffer, LAN_PORT, LAN_GROUP, () => {});
+  };
+
+  return { configure, send, close };
+}
+
+module.exports = { createLanSync, parseLanMessage };
+
+// Pruebas mínimas del transporte (solo en NODE_ENV=test)
+function runSelfTests() {
+  const valid = Buffer.from(JSON.stringify({ v: 1, kind: "ping", session: "ensayo", id: "a", t0: 1 }));
+  console.assert(parseLanMessage(valid)?.t0 === 1, "falló parseLanMessage");
+  console.assert(parseLanMessage(Buffer.from("{")) === null, "falló el JSON no válido");
+  console.assert(
+    parseLanMessage(Buffer.from(JSON.stringify({ v: 2, kind: "ping", session: "", id: "a" }))) === null,
+    "falló la versión del protocolo"
+  );
+}
+if (typeof process !== "undefined" && process.env?.NODE_ENV === "test" && require.main === module) {
+  runSelfTests();
+}
@@ -1,18 +1,71 @@
-const { app, BrowserWindow, Tray, nativeImage, screen } = require("electron");
+const {
+  app,
+  BrowserWindow,
+  Tray,
+  dialog,
+  globalShortcut,
+  ipcMain,
+  Menu,
+  nativeImage,
+  screen,
+} = require("electron");
+const { writeFileSync } = require("node:fs");
+const fs = require("node:fs/promises");
 const path = require("node:path");
+const { createOscServer } = require("./osc.cjs");
+const { createLanSync } = require("./lan.cjs");
+const { createRemoteServer } = require("./remote.cjs");
+const { SHORTCUT_ACTIONS, createGlobalShortcuts } = require("./shortcuts.cjs");
+const { buildTrayMenuTemplate, formatTrayTitle, normalizeTrayState } = require("./tray.cjs");
+const { MODE_OPTIONS, WINDOW_MODES, isOnScreen, normalizeWindowState } = require("./windowState.cjs");
+const { createDocumentStore } = require("./storage.cjs");
 
 let tray = null;
 let panelWindow = null;
 let isQuitting = false;
+// Un diálogo nativo roba el foco: mientras está abierto el panel no se oculta.
+let isDialogOpen = false;
+// Último estado publicado por el panel: título y menú de la bandeja.
+let trayState = null;
+let trayIcons = null;
+let trayFlashTimer = null;
+// Modo de la ventana y últimos límites de cada modo, guardados en userData.
+let windowState = normalizeWindowState(null);
+let windowStateTimer = null;
 
-const WINDOW_WIDTH = 420;
-const WINDOW_HEIGHT = 560;
 const WINDOW_MARGIN = 8;
+const TRAY_FLASH_MS = 120;
+const WINDOW_STATE_SAVE_MS = 500;
+const MAX_OPEN_FILE_BYTES = 5 * 1024 * 1024;
 
-const getTrayIcon = () => {
+// Las órdenes OSC ya validadas pasan al panel; el panel decide cómo aplicarlas.
+const oscServer = createOscServer({
+  onCommand: (command) => panelWindow?.webContents.send("osc:command", command),
+});
+
+// Mando por la red local: mismas órdenes que OSC (más nudge) y estado de vuelta.
+const remoteServer = createRemoteServer({
+  onCommand: (command) => panelWindow?.webContents.send("remote:command", command),
+  onStatus: (status) => panelWindow?.webContents.send("remote:status", status),
+});
+
+// Sincronía entre metrónomos: el principal solo reenvía; el panel hace de líder o seguidor.
+const lanSync = createLanSync({
+  onMessage: (message) => panelWindow?.webContents.send("lan:message", message),
+});
+
+// Atajos del sistema: llegan al panel aunque esté oculto y sin foco.
+const globalShortcuts = createGlobalShortcuts({
+  globalShortcut,
+  onAction: (action) => panelWindow?.webContents.send("shortcut:action", action),
+});
+
+// flash: variante rellena que se muestra un instante en cada tiempo fuerte.
+const getTrayIcon = (flash = false) => {
   const svg = `
     <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 18 18">
       <path fill="black" d="M3.5 14.5h11a.75.75 0 0 0 .75-.75v-7A3.75 3.75 0 0 0 11.5 3h-5A3.75 3.75 0 0 0 2.75 6.75v7c0 .414.336.75.75.75Zm3-9.5h5a2.25 2.25 0 0 1 2.25 2.25V13h-9V7.25A2.25 2.25 0 0 1 6.5 5Zm1 1.5a.75.75 0 0 0 0 1.5h3a.75.75 0 0 0 0-1.5h-3Zm0 3a.75.75 0 0 0 0 1.5h3a.75.75 0 0 0 0-1.5h-3Z"/>
+      ${flash ? '<rect fill="black" x="4.25" y="5" width="9.5" height="8.5" rx="2"/>' : ""}
     </svg>
   `;
   const image = nativeImage.createFromBuffer(Buffer.from(svg));
@@ -22,8 +75,8 @@ const getTrayIcon = () => {
 
 const createPanelWindow = () => {
   panelWindow = new BrowserWindow({
-    width: WINDOW_WIDTH,
-    height: WINDOW_HEIGHT,
+    width: MODE_OPTIONS.tray.width,
+    height: MODE_OPTIONS.tray.height,
     show: false,
     frame: false,
     resizable: false,
@@ -38,6 +91,8 @@ const createPanelWindow = () => {
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
+      backgroundThrottling: false,
+      preload: path.join(__dirname, "preload.cjs"),
     },
   });
 
@@ -48,11 +103,19 @@ const createPanelWindow = () => {
   panelWindow.loadFile(indexPath);
 
   panelWindow.on("blur", () => {
-    if (panelWindow && !panelWindow.webContents.isDevToolsOpened()) {
+    if (
+      panelWindow &&
+      windowState.mode === "tray" &&
+      !isDialogOpen &&
+      !panelWindow.webContents.isDevToolsOpened()
+    ) {
       panelWindow.hide();
     }
   });
 
+  panelWindow.on("move", rememberWindowBounds);
+  panelWindow.on("resize", rememberWindowBounds);
+
   panelWindow.on("close", (event) => {
     if (!isQuitting) {
       event.preventDefault();
@@ -104,28 +167,315 @@ const togglePanelWindow = () => {
     return;
   }
 
-  positionPanelWindow();
+  if (windowState.mode === "tray") {
+    positionPanelWindow();
+  }
   panelWindow.show();
   panelWindow.focus();
 };
 
+const getWindowStatePath = () => path.join(app.getPath("userData"), "window-state.json");
+
+const readWindowState = async () => {
+  try {
+    windowState = normalizeWindowState(JSON.parse(await fs.readFile(getWindowStatePath(), "utf8")));
+  } catch {
+    windowState = normalizeWindowState(null);
+  }
+};
+
+const saveWindowState = () => {
+  clearTimeout(windowStateTimer);
+  windowStateTimer = setTimeout(() => {
+    windowStateTimer = null;
+    fs.writeFile(getWindowStatePath(), JSON.stringify(windowState)).catch(() => {});
+  }, WINDOW_STATE_SAVE_MS);
+};
+
+// Al salir se escribe ya lo que estuviera pendiente.
+const flushWindowState = () => {
+  if (!windowStateTimer) return;
+  clearTimeout(windowStateTimer);
+  windowStateTimer = null;
+  try {
+    writeFileSync(getWindowStatePath(), JSON.stringify(windowState));
+  } catch {
+    // Sin permiso de escritura se pierde solo la última posición.
+  }
+};
+
+// El desplegable de la bandeja siempre se coloca bajo el icono; el resto recuerda dónde quedó.
+const rememberWindowBounds = () => {
+  const { mode } = windowState;
+  if (!panelWindow || mode === "tray") return;
+  windowState = { ...windowState, bounds: { ...windowState.bounds, [mode]: panelWindow.getBounds() } };
+  saveWindowState();
+};
+
+const applyWindowMode = (mode) => {
+  const options = MODE_OPTIONS[mode];
+  panelWindow.setResizable(options.resizable);
+  panelWindow.setMinimumSize(options.minWidth ?? 0, options.minHeight ?? 0);
+  panelWindow.setSkipTaskbar(!options.taskbar);
+  panelWindow.setAlwaysOnTop(options.floating, mode === "mini" ? "floating" : "pop-up-menu");
+  panelWindow.setVisibleOnAllWorkspaces(options.floating, { visibleOnFullScreen: options.floating });
+  // La ventana suelta es una ventana normal: en macOS aparece también en el Dock.
+  if (app.dock) {
+    if (options.taskbar) {
+      app.dock.show();
+    } else {
+      app.dock.hide();
+    }
+  }
+  const saved = windowState.bounds[mode];
+  const workAreas = screen.getAllDisplays().map((display) => display.workArea);
+  if (saved && isOnScreen(saved, workAreas)) {
+    panelWindow.setBounds(saved);
+  } else {
+    panelWindow.setSize(options.width, options.height);
+    if (mode === "detached" || mode === "mini") {
+      panelWindow.center();
+    } else {
+      positionPanelWindow();
+    }
+  }
+  panelWindow.webContents.send("window:mode", mode);
+};
+
+const showPanelWindow = () => {
+  if (!panelWindow || panelWindow.isVisible()) return;
+  togglePanelWindow();
+};
+
+const sendTrayCommand = (command, value) =>
+  panelWindow?.webContents.send("tray:command", { command, value });
+
+// Se construye al abrirlo, con el último estado del panel.
+const showTrayMenu = () => {
+  const template = buildTrayMenuTemplate(trayState, {
+    send: sendTrayCommand,
+    showPanel: showPanelWindow,
+    quit: () => app.quit(),
+  });
+  tray.popUpContextMenu(Menu.buildFromTemplate(template));
+};
+
+// En macOS el título va junto al icono; en el resto de sistemas solo en la descripción.
+const setTrayTitle = (title) => {
+  if (!tray) return;
+  tray.setTitle(title);
+  tray.setToolTip(title ? `Metrónomo · ${title}` : "Metrónomo");
+};
+
+const flashTrayIcon = () => {
+  if (!tray) return;
+  clearTimeout(trayFlashTimer);
+  tray.setImage(trayIcons.flash);
+  trayFlashTimer = setTimeout(() => tray?.setImage(trayIcons.normal), TRAY_FLASH_MS);
+};
+
 const createTray = () => {
-  tray = new Tray(getTrayIcon());
-  tray.setToolTip("Metronomo");
+  trayIcons = { normal: getTrayIcon(), flash: getTrayIcon(true) };
+  tray = new Tray(trayIcons.normal);
+  tray.setToolTip("Metrónomo");
   tray.on("click", togglePanelWindow);
-  tray.on("right-click", togglePanelWindow);
+  tray.on("right-click", showTrayMenu);
+};
+
+// Solo el panel propio puede usar los canales de control.
+const isPanelSender = (event) => Boolean(panelWindow) && event.sender === panelWindow.webContents;
+
+ipcMain.handle("dialog:save-file", async (event, { defaultPath, filters, data }) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  if (!(data instanceof Uint8Array || data instanceof ArrayBuffer)) {
+    throw new Error("Datos de archivo no válidos");
+  }
+  isDialogOpen = true;
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(panelWindow, {
+      defaultPath: typeof defaultPath === "string" ? path.basename(defaultPath) : undefined,
+      filters: Array.isArray(filters) ? filters : [],
+    });
+    if (canceled || !filePath) return null;
+    await fs.writeFile(filePath, Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data));
+    return filePath;
+  } finally {
+    isDialogOpen = false;
+  }
+});
+
+// Devuelve { name, text } del archivo elegido, o null si se canceló.
+ipcMain.handle("dialog:open-file", async (event, { filters } = {}) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  isDialogOpen = true;
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(panelWindow, {
+      properties: ["openFile"],
+      filters: Array.isArray(filters) ? filters : [],
+    });
+    if (canceled || filePaths.length === 0) return null;
+    const { size } = await fs.stat(filePaths[0]);
+    if (size > MAX_OPEN_FILE_BYTES) throw new Error("Archivo demasiado grande");
+    return { name: path.basename(filePaths[0]), text: await fs.readFile(filePaths[0], "utf8") };
+  } finally {
+    isDialogOpen = false;
+  }
+});
+
+// Preajustes y última configuración como archivos JSON en userData/documents.
+let documentStore = null;
+const getDocumentStore = () => {
+  documentStore ??= createDocumentStore({ directory: path.join(app.getPath("userData"), "documents") });
+  return documentStore;
+};
+
+ipcMain.handle("storage:read", (event, name) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  return getDocumentStore().read(name);
+});
+
+ipcMain.handle("storage:write", async (event, name, value) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  await getDocumentStore().write(name, value);
+});
+
+const toPort = (value, fallback) => {
+  const port = Math.round(Number(value));
+  return Number.isFinite(port) && port >= 1024 && port <= 65535 ? port : fallback;
 };
 
+ipcMain.handle("osc:configure", (event, settings) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  return oscServer.configure({
+    enabled: Boolean(settings?.enabled),
+    port: toPort(settings?.port, 9000),
+    allowNetwork: Boolean(settings?.allowNetwork),
+    replyHost: typeof settings?.replyHost === "string" ? settings.replyHost.slice(0, 255) : "",
+    replyPort: toPort(settings?.replyPort, 9001),
+  });
+});
+
+ipcMain.on("osc:event", (event, payload) => {
+  if (!isPanelSender(event)) return;
+  const bar = Math.round(Number(payload?.bar)) || 0;
+  if (payload?.type === "bar") {
+    oscServer.send("/metronome/bar", [{ type: "i", value: bar }]);
+  } else if (payload?.type === "beat") {
+    oscServer.send("/metronome/beat", [
+      { type: "i", value: bar },
+      { type: "i", value: Math.round(Number(payload.beat)) || 0 },
+      { type: "s", value: String(payload.level ?? "normal").slice(0, 16) },
+    ]);
+  }
+});
+
+ipcMain.handle("remote:configure", (event, settings) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  return remoteServer.configure({
+    enabled: Boolean(settings?.enabled),
+    port: toPort(settings?.port, 8730),
+    newCode: Boolean(settings?.newCode),
+  });
+});
+
+// El panel publica su estado y sus pulsos; aquí solo se reenvían los campos conocidos.
+ipcMain.on("remote:state", (event, state) => {
+  if (!isPanelSender(event)) return;
+  remoteServer.broadcast({
+    type: "state",
+    state: {
+      running: Boolean(state?.running),
+      bpm: Math.round(Number(state?.bpm)) || 0,
+      ts: String(state?.ts ?? "").slice(0, 16),
+      beats: Math.min(32, Math.max(1, Math.round(Number(state?.beats)) || 1)),
+      tempoLock: Boolean(state?.tempoLock),
+      presets: Array.isArray(state?.presets) ? state.presets.slice(0, 16).map(Boolean) : [],
+    },
+  });
+});
+
+ipcMain.on("remote:beat", (event, beat) => {
+  if (!isPanelSender(event)) return;
+  remoteServer.broadcast({
+    type: "beat",
+    bar: Math.round(Number(beat?.bar)) || 0,
+    beat: Math.round(Number(beat?.beat)) || 0,
+  });
+});
+
+ipcMain.handle("lan:configure", (event, settings) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  return lanSync.configure({ enabled: Boolean(settings?.enabled) });
+});
+
+ipcMain.on("lan:send", (event, message) => {
+  if (!isPanelSender(event) || typeof message !== "object" || message === null) return;
+  lanSync.send(message);
+});
+
+ipcMain.handle("shortcuts:configure", (event, settings) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  const bindings = {};
+  for (const action of SHORTCUT_ACTIONS) {
+    const accelerator = settings?.bindings?.[action];
+    if (typeof accelerator === "string") bindings[action] = accelerator.slice(0, 64);
+  }
+  return globalShortcuts.configure({ enabled: Boolean(settings?.enabled), bindings });
+});
+
+ipcMain.handle("window:get-mode", (event) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  return windowState.mode;
+});
+
+ipcMain.handle("window:set-mode", (event, mode) => {
+  if (!isPanelSender(event)) throw new Error("Origen no permitido");
+  if (!WINDOW_MODES.includes(mode) || mode === windowState.mode) return windowState.mode;
+  windowState = { ...windowState, mode };
+  saveWindowState();
+  applyWindowMode(mode);
+  panelWindow.show();
+  panelWindow.focus();
+  return mode;
+});
+
+ipcMain.on("tray:state", (event, state) => {
+  if (!isPanelSender(event)) return;
+  const previous = trayState;
+  trayState = normalizeTrayState(state);
+  // Con el metrónomo en marcha el título lo actualizan los pulsos.
+  if (!trayState.running || !previous?.running) setTrayTitle(formatTrayTitle(trayState));
+});
+
+// Pulso que acaba de sonar: título con el pulso actual y destello en el tiempo fuerte.
+ipcMain.on("tray:beat", (event, beat) => {
+  if (!isPanelSender(event) || !trayState?.running) return;
+  const index = Math.round(Number(beat?.beat)) || 0;
+  if (index < 1 || index > trayState.beats) return;
+  setTrayTitle(formatTrayTitle(trayState, index));
+  if (index === 1) flashTrayIcon();
+});
+
 app.on("before-quit", () => {
   isQuitting = true;
+  flushWindowState();
+  oscServer.close();
+  remoteServer.close();
+  lanSync.close();
 });
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   if (app.dock) {
     app.dock.hide();
   }
+  await readWindowState();
   createPanelWindow();
   createTray();
+  // Fuera del modo bandeja el panel se abre donde quedó al cerrar la app.
+  if (windowState.mode !== "tray") {
+    applyWindowMode(windowState.mode);
+    panelWindow.once("ready-to-show", () => panelWindow.show());
+  }
 });
 
 app.on("activate", () => {
@@ -134,6 +484,10 @@ app.on("activate", () => {
   }
 });
 
+app.on("will-quit", () => {
+  globalShortcuts.close();
+});
+
 app.on("window-all-closed", (event) => {
   event.preventDefault();
 });
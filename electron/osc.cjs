@@ -0,0 +1,195 @@
+const dgram = require("node:dgram");
+
+/**
+ * Servidor OSC sobre UDP para el proceso principal. Entiende las órdenes
+ * /metronome/start, /stop, /bpm f, /ts s y /preset i, y envía los pulsos y
+ * compases al destino configurado. Sin dependencias: OSC 1.0 a mano.
+ */
+
+const OSC_PREFIX = "/metronome/";
+const TS_PATTERN = /^\d{1,2}(\+\d{1,2})*\/\d{1,2}$/;
+
+const padLength = (length) => Math.ceil((length + 1) / 4) * 4;
+
+function encodeString(value) {
+  const bytes = Buffer.from(String(value), "utf8");
+  const out = Buffer.alloc(padLength(bytes.length));
+  bytes.copy(out);
+  return out;
+}
+
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end < 0) throw new Error("Cadena OSC sin terminar");
+  return { value: buffer.toString("utf8", offset, end), offset: offset + padLength(end - offset) };
+}
+
+// args = [{ type: "i" | "f" | "s", value }]
+function encodeOscMessage(address, args = []) {
+  const parts = [encodeString(address), encodeString(`,${args.map((arg) => arg.type).join("")}`)];
+  for (const { type, value } of args) {
+    if (type === "s") {
+      parts.push(encodeString(value));
+      continue;
+    }
+    const bytes = Buffer.alloc(4);
+    if (type === "i") bytes.writeInt32BE(Math.round(value));
+    else bytes.writeFloatBE(value);
+    parts.push(bytes);
+  }
+  return Buffer.concat(parts);
+}
+
+// Devuelve los mensajes del paquete ([{ address, args }]); los bundles se aplanan.
+function decodeOscPacket(buffer) {
+  if (buffer.length >= 16 && buffer.toString("utf8", 0, 8) === "#bundle\0") {
+    const messages = [];
+    let offset = 16;
+    while (offset + 4 <= buffer.length) {
+      const size = buffer.readInt32BE(offset);
+      offset += 4;
+      if (size <= 0 || offset + size > buffer.length) throw new Error("Bundle OSC no válido");
+      messages.push(...decodeOscPacket(buffer.subarray(offset, offset + size)));
+      offset += size;
+    }
+    return messages;
+  }
+  const address = readString(buffer, 0);
+  if (!address.value.startsWith("/")) throw new Error("Dirección OSC no válida");
+  if (address.offset >= buffer.length) return [{ address: address.value, args: [] }];
+  const tags = readString(buffer, address.offset);
+  let offset = tags.offset;
+  const args = [];
+  for (const type of tags.value.slice(1)) {
+    if (type === "i") {
+      args.push(buffer.readInt32BE(offset));
+      offset += 4;
+    } else if (type === "f") {
+      args.push(buffer.readFloatBE(offset));
+      offset += 4;
+    } else if (type === "s") {
+      const text = readString(buffer, offset);
+      args.push(text.value);
+      offset = text.offset;
+    } else if (type === "T" || type === "F") {
+      args.push(type === "T");
+    } else {
+      throw new Error(`Tipo OSC no admitido: ${type}`);
+    }
+  }
+  return [{ address: address.value, args }];
+}
+
+/**
+ * Traduce un mensaje a una orden del panel ({ command, value }) o null. Solo
+ * pasan las órdenes conocidas con argumentos válidos: el panel no recibe nada más.
+ */
+function parseMetronomeCommand({ address, args }) {
+  if (!address.startsWith(OSC_PREFIX)) return null;
+  const command = address.slice(OSC_PREFIX.length);
+  const [value] = args;
+  if (command === "start" || command === "stop") return { command };
+  if (command === "bpm" && typeof value === "number" && Number.isFinite(value)) {
+    return { command, value: Math.min(300, Math.max(20, value)) };
+  }
+  if (command === "ts" && typeof value === "string" && TS_PATTERN.test(value.trim())) {
+    return { command, value: value.trim() };
+  }
+  if (command === "preset" && typeof value === "number" && Number.isFinite(value)) {
+    return { command, value: Math.round(value) };
+  }
+  return null;
+}
+
+/**
+ * Servidor reconfigurable. configure(settings) abre, mueve o cierra el socket
+ * y resuelve { listening, port, error }; send() escribe al destino de respuesta.
+ */
+function createOscServer({ onCommand }) {
+  let socket = null;
+  let settings = null;
+
+  const close = () =>
+    new Promise((resolve) => {
+      if (!socket) return resolve();
+      const closing = socket;
+      socket = null;
+      closing.close(() => resolve());
+    });
+
+  const configure = async (next) => {
+    await close();
+    settings = next;
+    if (!next.enabled) return { listening: false, port: next.port, error: null };
+    const server = dgram.createSocket("udp4");
+    server.on("message", (buffer) => {
+      let messages = [];
+      try {
+        messages = decodeOscPacket(buffer);
+      } catch {
+        // Un paquete mal formado se ignora sin tumbar el servidor.
+      }
+      for (const message of messages) {
+        const command = parseMetronomeCommand(message);
+        if (command) onCommand(command);
+      }
+    });
+    try {
+      await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.bind(next.port, next.allowNetwork ? "0.0.0.0" : "127.0.0.1", () => {
+          server.off("error", reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      server.close();
+      return { listening: false, port: next.port, error: error.code ?? error.message };
+    }
+    server.on("error", () => {});
+    socket = server;
+    return { listening: true, port: next.port, error: null };
+  };
+
+  const send = (address, args) => {
+    if (!socket || !settings?.replyHost) return;
+    socket.send(encodeOscMessage(address, args), settings.replyPort, settings.replyHost, () => {});
+  };
+
+  return { configure, send, close };
+}
+
+module.exports = { createOscServer, decodeOscPacket, encodeOscMessage, parseMetronomeCommand };
+
+// Pruebas mínimas del códec OSC (solo en NODE_ENV=test)
+function runSelfTests() {
+  const message = encodeOscMessage("/metronome/bpm", [{ type: "f", value: 132.5 }]);
+  console.assert(
+    message.toString("hex") === "2f6d6574726f6e6f6d652f62706d00002c66000043048000",
+    "falló encodeOscMessage"
+  );
+  const [decoded] = decodeOscPacket(message);
+  console.assert(
+    decoded.address === "/metronome/bpm" && decoded.args[0] === 132.5,
+    "falló decodeOscPacket"
+  );
+  const ts = encodeOscMessage("/metronome/ts", [{ type: "s", value: "7/8" }]);
+  console.assert(
+    parseMetronomeCommand(decodeOscPacket(ts)[0]).value === "7/8",
+    "falló la orden de compás"
+  );
+  const inner = encodeOscMessage("/metronome/start");
+  const size = Buffer.alloc(4);
+  size.writeInt32BE(inner.length);
+  const bundle = Buffer.concat([encodeString("#bundle"), Buffer.alloc(8), size, inner]);
+  console.assert(decodeOscPacket(bundle)[0].address === "/metronome/start", "falló el bundle");
+  console.assert(
+    parseMetronomeCommand({ address: "/metronome/bpm", args: [999] }).value === 300 &&
+      parseMetronomeCommand({ address: "/metronome/ts", args: ["4/4; rm"] }) === null &&
+      parseMetronomeCommand({ address: "/otro/start", args: [] }) === null,
+    "falló la validación de órdenes"
+  );
+}
+if (typeof process !== "undefined" && process.env?.NODE_ENV === "test" && require.main === module) {
+  runSelfTests();
+}
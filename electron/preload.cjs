@@ -0,0 +1,58 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+// Puente mínimo hacia el proceso principal: solo funciones concretas, nunca ipcRenderer.
+contextBridge.exposeInMainWorld("metronomeDesktop", {
+  saveFile: ({ defaultPath, filters, data }) =>
+    ipcRenderer.invoke("dialog:save-file", { defaultPath, filters, data }),
+  openFile: ({ filters }) => ipcRenderer.invoke("dialog:open-file", { filters }),
+  readDocument: (name) => ipcRenderer.invoke("storage:read", name),
+  writeDocument: (name, value) => ipcRenderer.invoke("storage:write", name, value),
+  configureOsc: (settings) => ipcRenderer.invoke("osc:configure", settings),
+  sendOscEvent: (event) => ipcRenderer.send("osc:event", event),
+  // Devuelve la función para dejar de escuchar; el callback nunca recibe el evento IPC.
+  onOscCommand: (callback) => {
+    const listener = (_event, command) => callback(command);
+    ipcRenderer.on("osc:command", listener);
+    return () => ipcRenderer.removeListener("osc:command", listener);
+  },
+  configureRemote: (settings) => ipcRenderer.invoke("remote:configure", settings),
+  sendRemoteState: (state) => ipcRenderer.send("remote:state", state),
+  sendRemoteBeat: (beat) => ipcRenderer.send("remote:beat", beat),
+  onRemoteCommand: (callback) => {
+    const listener = (_event, command) => callback(command);
+    ipcRenderer.on("remote:command", listener);
+    return () => ipcRenderer.removeListener("remote:command", listener);
+  },
+  onRemoteStatus: (callback) => {
+    const listener = (_event, status) => callback(status);
+    ipcRenderer.on("remote:status", listener);
+    return () => ipcRenderer.removeListener("remote:status", listener);
+  },
+  configureLan: (settings) => ipcRenderer.invoke("lan:configure", settings),
+  sendLanMessage: (message) => ipcRenderer.send("lan:send", message),
+  onLanMessage: (callback) => {
+    const listener = (_event, message) => callback(message);
+    ipcRenderer.on("lan:message", listener);
+    return () => ipcRenderer.removeListener("lan:message", listener);
+  },
+  configureShortcuts: (settings) => ipcRenderer.invoke("shortcuts:configure", settings),
+  onShortcutAction: (callback) => {
+    const listener = (_event, action) => callback(action);
+    ipcRenderer.on("shortcut:action", listener);
+    return () => ipcRenderer.removeListener("shortcut:action", listener);
+  },
+  sendTrayState: (state) => ipcRenderer.send("tray:state", state),
+  sendTrayBeat: (beat) => ipcRenderer.send("tray:beat", beat),
+  onTrayCommand: (callback) => {
+    const listener = (_event, command) => callback(command);
+    ipcRenderer.on("tray:command", listener);
+    return () => ipcRenderer.removeListener("tray:command", listener);
+  },
+  getWindowMode: () => ipcRenderer.invoke("window:get-mode"),
+  setWindowMode: (mode) => ipcRenderer.invoke("window:set-mode", mode),
+  onWindowMode: (callback) => {
+    const listener = (_event, mode) => callback(mode);
+    ipcRenderer.on("window:mode", listener);
+    return () => ipcRenderer.removeListener("window:mode", listener);
+  },
+});
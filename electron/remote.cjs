@@ -0,0 +1,284 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+
+/**
+ * Mando a distancia por la red local: un servidor HTTP sirve remote.html y un
+ * WebSocket (RFC 6455, sin dependencias) lleva órdenes y estado en JSON. Solo
+ * escucha mientras está activado, y el WebSocket exige el código de emparejamiento.
+ */
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_FRAME_BYTES = 64 * 1024;
+// Tras varios códigos erróneos, esa dirección espera antes de volver a probar.
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 60 * 1000;
+const PAGE_PATH = path.join(__dirname, "remote.html");
+
+function getAcceptKey(key) {
+  return crypto.createHash("sha1").update(`${key}${WS_GUID}`).digest("base64");
+}
+
+// Trama de texto del servidor (sin máscara).
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text, "utf8");
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Lee una trama completa del principio de buffer: { opcode, payload, length }
+ * o null si aún faltan bytes. Lanza si la trama no es válida o es demasiado grande.
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (!masked) throw new Error("Trama de cliente sin máscara");
+  if (length > MAX_FRAME_BYTES) throw new Error("Trama demasiado grande");
+  if (buffer.length < offset + 4 + length) return null;
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+  return { opcode, payload, length: offset + 4 + length };
+}
+
+/**
+ * Orden del mando ({ command, value }) o null. Misma forma que las órdenes OSC,
+ * más nudge (±BPM); el resto de mensajes se descarta.
+ */
+function parseRemoteCommand(message) {
+  const { command, value } = message ?? {};
+  if (command === "start" || command === "stop") return { command };
+  if (command === "bpm" && Number.isFinite(value)) {
+    return { command, value: Math.min(300, Math.max(20, value)) };
+  }
+  if (command === "nudge" && Number.isFinite(value) && Math.abs(value) <= 20) {
+    return { command, value: Math.round(value) };
+  }
+  if (command === "preset" && Number.isInteger(value)) return { command, value };
+  return null;
+}
+
+const createPairingCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+function getLanAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter((entry) => entry && entry.family === "IPv4" && !entry.internal)
+    .map((entry) => entry.address);
+}
+
+/**
+ * Servidor reconfigurable. configure({ enabled, port, newCode }) resuelve
+ * { listening, port, code, urls, clients, error }; broadcast() envía a todos los
+ * mandos emparejados y onStatus avisa cuando cambia el número de mandos.
+ */
+function createRemoteServer({ onCommand, onStatus }) {
+  let server = null;
+  let code = createPairingCode();
+  let lastState = null;
+  let status = { listening: false, port: null, code, urls: [], clients: 0, error: null };
+  const clients = new Set();
+  const failures = new Map();
+
+  const setClients = () => {
+    status = { ...status, clients: clients.size };
+    onStatus?.(status);
+  };
+
+  const send = (socket, message) => {
+    if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(message)));
+  };
+
+  // head: bytes que el cliente envió junto con la petición de upgrade.
+  const attach = (socket, head) => {
+    let pending = Buffer.alloc(0);
+    clients.add(socket);
+    setClients();
+    if (lastState) send(socket, { type: "state", state: lastState });
+    const receive = (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      try {
+        let frame = decodeFrame(pending);
+        while (frame) {
+          pending = pending.subarray(frame.length);
+          if (frame.opcode === 0x8) {
+            socket.end(encodeFrame("", 0x8));
+            return;
+          }
+          if (frame.opcode === 0x9) {
+            socket.write(encodeFrame(frame.payload.toString("utf8"), 0xa));
+          } else if (frame.opcode === 0x1) {
+            const command = parseRemoteCommand(JSON.parse(frame.payload.toString("utf8")));
+            if (command) onCommand(command);
+          }
+          frame = decodeFrame(pending);
+        }
+      } catch {
+        socket.destroy();
+      }
+    };
+    socket.on("data", receive);
+    if (head?.length) receive(head);
+    const detach = () => {
+      if (clients.delete(socket)) setClients();
+    };
+    socket.on("close", detach);
+    socket.on("error", detach);
+  };
+
+  const handleUpgrade = (request, socket, head) => {
+    const address = socket.remoteAddress ?? "";
+    const failure = failures.get(address);
+    const url = new URL(request.url ?? "/", "http://remote.local");
+    const key = request.headers["sec-websocket-key"];
+    const reject = (statusLine) => {
+      socket.end(`HTTP/1.1 ${statusLine}\r\nConnection: close\r\n\r\n`);
+    };
+    if (failure && failure.count >= MAX_FAILED_ATTEMPTS && Date.now() - failure.at < LOCKOUT_MS) {
+      reject("429 Too Many Requests");
+      return;
+    }
+    if (url.pathname !== "/ws" || typeof key !== "string") {
+      reject("400 Bad Request");
+      return;
+    }
+    if (url.searchParams.get("code") !== code) {
+      failures.set(address, { count: (failure?.count ?? 0) + 1, at: Date.now() });
+      reject("401 Unauthorized");
+      return;
+    }
+    failures.delete(address);
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${getAcceptKey(key)}\r\n\r\n`
+    );
+    attach(socket, head);
+  };
+
+  const handleRequest = (request, response) => {
+    if (request.method !== "GET" || new URL(request.url ?? "/", "http://remote.local").pathname !== "/") {
+      response.writeHead(404).end();
+      return;
+    }
+    fs.readFile(PAGE_PATH, (error, page) => {
+      if (error) {
+        response.writeHead(500).end();
+        return;
+      }
+      response.writeHead(200, {
+        "Content-Type": "text/html; charset=utf-8",
+        "Cache-Control": "no-store",
+        "X-Content-Type-Options": "nosniff",
+      });
+      response.end(page);
+    });
+  };
+
+  const close = () =>
+    new Promise((resolve) => {
+      for (const socket of clients) socket.destroy();
+      clients.clear();
+      if (!server) return resolve();
+      const closing = server;
+      server = null;
+      closing.close(() => resolve());
+    });
+
+  const configure = async ({ enabled, port, newCode = false }) => {
+    await close();
+    if (newCode) code = createPairingCode();
+    status = { listening: false, port, code, urls: [], clients: 0, error: null };
+    if (!enabled) return status;
+    const next = http.createServer(handleRequest);
+    next.on("upgrade", handleUpgrade);
+    try {
+      await new Promise((resolve, reject) => {
+        next.once("error", reject);
+        next.listen(port, "0.0.0.0", () => {
+          next.off("error", reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      next.close();
+      status = { ...status, error: error.code ?? error.message };
+      return status;
+    }
+    next.on("error", () => {});
+    server = next;
+    const hosts = getLanAddresses();
+    status = {
+      ...status,
+      listening: true,
+      urls: (hosts.length > 0 ? hosts : ["localhost"]).map((host) => `http://${host}:${port}/`),
+    };
+    return status;
+  };
+
+  const broadcast = (message) => {
+    if (message.type === "state") lastState = message.state;
+    for (const socket of clients) send(socket, message);
+  };
+
+  return { configure, broadcast, close };
+}
+
+module.exports = { createRemoteServer, decodeFrame, encodeFrame, getAcceptKey, parseRemoteCommand };
+
+// Pruebas mínimas del protocolo (solo en NODE_ENV=test)
+function runSelfTests() {
+  console.assert(
+    getAcceptKey("dGhlIHNhbXBsZSBub25jZQ==") === "s3pPLMBiTxaQ9kYGzzhZRbK+xOo=",
+    "falló la clave de aceptación del ejemplo de RFC 6455"
+  );
+  // "Hello" enmascarado del ejemplo de RFC 6455, seguido del principio de otra trama.
+  const masked = Buffer.from("818537fa213d7f9f4d5158", "hex");
+  const frame = decodeFrame(Buffer.concat([masked, Buffer.from([0x81])]));
+  console.assert(
+    frame.opcode === 1 && frame.payload.toString() === "Hello" && frame.length === masked.length,
+    "falló decodeFrame"
+  );
+  console.assert(decodeFrame(masked.subarray(0, 8)) === null, "falló la trama incompleta");
+  const long = encodeFrame("x".repeat(300));
+  console.assert(long[1] === 126 && long.readUInt16BE(2) === 300, "falló encodeFrame de 16 bits");
+  console.assert(
+    parseRemoteCommand({ command: "nudge", value: -5 }).value === -5 &&
+      parseRemoteCommand({ command: "nudge", value: 500 }) === null &&
+      parseRemoteCommand({ command: "eval", value: "x" }) === null,
+    "falló parseRemoteCommand"
+  );
+  console.assert(/^\d{6}$/.test(createPairingCode()), "falló el código de emparejamiento");
+}
+if (typeof process !== "undefined" && process.env?.NODE_ENV === "test" && require.main === module) {
+  runSelfTests();
+}
@@ -0,0 +1,95 @@
+/**
+ * Atajos globales del sistema. Se registran todos de nuevo en cada configure()
+ * y se devuelve el resultado de cada acción para que el panel avise de los que
+ * no se pudieron registrar (otra aplicación los usa o la combinación no vale).
+ */
+
+// Mismo orden y mismos ids que SHORTCUT_ACTIONS en src/lib/shortcuts.js.
+const SHORTCUT_ACTIONS = [
+  "toggle",
+  "tap",
+  "bpmUp1",
+  "bpmDown1",
+  "bpmUp5",
+  "bpmDown5",
+  "nextPreset",
+  "previousPreset",
+  "nextSection",
+];
+
+/**
+ * globalShortcut es el módulo de Electron (se inyecta para poder probarlo).
+ * configure({ enabled, bindings }) resuelve { [acción]: { accelerator, registered, error } }
+ * con error "duplicate", "invalid" o "taken"; onAction(acción) se llama al pulsarlos.
+ */
+function createGlobalShortcuts({ globalShortcut, onAction }) {
+  let registered = [];
+
+  const close = () => {
+    for (const accelerator of registered) globalShortcut.unregister(accelerator);
+    registered = [];
+  };
+
+  const configure = ({ enabled, bindings }) => {
+    close();
+    const results = {};
+    if (!enabled) return results;
+    const seen = new Set();
+    for (const action of SHORTCUT_ACTIONS) {
+      const accelerator = bindings?.[action];
+      if (typeof accelerator !== "string" || !accelerator) continue;
+      if (seen.has(accelerator)) {
+        results[action] = { accelerator, registered: false, error: "duplicate" };
+        continue;
+      }
+      seen.add(accelerator);
+      let ok = false;
+      try {
+        // En algunos sistemas register() no falla aunque otra app tenga la combinación.
+        const accepted = globalShortcut.register(accelerator, () => onAction(action));
+        ok = accepted !== false && globalShortcut.isRegistered(accelerator);
+      } catch {
+        results[action] = { accelerator, registered: false, error: "invalid" };
+        continue;
+      }
+      if (ok) registered.push(accelerator);
+      results[action] = { accelerator, registered: ok, error: ok ? null : "taken" };
+    }
+    return results;
+  };
+
+  return { configure, close };
+}
+
+module.exports = { SHORTCUT_ACTIONS, createGlobalShortcuts };
+
+// Pruebas mínimas del registro (solo en NODE_ENV=test)
+function runSelfTests() {
+  const system = new Map([["Alt+F1", "otra app"]]);
+  const fake = {
+    register: (accelerator, callback) => {
+      if (accelerator.includes("??")) throw new Error("acelerador no válido");
+      if (system.has(accelerator)) return false;
+      system.set(accelerator, callback);
+      return true;
+    },
+    isRegistered: (accelerator) => typeof system.get(accelerator) === "function",
+    unregister: (accelerator) => system.delete(accelerator),
+  };
+  const pressed = [];
+  const shortcuts = createGlobalShortcuts({ globalShortcut: fake, onAction: (action) => pressed.push(action) });
+  const results = shortcuts.configure({
+    enabled: true,
+    bindings: { toggle: "F5", tap: "F5", bpmUp1: "Alt+F1", bpmDown1: "Alt+??", nextSection: "" },
+  });
+  console.assert(results.toggle.registered && results.tap.error === "duplicate", "falló el atajo repetido");
+  console.assert(results.bpmUp1.error === "taken" && results.bpmDown1.error === "invalid", "falló el aviso de choque");
+  console.assert(!results.nextSection, "falló la acción sin atajo");
+  system.get("F5")();
+  console.assert(pressed[0] === "toggle", "falló onAction");
+  shortcuts.configure({ enabled: false });
+  console.assert(!system.has("F5") && system.has("Alt+F1"), "falló la liberación de atajos");
+}
+if (typeof process !== "undefined" && process.env?.NODE_ENV === "test" && require.main === module) {
+  runSelfTests();
+}
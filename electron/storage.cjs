@@ -0,0 +1,145 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+/**
+ * Documentos JSON del panel (preajustes, última configuración…) guardados como
+ * archivos en userData. Cada escritura va a un archivo temporal que luego se
+ * renombra, así que un corte nunca deja un archivo a medias; antes de la primera
+ * escritura de cada día se copia el anterior a backups/. Si el archivo principal
+ * no se puede leer, se recupera la copia más reciente que sí se pueda.
+ */
+
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+const MAX_BACKUPS = 7;
+const NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+const isValidName = (name) => typeof name === "string" && NAME_PATTERN.test(name);
+
+// "2026-10-19": una copia por documento y día como mucho.
+const getBackupDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * read(name) resuelve el valor guardado o null si no hay documento;
+ * write(name, value) resuelve cuando el archivo ya está en su sitio. Las
+ * escrituras de un mismo documento se encadenan en orden.
+ */
+function createDocumentStore({ directory, now = () => new Date() }) {
+  const backupDirectory = path.join(directory, "backups");
+  const queues = new Map();
+  let tempCounter = 0;
+
+  const getPath = (name) => path.join(directory, `${name}.json`);
+
+  const parseFile = async (file) => {
+    const text = await fs.readFile(file, "utf8");
+    if (text.length > MAX_DOCUMENT_BYTES) throw new Error("Documento demasiado grande");
+    return JSON.parse(text);
+  };
+
+  const listBackups = async (name) => {
+    try {
+      const files = await fs.readdir(backupDirectory);
+      // El nombre lleva la fecha ISO: el orden alfabético es el cronológico.
+      return files.filter((file) => file.startsWith(`${name}-`) && file.endsWith(".json")).sort();
+    } catch {
+      return [];
+    }
+  };
+
+  const backup = async (name) => {
+    const file = getPath(name);
+    const target = path.join(backupDirectory, `${name}-${getBackupDay(now())}.json`);
+    try {
+      await fs.access(target);
+      return;
+    } catch {
+      // Aún no hay copia de hoy.
+    }
+    try {
+      await parseFile(file);
+    } catch {
+      // Sin archivo, o con uno roto, no hay nada que copiar.
+      return;
+    }
+    await fs.mkdir(backupDirectory, { recursive: true });
+    await fs.copyFile(file, target);
+    const backups = await listBackups(name);
+    await Promise.all(
+      backups.slice(0, -MAX_BACKUPS).map((old) => fs.rm(path.join(backupDirectory, old), { force: true }))
+    );
+  };
+
+  const read = async (name) => {
+    if (!isValidName(name)) throw new Error("Nombre de documento no válido");
+    try {
+      return await parseFile(getPath(name));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+    }
+    const backups = await listBackups(name);
+    for (const file of backups.reverse()) {
+      try {
+        return await parseFile(path.join(backupDirectory, file));
+      } catch {
+        // Se prueba la copia anterior.
+      }
+    }
+    return null;
+  };
+
+  const writeNow = async (name, value) => {
+    const text = JSON.stringify(value, null, 2);
+    if (text === undefined || text.length > MAX_DOCUMENT_BYTES) throw new Error("Documento no válido");
+    await fs.mkdir(directory, { recursive: true });
+    await backup(name);
+    tempCounter += 1;
+    const temp = path.join(directory, `.${name}.${process.pid}.${tempCounter}.tmp`);
+    try {
+      await fs.writeFile(temp, text, "utf8");
+      await fs.rename(temp, getPath(name));
+    } catch (error) {
+      await fs.rm(temp, { force: true });
+      throw error;
+    }
+  };
+
+  const write = (name, value) => {
+    if (!isValidName(name)) return Promise.reject(new Error("Nombre de documento no válido"));
+    const previous = queues.get(name) ?? Promise.resolve();
+    const next = previous.catch(() => {}).then(() => writeNow(name, value));
+    queues.set(name, next);
+    return next;
+  };
+
+  return { read, write };
+}
+
+module.exports = { createDocumentStore, isValidName };
+
+// Pruebas mínimas del almacén (solo en NODE_ENV=test)
+async function runSelfTests() {
+  const os = require("node:os");
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "metronome-store-"));
+  let day = new Date("2026-01-01T12:00:00Z");
+  const store = createDocumentStore({ directory, now: () => day });
+  try {
+    console.assert((await store.read("presets")) === null, "falló el documento ausente");
+    await Promise.all([store.write("presets", [1]), store.write("presets", [1, 2])]);
+    console.assert((await store.read("presets")).length === 2, "falló el orden de escritura");
+    day = new Date("2026-01-02T12:00:00Z");
+    await store.write("presets", [3]);
+    const backups = await fs.readdir(path.join(directory, "backups"));
+    // Día 1: copia de [1] antes de escribir [1, 2]; día 2: copia de [1, 2].
+    console.assert(backups.join() === "presets-2026-01-01.json,presets-2026-01-02.json", "falló la copia diaria");
+    await fs.writeFile(path.join(directory, "presets.json"), "{roto");
+    console.assert((await store.read("presets")).length === 2, "falló la recuperación desde la copia");
+    const leftovers = (await fs.readdir(directory)).filter((file) => file.endsWith(".tmp"));
+    console.assert(leftovers.length === 0, "falló la limpieza de temporales");
+    console.assert(!isValidName("../x") && isValidName("last-config"), "falló isValidName");
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+if (typeof process !== "undefined" && process.env?.NODE_ENV === "test" && require.main === module) {
+  runSelfTests();
+}
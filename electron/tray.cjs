@@ -0,0 +1,123 @@
+/**
+ * Menú contextual y título de la bandeja. El panel publica su estado
+ * (tray:state) y sus pulsos (tray:beat); aquí se sanea y se convierte en el
+ * título y en la plantilla del menú, sin depender de Electron.
+ */
+
+const MAX_MENU_ITEMS = 32;
+const NUDGES = [-5, -1, 1, 5];
+
+const toText = (value, max) => String(value ?? "").slice(0, max);
+
+// Estado del panel con solo los campos conocidos.
+function normalizeTrayState(raw) {
+  return {
+    running: Boolean(raw?.running),
+    bpm: Math.round(Number(raw?.bpm)) || 0,
+    ts: toText(raw?.ts, 16),
+    beats: Math.min(32, Math.max(1, Math.round(Number(raw?.beats)) || 1)),
+    tempoLock: Boolean(raw?.tempoLock),
+    // Nombre del preajuste de cada ranura rápida, o null si está vacía.
+    presets: Array.isArray(raw?.presets)
+      ? raw.presets.slice(0, MAX_MENU_ITEMS).map((name) => (typeof name === "string" ? toText(name, 64) : null))
+      : [],
+    songs: Array.isArray(raw?.songs)
+      ? raw.songs
+          .slice(0, MAX_MENU_ITEMS)
+          .filter((song) => typeof song?.id === "string")
+          .map((song) => ({ id: toText(song.id, 64), name: toText(song.name, 64) }))
+      : [],
+    activeSongId: typeof raw?.activeSongId === "string" ? raw.activeSongId : null,
+  };
+}
+
+// "♩120 · 3/4": pulso actual sobre pulsos del compás en marcha, o el compás si está parado.
+function formatTrayTitle(state, beat = null) {
+  if (!state || state.bpm <= 0) return "";
+  const detail = state.running && beat ? `${beat}/${state.beats}` : state.ts;
+  return detail ? `♩${state.bpm} · ${detail}` : `♩${state.bpm}`;
+}
+
+/**
+ * Plantilla para Menu.buildFromTemplate. send(command, value) lleva la orden al
+ * panel; showPanel y quit se resuelven en el proceso principal.
+ */
+function buildTrayMenuTemplate(state, { send, showPanel, quit }) {
+  const template = [
+    {
+      label: state?.running ? "Detener" : "Iniciar",
+      click: () => send(state?.running ? "stop" : "start"),
+    },
+    { label: "Mostrar panel", click: showPanel },
+    { type: "separator" },
+    ...NUDGES.map((delta) => ({
+      label: `${delta > 0 ? "+" : "−"}${Math.abs(delta)} BPM`,
+      enabled: Boolean(state) && !state.tempoLock,
+      click: () => send("nudge", delta),
+    })),
+  ];
+  const hasPresets = Boolean(state?.presets.some((name) => name !== null));
+  const hasSongs = Boolean(state?.songs.length);
+  if (hasPresets || hasSongs) template.push({ type: "separator" });
+  if (hasPresets) {
+    template.push({
+      label: "Preajustes",
+      submenu: state.presets.map((name, i) => ({
+        label: `${i + 1}. ${name ?? "Vacía"}`,
+        enabled: name !== null,
+        click: () => send("preset", i + 1),
+      })),
+    });
+  }
+  if (hasSongs) {
+    template.push({
+      label: "Canciones",
+      submenu: state.songs.map((song) => ({
+        label: song.name || "Sin nombre",
+        type: "radio",
+        checked: song.id === state.activeSongId,
+        click: () => send("song", song.id),
+      })),
+    });
+  }
+  template.push({ type: "separator" }, { label: "Salir", click: quit });
+  return template;
+}
+
+module.exports = { buildTrayMenuTemplate, formatTrayTitle, normalizeTrayState };
+
+// Pruebas mínimas de la bandeja (solo en NODE_ENV=test)
+function runSelfTests() {
+  const state = normalizeTrayState({
+    running: true,
+    bpm: 119.6,
+    ts: "3/4",
+    beats: 3,
+    presets: ["Balada", null, 3],
+    songs: [{ id: "a", name: "Intro" }, { id: 5 }],
+    activeSongId: "a",
+    extra: "x",
+  });
+  console.assert(state.bpm === 120 && state.songs.length === 1 && !("extra" in state), "falló normalizeTrayState");
+  console.assert(formatTrayTitle(state, 2) === "♩120 · 2/3", "falló el título en marcha");
+  console.assert(formatTrayTitle({ ...state, running: false }) === "♩120 · 3/4", "falló el título parado");
+  const sent = [];
+  const template = buildTrayMenuTemplate(state, {
+    send: (command, value) => sent.push([command, value]),
+    showPanel: () => {},
+    quit: () => {},
+  });
+  template[0].click();
+  const presetItems = template.find((item) => item.label === "Preajustes").submenu;
+  console.assert(presetItems[0].label === "1. Balada" && !presetItems[2].enabled, "falló el nombre del preajuste");
+  presetItems[0].click();
+  console.assert(sent[0][0] === "stop" && sent[1][1] === 1, "falló el menú de la bandeja");
+  console.assert(template.at(-1).label === "Salir", "falló la opción de salir");
+  console.assert(
+    !buildTrayMenuTemplate(null, { send() {} }).some((item) => item.label === "Canciones"),
+    "falló el menú sin estado"
+  );
+}
+if (typeof process !== "undefined" && process.env?.NODE_ENV === "test" && require.main === module) {
+  runSelfTests();
+}
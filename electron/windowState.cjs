@@ -0,0 +1,76 @@
+/**
+ * Modos de la ventana del panel y su estado guardado. El panel es siempre la
+ * misma ventana sin marco (recrearla cortaría el audio); al cambiar de modo
+ * solo cambian su tamaño, su comportamiento y su posición.
+ *
+ * - tray: desplegable bajo el icono de la bandeja que se oculta al perder el foco.
+ * - pinned: el mismo desplegable, pero sigue visible al perder el foco.
+ * - detached: ventana normal que se mueve y cambia de tamaño, en la barra de tareas.
+ * - mini: widget flotante con BPM, pulsos e inicio/parada.
+ */
+
+const WINDOW_MODES = ["tray", "pinned", "detached", "mini"];
+
+const MODE_OPTIONS = {
+  tray: { width: 420, height: 560, resizable: false, floating: true, taskbar: false },
+  pinned: { width: 420, height: 560, resizable: false, floating: true, taskbar: false },
+  detached: { width: 420, height: 720, minWidth: 360, minHeight: 420, resizable: true, floating: false, taskbar: true },
+  mini: { width: 260, height: 132, resizable: false, floating: true, taskbar: false },
+};
+
+const isBounds = (value, withSize) =>
+  ["x", "y", ...(withSize ? ["width", "height"] : [])].every((key) => Number.isInteger(value?.[key]));
+
+// Estado leído del disco: modo y últimos límites de cada modo (tray siempre va bajo el icono).
+function normalizeWindowState(raw) {
+  const bounds = {};
+  for (const mode of ["pinned", "detached", "mini"]) {
+    const saved = raw?.bounds?.[mode];
+    const options = MODE_OPTIONS[mode];
+    if (!isBounds(saved, options.resizable)) continue;
+    bounds[mode] = options.resizable
+      ? {
+          x: saved.x,
+          y: saved.y,
+          width: Math.max(options.minWidth, saved.width),
+          height: Math.max(options.minHeight, saved.height),
+        }
+      : { x: saved.x, y: saved.y, width: options.width, height: options.height };
+  }
+  return { mode: WINDOW_MODES.includes(raw?.mode) ? raw.mode : "tray", bounds };
+}
+
+// Unos límites guardados solo valen si caen en alguna pantalla conectada ahora.
+function isOnScreen(bounds, workAreas, margin = 40) {
+  return workAreas.some(
+    (area) =>
+      bounds.x + bounds.width - margin > area.x &&
+      bounds.x + margin < area.x + area.width &&
+      bounds.y >= area.y - margin &&
+      bounds.y + margin < area.y + area.height
+  );
+}
+
+module.exports = { MODE_OPTIONS, WINDOW_MODES, isOnScreen, normalizeWindowState };
+
+// Pruebas mínimas del estado de la ventana (solo en NODE_ENV=test)
+function runSelfTests() {
+  const state = normalizeWindowState({
+    mode: "detached",
+    bounds: {
+      detached: { x: 10, y: 20, width: 100, height: 900 },
+      mini: { x: 5, y: 6, width: 999, height: 999 },
+      pinned: { x: "a", y: 0 },
+    },
+  });
+  console.assert(state.mode === "detached", "falló el modo guardado");
+  console.assert(state.bounds.detached.width === 360 && state.bounds.detached.height === 900, "falló el tamaño mínimo");
+  console.assert(state.bounds.mini.width === 260 && !state.bounds.pinned, "falló el tamaño fijo");
+  console.assert(normalizeWindowState({ mode: "x" }).mode === "tray", "falló el modo por defecto");
+  const area = { x: 0, y: 0, width: 1440, height: 900 };
+  console.assert(isOnScreen({ x: 100, y: 100, width: 420, height: 560 }, [area]), "falló isOnScreen");
+  console.assert(!isOnScreen({ x: 2000, y: 100, width: 420, height: 560 }, [area]), "falló la pantalla desconectada");
+}
+if (typeof process !== "undefined" && process.env?.NODE_ENV === "test" && require.main === module) {
+  runSelfTests();
+}
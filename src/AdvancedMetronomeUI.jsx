@@ -6,6 +6,128 @@ import { Label } from "@/components/ui/label";
 import { Slider } from "@/components/ui/slider";
 import { Switch } from "@/components/ui/switch";
 import { Progress } from "@/components/ui/progress";
+import { createWorkerClock } from "@/lib/clock";
+import {
+  BEAT_UNITS,
+  BUILTIN_VOICES,
+  GAP_MODES,
+  MAX_COUNT_IN_BARS,
+  MAX_POLY_LAYERS,
+  RAMP_COMPLETIONS,
+  RAMP_CURVES,
+  RAMP_LENGTH_UNITS,
+  SUBDIVISIONS,
+  TIME_SIGNATURES,
+  TIME_SIGNATURE_UNITS,
+  VOICE_SLOTS,
+  buildAccentArray,
+  clamp,
+  formatTimeSignature,
+  getPulseLayout,
+  getStepsPerBeat,
+  isValidTimeSignature,
+  nextAccentLevel,
+  nextStepState,
+  normalizeAccentArray,
+  normalizeConfig,
+  normalizeCountIn,
+  normalizeGap,
+  normalizePolyLayer,
+  normalizeSpokenCount,
+  normalizeStepGrid,
+  normalizeTraining,
+  normalizeVoices,
+  parseBeats,
+} from "@/lib/config";
+import { COUNT_VOICE_PREFIX, getMissingCountWords } from "@/lib/count";
+import { createMetronomeEngine, getPolymeterCycleBars } from "@/lib/engine";
+import { openFile, saveFile } from "@/lib/files";
+import { readDocument, writeDocument } from "@/lib/storage";
+import { CONFIG_FILE_VERSION, createConfigFile, formatIssue, readConfigFile } from "@/lib/schema";
+import {
+  QUICK_SLOTS,
+  addPreset,
+  assignQuickSlot,
+  deletePreset,
+  duplicatePreset,
+  filterPresets,
+  getPresetTags,
+  getQuickSlotPreset,
+  movePreset,
+  normalizePresetLibrary,
+  updatePreset,
+} from "@/lib/presets";
+import { MIDI_NOTE_KINDS, exportMidi, normalizeMidiOptions } from "@/lib/midi";
+import {
+  SYNC_MODES,
+  createMidiClockReceiver,
+  createMidiClockSender,
+  createTimeMapper,
+  getClocksPerPulse,
+  getPulseBpm,
+  getSongSixteenths,
+  listMidiPorts,
+  normalizeSyncSettings,
+  readSyncSettings,
+  requestMidiAccess,
+  writeSyncSettings,
+} from "@/lib/midiSync";
+import {
+  LAN_ROLES,
+  LEADER_TIMEOUT_MS,
+  createInstanceId,
+  createOffsetEstimator,
+  getLanBridge,
+  getLastLeaderBeat,
+  getNextDownbeat,
+  normalizeLanSettings,
+  parseLeaderState,
+  readLanSettings,
+  writeLanSettings,
+} from "@/lib/lanSync";
+import { getOscBridge, normalizeOscSettings, readOscSettings, writeOscSettings } from "@/lib/osc";
+import {
+  DEFAULT_SHORTCUTS,
+  SHORTCUT_ACTIONS,
+  findShortcutConflicts,
+  formatAccelerator,
+  getShortcutsBridge,
+  normalizeShortcuts,
+  readShortcuts,
+  toAccelerator,
+  writeShortcuts,
+} from "@/lib/shortcuts";
+import { getTrayBridge } from "@/lib/tray";
+import { WINDOW_MODES, getWindowBridge } from "@/lib/windowMode";
+import {
+  getRemoteBridge,
+  normalizeRemoteSettings,
+  readRemoteSettings,
+  writeRemoteSettings,
+} from "@/lib/remote";
+import {
+  RENDER_BIT_DEPTHS,
+  RENDER_LENGTH_UNITS,
+  RENDER_SAMPLE_RATES,
+  audioBufferToWav,
+  normalizeRenderOptions,
+  renderClickTrack,
+} from "@/lib/render";
+import {
+  MAX_USER_SAMPLE_BYTES,
+  createVoiceBank,
+  isStorageFullError,
+  readUserSamples,
+  writeUserSample,
+} from "@/lib/voices";
+import {
+  MAX_SECTION_BARS,
+  getSongLength,
+  normalizeSetlist,
+  normalizeSong,
+  readSongLibrary,
+  writeSongLibrary,
+} from "@/lib/song";
 import {
   Play,
   Pause,
@@ -18,6 +140,17 @@ import {
   Clock,
   TimerReset,
   Sparkles,
+  Repeat,
+  ChevronUp,
+  ChevronDown,
+  SkipBack,
+  SkipForward,
+  Maximize2,
+  Star,
+  Copy,
+  Pencil,
+  Trash2,
+  X,
 } from "lucide-react";
 
 /**
@@ -26,18 +159,6 @@ import {
  * Funciona bien como panel de “dispositivo físico” para Mac/iPad/iPhone.
  */
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
-
-function parseBeats(ts) {
-  const [top, bottom] = ts.split("/").map((x) => parseInt(x, 10));
-  return {
-    beats: Number.isFinite(top) ? top : 4,
-    unit: Number.isFinite(bottom) ? bottom : 4,
-  };
-}
-
 function formatSwingLabel(v) {
   if (v <= 0) return "Recto";
   if (v < 45) return "Ligero";
@@ -45,99 +166,81 @@ function formatSwingLabel(v) {
   return "Pesado";
 }
 
-const TIME_SIGNATURES = [
-  "2/2",
-  "2/4",
-  "3/4",
-  "4/4",
-  "5/4",
-  "6/4",
-  "7/4",
-  "3/8",
-  "5/8",
-  "6/8",
-  "7/8",
-  "9/8",
-  "12/8",
-  "5/16",
-  "7/16",
-  "9/16",
-  "11/16",
-  "13/16",
-];
-const SUBDIVISIONS = ["1/4", "1/8", "1/8T", "1/16", "1/16T", "1/32", "1/32T", "1/64"];
-
-function getSubdivisionsPerBeat(value) {
-  switch (value) {
-    case "1/4":
-      return 1;
-    case "1/8":
-      return 2;
-    case "1/8T":
-      return 3;
-    case "1/16":
-      return 4;
-    case "1/16T":
-      return 6;
-    case "1/32":
-      return 8;
-    case "1/32T":
-      return 12;
-    case "1/64":
-      return 16;
-    default:
-      return 2;
-  }
-}
-
-const PRESET_SLOTS = 4;
 const STORAGE_KEY = "metronome-presets-v1";
 const LAST_CONFIG_KEY = "metronome-last-config-v1";
-const EXPORT_VERSION = 1;
-
-function normalizeBooleanArray(value, length) {
-  const list = Array.isArray(value) ? value : [];
-  return Array.from({ length }, (_, i) => Boolean(list[i]));
-}
-
-function buildAccentArray(length, base = []) {
-  return Array.from({ length }, (_, i) => base?.[i] ?? i === 0);
-}
-
-function normalizeConfig(raw) {
-  const bpm = clamp(Number(raw?.bpm) || 120, 20, 300);
-  const ts =
-    typeof raw?.ts === "string" && TIME_SIGNATURES.includes(raw.ts)
-      ? raw.ts
-      : "4/4";
-  const { beats } = parseBeats(ts);
-  const subdivision = SUBDIVISIONS.includes(raw?.subdivision)
-    ? raw.subdivision
-    : "1/8";
-  const swing = clamp(Number(raw?.swing) || 0, 0, 75);
-  const volume = clamp(Number(raw?.volume) || 70, 0, 100);
-  const polyEnabled = Boolean(raw?.polyEnabled ?? false);
-  const polyBeats = clamp(Number(raw?.polyBeats) || 3, 2, 12);
-  const polySubdivision = SUBDIVISIONS.includes(raw?.polySubdivision)
-    ? raw.polySubdivision
-    : "1/4";
-  const polyVolume = clamp(Number(raw?.polyVolume) || 55, 0, 100);
-  const visualPulse = Boolean(raw?.visualPulse ?? true);
-  const accents = normalizeBooleanArray(raw?.accents, beats);
-  return {
-    bpm,
-    ts,
-    subdivision,
-    swing,
-    volume,
-    polyEnabled,
-    polyBeats,
-    polySubdivision,
-    polyVolume,
-    visualPulse,
-    accents,
-  };
-}
+// Nombres de los documentos en el escritorio (archivos JSON en userData).
+const PRESETS_DOCUMENT = "presets";
+const LAST_CONFIG_DOCUMENT = "last-config";
+const CONFIG_FILE_SUFFIX = ".metronome.json";
+const CONFIG_FILE_FILTERS = [{ name: "Configuración del metrónomo", extensions: ["json"] }];
+const MAX_QUEUED_BEATS = 256;
+const ACCENT_LEVEL_LABELS = {
+  accent: "Acento",
+  normal: "Normal",
+  ghost: "Suave",
+  mute: "Silencio",
+};
+const ACCENT_DOT_CLASSES = {
+  accent: "bg-emerald-400/90 border-emerald-300 shadow-[0_0_12px_rgba(34,197,94,0.45)]",
+  normal: "bg-white/10 border-white/15",
+  ghost: "bg-transparent border-white/25",
+  mute: "bg-transparent border-white/10 opacity-40",
+};
+const ACCENT_BUTTON_CLASSES = {
+  accent:
+    "border-emerald-300/60 bg-emerald-400/30 text-white shadow-[0_0_14px_rgba(34,197,94,0.35)]",
+  normal: "border-white/15 bg-white/5 text-white/90 hover:bg-white/10",
+  ghost: "border-dashed border-white/30 bg-transparent text-white/60 hover:bg-white/10",
+  mute: "border-white/10 bg-black/60 text-white/30 line-through hover:bg-white/10",
+};
+const STEP_CELL_CLASSES = {
+  on: "border-white/20 bg-white/15",
+  accent: "border-emerald-300/60 bg-emerald-400/50 shadow-[0_0_10px_rgba(34,197,94,0.35)]",
+  off: "border-white/10 bg-black/60",
+};
+const VOICE_SLOT_LABELS = {
+  accent: "Acento",
+  beat: "Pulso",
+  subdivision: "Subdivisión",
+};
+const RAMP_CURVE_LABELS = { linear: "Lineal", stepped: "Escalonada" };
+const RAMP_LENGTH_UNIT_LABELS = { bars: "Compases", minutes: "Minutos" };
+const RAMP_COMPLETION_LABELS = { hold: "Mantener", stop: "Detener" };
+const GAP_MODE_LABELS = { bars: "Compases", random: "Aleatorio" };
+// Muestras de voz del conteo hablado incluidas en la compilación: <palabra>.wav|mp3|ogg.
+const COUNT_VOICE_URLS = import.meta.glob("./assets/count-voice/*.{wav,mp3,ogg}", {
+  eager: true,
+  query: "?url",
+  import: "default",
+});
+const HAS_COUNT_VOICE = getMissingCountWords(Object.keys(COUNT_VOICE_URLS)).length === 0;
+const RENDER_LENGTH_UNIT_LABELS = { bars: "Compases", seconds: "Segundos" };
+const MIDI_NOTE_LABELS = {
+  accent: "Acento",
+  beat: "Pulso",
+  subdivision: "Subdivisión",
+  poly: "Polirritmo",
+  countIn: "Cuenta previa",
+};
+const SYNC_MODE_LABELS = { off: "Apagado", send: "Enviar", receive: "Seguir" };
+const LAN_ROLE_LABELS = { off: "Apagado", leader: "Líder", follower: "Seguidor" };
+const LAN_TICK_MS = 250;
+const WINDOW_MODE_LABELS = { tray: "Bandeja", pinned: "Fijo", detached: "Ventana", mini: "Mini" };
+// Zonas para arrastrar la ventana sin marco (y botones que deben seguir pulsables dentro).
+const DRAG_REGION = { WebkitAppRegion: "drag" };
+const NO_DRAG_REGION = { WebkitAppRegion: "no-drag" };
+const SHORTCUT_ERRORS = {
+  duplicate: "Repetido en otra acción",
+  panel: "Tapa un atajo del panel",
+  invalid: "Combinación no válida",
+  taken: "En uso por otra aplicación",
+};
+// Error de fase (s) por debajo del cual no se corrige, y fracción que se corrige por pulso.
+const SYNC_PHASE_TOLERANCE = 0.002;
+// La ganancia es baja porque los pulsos ya programados tardan unos pulsos en reflejar la corrección.
+const SYNC_PHASE_GAIN = 0.25;
+// Un arranque externo que llega algo tarde suena ya; más tarde espera al pulso siguiente.
+const SYNC_LATE_START = 0.03;
 
 function useSyncedRef(value) {
   const ref = useRef(value);
@@ -149,37 +252,10 @@ function useSyncedRef(value) {
 
 // Pruebas mínimas para helpers puros (solo en NODE_ENV=test, lado servidor)
 function runSelfTests() {
-  console.assert(clamp(10, 0, 5) === 5, "falló el límite superior de clamp");
-  console.assert(clamp(-1, 0, 5) === 0, "falló el límite inferior de clamp");
-  console.assert(clamp(3, 0, 5) === 3, "falló el paso directo de clamp");
-  const a = parseBeats("7/8");
-  console.assert(a.beats === 7 && a.unit === 8, "falló parseBeats 7/8");
-  const b = parseBeats("bad");
-  console.assert(b.beats === 4 && b.unit === 4, "falló el fallback de parseBeats");
   console.assert(formatSwingLabel(0) === "Recto", "falló formatSwingLabel 0");
   console.assert(formatSwingLabel(20) === "Ligero", "falló formatSwingLabel ligero");
   console.assert(formatSwingLabel(50) === "Medio", "falló formatSwingLabel medio");
   console.assert(formatSwingLabel(70) === "Pesado", "falló formatSwingLabel pesado");
-  const config = normalizeConfig({
-    bpm: 85,
-    ts: "7/8",
-    subdivision: "1/16",
-    swing: 10,
-    volume: 55,
-    polyEnabled: true,
-    polyBeats: 5,
-    polySubdivision: "1/8",
-    polyVolume: 45,
-    visualPulse: false,
-    accents: [true, false, true],
-  });
-  console.assert(config.bpm === 85, "falló normalizeConfig bpm");
-  console.assert(config.ts === "7/8", "falló normalizeConfig ts");
-  console.assert(config.polyEnabled === true, "falló normalizeConfig polyEnabled");
-  console.assert(config.polyBeats === 5, "falló normalizeConfig polyBeats");
-  console.assert(config.polySubdivision === "1/8", "falló normalizeConfig polySubdivision");
-  console.assert(config.polyVolume === 45, "falló normalizeConfig polyVolume");
-  console.assert(config.accents.length === 7, "falló la longitud de acentos en normalizeConfig");
 }
 if (
   typeof window === "undefined" &&
@@ -189,6 +265,15 @@ if (
   runSelfTests();
 }
 
+// Nombres de conteo: "1 e & a" en semicorcheas, "1 & a" en tresillos.
+function getStepLabel(beatIndex, subIndex, subdivisionsPerBeat) {
+  if (subIndex === 0) return String(beatIndex + 1);
+  if (subdivisionsPerBeat === 2) return "&";
+  if (subdivisionsPerBeat === 3) return ["&", "a"][subIndex - 1];
+  if (subdivisionsPerBeat === 4) return ["e", "&", "a"][subIndex - 1];
+  return "·";
+}
+
 function SegButton({ active, children, onClick }) {
   return (
     <button
@@ -206,30 +291,449 @@ function SegButton({ active, children, onClick }) {
   );
 }
 
-function TinyDotRow({ beats, accents, activeIndex }) {
+// Widget flotante: solo BPM, pulsos e inicio/parada; se arrastra desde cualquier punto.
+function MiniWidget({ bpm, beats, accents, groups, activeIndex, isRunning, onToggle, onExpand }) {
+  return (
+    <div
+      className="flex h-full flex-col justify-center gap-2 bg-[linear-gradient(180deg,#1b222c,#0b0f14_55%,#070a0f)] px-4 py-3 text-white"
+      style={DRAG_REGION}
+    >
+      <div className="flex items-center gap-3">
+        <div className="flex flex-1 items-end gap-1.5">
+          <div className="text-4xl font-extrabold tracking-tight tabular-nums drop-shadow-[0_2px_0_rgba(0,0,0,0.6)]">
+            {bpm}
+          </div>
+          <div className="pb-1 text-xs text-white/80">BPM</div>
+        </div>
+        <Button
+          size="icon"
+          className="h-10 w-10 rounded-2xl bg-[linear-gradient(180deg,#22c55e,#15803d)] text-black shadow-[inset_0_1px_0_rgba(255,255,255,0.35),0_10px_18px_rgba(0,0,0,0.55)] hover:brightness-110"
+          style={NO_DRAG_REGION}
+          onClick={onToggle}
+          aria-label={isRunning ? "Pausar" : "Iniciar"}
+        >
+          {isRunning ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+        </Button>
+        <button
+          type="button"
+          className="rounded-xl p-1.5 text-white/70 hover:bg-white/10 hover:text-white"
+          style={NO_DRAG_REGION}
+          onClick={onExpand}
+          title="Volver al panel completo"
+        >
+          <Maximize2 className="h-4 w-4" />
+        </button>
+      </div>
+      <TinyDotRow beats={beats} accents={accents} groups={groups} activeIndex={activeIndex} />
+    </div>
+  );
+}
+
+function TinyDotRow({ beats, accents, groups, activeIndex }) {
   const count = Math.max(1, beats);
-  const cells = Array.from({ length: count }, (_, i) => accents?.[i] ?? i === 0);
+  const cells = buildAccentArray(count, accents, groups);
   const dense = count > 12;
+  // Cada grupo aditivo (p. ej. 2+2+3) se dibuja como un racimo separado.
+  let offset = 0;
+  const clusters = (groups ?? [count]).map((size) => {
+    const start = offset;
+    offset += size;
+    return Array.from({ length: size }, (_, k) => start + k);
+  });
   return (
-    <div className="flex flex-wrap items-center justify-center gap-2">
-      {cells.map((on, i) => {
-        const isActive = Number.isFinite(activeIndex) && i === activeIndex;
-        return (
-        <div
-          key={i}
-          className={
-            "rounded-full border transition-all duration-500 ease-out " +
-            (dense ? "h-2 w-2" : "h-2.5 w-2.5") +
-            " " +
-            (isActive
-              ? "bg-sky-200 border-sky-100 shadow-[0_0_16px_rgba(56,189,248,0.9),0_0_30px_rgba(56,189,248,0.55)]"
-              : on
-              ? "bg-emerald-400/90 border-emerald-300 shadow-[0_0_12px_rgba(34,197,94,0.45)]"
-              : "bg-white/10 border-white/15")
-          }
+    <div className="flex flex-wrap items-center justify-center gap-x-4 gap-y-2">
+      {clusters.map((indices, g) => (
+        <div key={g} className="flex flex-wrap items-center justify-center gap-2">
+          {indices.map((i) => {
+            const isActive = Number.isFinite(activeIndex) && i === activeIndex;
+            return (
+            <div
+              key={i}
+              className={
+                "rounded-full border transition-all duration-500 ease-out " +
+                (dense ? "h-2 w-2" : "h-2.5 w-2.5") +
+                " " +
+                (isActive
+                  ? "bg-sky-200 border-sky-100 shadow-[0_0_16px_rgba(56,189,248,0.9),0_0_30px_rgba(56,189,248,0.55)]"
+                  : ACCENT_DOT_CLASSES[cells[i]])
+              }
+            />
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PolyLayerCard({ layer, index, mainBeats, voiceOptions, onChange, onRemove }) {
+  return (
+    <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs font-semibold text-white">Capa {index + 1}</div>
+        <div className="flex items-center gap-3">
+          <div className="flex items-center gap-2 text-xs text-white/80">
+            Silenciar
+            <Switch checked={layer.muted} onCheckedChange={(muted) => onChange({ muted })} />
+          </div>
+          {onRemove && (
+            <button
+              type="button"
+              className="text-xs font-medium text-white/80 hover:text-white hover:underline"
+              onClick={onRemove}
+            >
+              Quitar
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <SegButton active={layer.mode === "rhythm"} onClick={() => onChange({ mode: "rhythm" })}>
+          Polirritmo
+        </SegButton>
+        <SegButton active={layer.mode === "meter"} onClick={() => onChange({ mode: "meter" })}>
+          Polímetro
+        </SegButton>
+      </div>
+      {layer.mode === "meter" && (
+        <div className="text-[11px] text-white/75">
+          Comparte el pulso principal; se realinea cada{" "}
+          {getPolymeterCycleBars(mainBeats, layer.beats)} compases
+        </div>
+      )}
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <Label className="text-xs text-white/85">Pulsos</Label>
+          <div className="flex gap-2">
+            {[3, 4, 5, 7].map((value) => (
+              <SegButton
+                key={value}
+                active={layer.beats === value}
+                onClick={() => onChange({ beats: value })}
+              >
+                {value}
+              </SegButton>
+            ))}
+          </div>
+        </div>
+        <div className="space-y-2">
+          <Label className="text-xs text-white/85">Subdivisión</Label>
+          <select
+            value={layer.subdivision}
+            onChange={(event) => onChange({ subdivision: event.target.value })}
+            className="w-full rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+          >
+            {SUBDIVISIONS.map((value) => (
+              <option key={value} value={value} className="bg-slate-900">
+                {value}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="flex items-center gap-2">
+        <Label className="w-24 shrink-0 text-xs text-white/85">Sonido</Label>
+        <select
+          value={layer.voice}
+          onChange={(event) => onChange({ voice: event.target.value })}
+          className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+        >
+          {voiceOptions.map((voice) => (
+            <option key={voice.id} value={voice.id} className="bg-slate-900">
+              {voice.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <div className="flex items-center justify-between text-xs text-white/80">
+            <span>Afinación</span>
+            <span className="text-white">
+              {layer.pitch > 0 ? `+${layer.pitch}` : layer.pitch} st
+            </span>
+          </div>
+          <Slider
+            value={[layer.pitch]}
+            min={-12}
+            max={12}
+            step={1}
+            onValueChange={(v) => onChange({ pitch: v[0] })}
+          />
+        </div>
+        <div>
+          <div className="flex items-center justify-between text-xs text-white/80">
+            <span>Volumen</span>
+            <span className="text-white">{layer.volume}%</span>
+          </div>
+          <Slider
+            value={[layer.volume]}
+            min={0}
+            max={100}
+            step={1}
+            onValueChange={(v) => onChange({ volume: v[0] })}
+          />
+        </div>
+      </div>
+      <div className="flex flex-wrap justify-center gap-2">
+        {layer.accents.map((level, i) => (
+          <button
+            key={i}
+            type="button"
+            onClick={() => {
+              const accents = [...layer.accents];
+              accents[i] = nextAccentLevel(level);
+              onChange({ accents });
+            }}
+            title={ACCENT_LEVEL_LABELS[level]}
+            aria-label={`Capa ${index + 1}, pulso ${i + 1}: ${ACCENT_LEVEL_LABELS[level]}`}
+            className={
+              "h-8 w-8 rounded-2xl border text-xs font-semibold transition shadow-sm " +
+              ACCENT_BUTTON_CLASSES[level]
+            }
+          >
+            {i + 1}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SongSectionRow({
+  section,
+  index,
+  count,
+  active,
+  looping,
+  onChange,
+  onCapture,
+  onJump,
+  onToggleLoop,
+  onMove,
+  onRemove,
+}) {
+  const iconButton =
+    "inline-flex h-7 w-7 items-center justify-center rounded-xl border border-white/10 bg-white/5 text-white/85 hover:bg-white/10 disabled:opacity-30";
+  return (
+    <div
+      className={
+        "rounded-2xl border p-2 space-y-2 " +
+        (active ? "border-sky-400/60 bg-sky-400/10" : "border-white/12 bg-black/45")
+      }
+    >
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={section.name}
+          onChange={(event) => onChange({ name: event.target.value })}
+          aria-label={`Nombre de la sección ${index + 1}`}
+          className="min-w-0 flex-1 rounded-xl border border-white/15 bg-black/60 px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
         />
-        );
-      })}
+        <input
+          type="number"
+          min={1}
+          max={MAX_SECTION_BARS}
+          value={section.bars}
+          onChange={(event) => onChange({ bars: event.target.value })}
+          aria-label={`Compases de la sección ${index + 1}`}
+          className="w-14 rounded-xl border border-white/15 bg-black/60 px-2 py-1 text-center text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+        />
+        <span className="text-[11px] text-white/70">comp.</span>
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-[11px] tabular-nums text-white/75">
+          {section.config.bpm} BPM · {section.config.ts} · {section.config.subdivision}
+        </div>
+        <div className="flex items-center gap-1">
+          <button type="button" className={iconButton} onClick={onJump} title="Ir a la sección">
+            <SkipForward className="h-3.5 w-3.5" />
+          </button>
+          <button
+            type="button"
+            className={iconButton + (looping ? " border-sky-400/60 text-sky-300" : "")}
+            onClick={onToggleLoop}
+            title="Repetir la sección"
+          >
+            <Repeat className="h-3.5 w-3.5" />
+          </button>
+          <button
+            type="button"
+            className={iconButton}
+            disabled={index === 0}
+            onClick={() => onMove(-1)}
+            title="Subir"
+          >
+            <ChevronUp className="h-3.5 w-3.5" />
+          </button>
+          <button
+            type="button"
+            className={iconButton}
+            disabled={index === count - 1}
+            onClick={() => onMove(1)}
+            title="Bajar"
+          >
+            <ChevronDown className="h-3.5 w-3.5" />
+          </button>
+          <button
+            type="button"
+            className="text-[11px] font-medium text-white/80 hover:text-white hover:underline"
+            onClick={onCapture}
+            title="Guardar la configuración actual en esta sección"
+          >
+            Tomar
+          </button>
+          {count > 1 && (
+            <button
+              type="button"
+              className="text-[11px] font-medium text-white/80 hover:text-white hover:underline"
+              onClick={onRemove}
+            >
+              Quitar
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const formatPresetDate = (iso) =>
+  new Date(iso).toLocaleDateString("es", { day: "numeric", month: "short", year: "numeric" });
+
+// Fila de la biblioteca; los textos se confirman al salir del campo para no guardar en cada tecla.
+function PresetRow({
+  preset,
+  active,
+  editing,
+  slots,
+  canMove,
+  isFirst,
+  isLast,
+  onLoad,
+  onChange,
+  onToggleEdit,
+  onOverwrite,
+  onDuplicate,
+  onMove,
+  onRemove,
+}) {
+  const iconButton =
+    "inline-flex h-7 w-7 items-center justify-center rounded-xl border border-white/10 bg-white/5 text-white/85 hover:bg-white/10 disabled:opacity-30";
+  const field =
+    "w-full rounded-xl border border-white/15 bg-black/60 px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60";
+  return (
+    <div
+      className={
+        "rounded-2xl border p-2 space-y-2 " +
+        (active ? "border-sky-400/60 bg-sky-400/10" : "border-white/12 bg-black/45")
+      }
+    >
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          className={iconButton + (preset.favorite ? " text-amber-300" : "")}
+          onClick={() => onChange({ favorite: !preset.favorite })}
+          title={preset.favorite ? "Quitar de favoritos" : "Marcar como favorito"}
+        >
+          <Star className="h-3.5 w-3.5" fill={preset.favorite ? "currentColor" : "none"} />
+        </button>
+        <button type="button" className="min-w-0 flex-1 text-left" onClick={onLoad} title="Cargar">
+          <div className="truncate text-sm font-medium text-white">{preset.name}</div>
+          <div className="truncate text-[11px] tabular-nums text-white/70">
+            {preset.config.bpm} BPM · {preset.config.ts}
+            {slots.length > 0 && ` · ranura ${slots.map((slot) => slot + 1).join(", ")}`}
+            {preset.tags.length > 0 && ` · ${preset.tags.join(", ")}`}
+          </div>
+        </button>
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            className={iconButton}
+            disabled={!canMove || isFirst}
+            onClick={() => onMove(-1)}
+            title={canMove ? "Subir" : "Quita el filtro para reordenar"}
+          >
+            <ChevronUp className="h-3.5 w-3.5" />
+          </button>
+          <button
+            type="button"
+            className={iconButton}
+            disabled={!canMove || isLast}
+            onClick={() => onMove(1)}
+            title={canMove ? "Bajar" : "Quita el filtro para reordenar"}
+          >
+            <ChevronDown className="h-3.5 w-3.5" />
+          </button>
+          <button
+            type="button"
+            className={iconButton + (editing ? " border-sky-400/60 text-sky-300" : "")}
+            onClick={onToggleEdit}
+            title="Editar"
+          >
+            <Pencil className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      </div>
+      {editing && (
+        <div className="space-y-2">
+          <input
+            key={`name-${preset.updatedAt}`}
+            type="text"
+            defaultValue={preset.name}
+            maxLength={80}
+            onBlur={(event) => {
+              if (event.target.value !== preset.name) onChange({ name: event.target.value });
+            }}
+            aria-label="Nombre del preajuste"
+            className={field}
+          />
+          <input
+            key={`tags-${preset.updatedAt}`}
+            type="text"
+            defaultValue={preset.tags.join(", ")}
+            placeholder="Etiquetas, separadas por comas"
+            onBlur={(event) => {
+              if (event.target.value !== preset.tags.join(", ")) onChange({ tags: event.target.value });
+            }}
+            aria-label="Etiquetas del preajuste"
+            className={field}
+          />
+          <textarea
+            key={`notes-${preset.updatedAt}`}
+            defaultValue={preset.notes}
+            rows={3}
+            maxLength={2000}
+            placeholder="Notas"
+            onBlur={(event) => {
+              if (event.target.value !== preset.notes) onChange({ notes: event.target.value });
+            }}
+            aria-label="Notas del preajuste"
+            className={field + " resize-y"}
+          />
+          <div className="text-[11px] text-white/60">
+            Creado {formatPresetDate(preset.createdAt)} · modificado {formatPresetDate(preset.updatedAt)}
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <button
+              type="button"
+              className="text-[11px] font-medium text-white/80 hover:text-white hover:underline"
+              onClick={onOverwrite}
+              title="Guardar la configuración actual en este preajuste"
+            >
+              Tomar la actual
+            </button>
+            <div className="flex items-center gap-1">
+              <button type="button" className={iconButton} onClick={onDuplicate} title="Duplicar">
+                <Copy className="h-3.5 w-3.5" />
+              </button>
+              <button type="button" className={iconButton} onClick={onRemove} title="Borrar">
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -240,69 +744,352 @@ export default function AdvancedMetronomeUI() {
 
   const [bpm, setBpm] = useState(120);
   const [ts, setTs] = useState("4/4");
-  const { beats, unit } = useMemo(() => parseBeats(ts), [ts]);
+  const [beatUnit, setBeatUnit] = useState("auto");
+  const layout = useMemo(() => getPulseLayout(ts, beatUnit), [ts, beatUnit]);
+  const { pulses: beats, groups } = layout;
+  const [customBeats, setCustomBeats] = useState("4");
+  const [customUnit, setCustomUnit] = useState("4");
+  const [customGrouping, setCustomGrouping] = useState("");
 
   const [subdivision, setSubdivision] = useState("1/8");
+  const subdivisionsPerBeat = useMemo(
+    () => getStepsPerBeat(subdivision, layout.dotted),
+    [subdivision, layout.dotted]
+  );
   const [swing, setSwing] = useState(0);
   const swingLabel = useMemo(() => formatSwingLabel(swing), [swing]);
 
   const [volume, setVolume] = useState(70);
   const [polyEnabled, setPolyEnabled] = useState(false);
-  const [polyBeats, setPolyBeats] = useState(3);
-  const [polySubdivision, setPolySubdivision] = useState("1/4");
-  const [polyVolume, setPolyVolume] = useState(55);
+  const [polyLayers, setPolyLayers] = useState(() => [normalizePolyLayer({}, 0)]);
+  const [polyActive, setPolyActive] = useState([]);
   const [visualPulse, setVisualPulse] = useState(true);
   const [phase, setPhase] = useState(0);
   const [currentBeat, setCurrentBeat] = useState(0);
 
   const [drawerOpen, setDrawerOpen] = useState(false);
-  const [presetTick, setPresetTick] = useState(0);
+  // Biblioteca de preajustes con nombre; las ranuras rápidas apuntan a ella por id.
+  const [presetLibrary, setPresetLibrary] = useState(() => normalizePresetLibrary(null));
+  const [activePresetId, setActivePresetId] = useState(null);
+  const [editingPresetId, setEditingPresetId] = useState(null);
+  const [presetQuery, setPresetQuery] = useState("");
+  const [presetTag, setPresetTag] = useState("");
+  const [presetFavoritesOnly, setPresetFavoritesOnly] = useState(false);
+  // Resumen de la última importación: { name, version, config, presets, songs, issues } o { name, error }.
+  const [importReport, setImportReport] = useState(null);
 
   // Acentos como un "patrón" compacto: toca para alternar en el cajón.
-  const [accents, setAccents] = useState([true, false, false, false]);
+  const [accents, setAccents] = useState(() => buildAccentArray(4));
+  const [voices, setVoices] = useState(() => normalizeVoices());
+  const [stepGrid, setStepGrid] = useState(() => normalizeStepGrid([], 4, 2));
+  // Solo id y nombre; los datos de cada muestra se leen de IndexedDB al cargar el audio.
+  const [userSamples, setUserSamples] = useState([]);
+
+  const [training, setTraining] = useState(() => normalizeTraining());
+  const [rampState, setRampState] = useState(null);
+  const [gap, setGap] = useState(() => normalizeGap());
+  const [gapSilent, setGapSilent] = useState(false);
+  const [countIn, setCountIn] = useState(() => normalizeCountIn());
+  const [spokenCount, setSpokenCount] = useState(() => normalizeSpokenCount());
+  const [countInBeat, setCountInBeat] = useState(null);
+  const [renderOptions, setRenderOptions] = useState(() => normalizeRenderOptions());
+  const [renderSource, setRenderSource] = useState("config");
+  const [isRendering, setIsRendering] = useState(false);
+  const [midiOptions, setMidiOptions] = useState(() => normalizeMidiOptions());
+  // Reloj MIDI: enviar el tempo a otros equipos o seguir un reloj externo.
+  const [syncSettings, setSyncSettings] = useState(() => readSyncSettings());
+  const [midiAccess, setMidiAccess] = useState(null);
+  const [midiPorts, setMidiPorts] = useState(() => listMidiPorts(null));
+  const [midiUnavailable, setMidiUnavailable] = useState(false);
+  const [followedBpm, setFollowedBpm] = useState(null);
+  // Control OSC (solo escritorio): el servidor UDP está en el proceso principal.
+  const [oscSettings, setOscSettings] = useState(() => readOscSettings());
+  const [oscStatus, setOscStatus] = useState(null);
+  // Mando desde el teléfono por la red local (solo escritorio).
+  const [remoteSettings, setRemoteSettings] = useState(() => readRemoteSettings());
+  const [remoteStatus, setRemoteStatus] = useState(null);
+  // Sincronía con otros metrónomos de la red local (solo escritorio).
+  const [lanSettings, setLanSettings] = useState(() => readLanSettings());
+  const [lanStatus, setLanStatus] = useState(null);
+  const [lanLeader, setLanLeader] = useState(null);
+  const [lanId] = useState(() => createInstanceId());
+  const [lanEstimator] = useState(() => createOffsetEstimator());
+  // Atajos globales del sistema (solo escritorio); shortcutCapture es la acción que se reasigna.
+  const [shortcuts, setShortcuts] = useState(() => readShortcuts());
+  const [shortcutResults, setShortcutResults] = useState({});
+  const [shortcutCapture, setShortcutCapture] = useState(null);
+  // Modo de la ventana de escritorio; null en el navegador.
+  const [windowMode, setWindowMode] = useState(null);
 
-  const [trainingMode, setTrainingMode] = useState(false);
-  const [trainingStep, setTrainingStep] = useState(2);
-  const [trainingEvery, setTrainingEvery] = useState(4);
+  // Canciones por secciones y repertorios para ensayo y escenario.
+  const [songLibrary, setSongLibrary] = useState(() => readSongLibrary());
+  const [songMode, setSongMode] = useState(false);
+  const [activeSongId, setActiveSongId] = useState(() => songLibrary.songs[0]?.id ?? null);
+  const [activeSetlistId, setActiveSetlistId] = useState("");
+  const [songPosition, setSongPosition] = useState(null);
+  const [loopSection, setLoopSection] = useState(null);
 
   // Solo UI: tempo rápido con toques
   const [tapHistory, setTapHistory] = useState([]);
   const audioContextRef = useRef(null);
   const masterGainRef = useRef(null);
+  const voiceBankRef = useRef(null);
+  const userSamplesReadyRef = useRef(Promise.resolve());
   const isRunningRef = useRef(false);
-  const nextNoteTimeRef = useRef(0);
-  const currentStepRef = useRef(0);
-  const measureStartRef = useRef(0);
-  const rafIdRef = useRef(null);
+  const engineRef = useRef(null);
+  const displayRafRef = useRef(null);
+  // Pulsos ya programados, pendientes de mostrarse cuando suenen.
+  const beatQueueRef = useRef([]);
+  const displayMeasureStartRef = useRef(0);
   const bpmRef = useSyncedRef(bpm);
-  const beatsRef = useSyncedRef(beats);
-  const unitRef = useSyncedRef(unit);
+  const tsRef = useSyncedRef(ts);
+  const beatUnitRef = useSyncedRef(beatUnit);
   const subdivisionRef = useSyncedRef(subdivision);
   const swingRef = useSyncedRef(swing);
   const accentsRef = useSyncedRef(accents);
+  const voicesRef = useSyncedRef(voices);
+  const stepGridRef = useSyncedRef(stepGrid);
+  const trainingRef = useSyncedRef(training);
+  const gapRef = useSyncedRef(gap);
+  const countInRef = useSyncedRef(countIn);
+  const spokenCountRef = useSyncedRef(spokenCount);
   const volumeRef = useSyncedRef(volume);
   const polyEnabledRef = useSyncedRef(polyEnabled);
-  const polyBeatsRef = useSyncedRef(polyBeats);
-  const polySubdivisionRef = useSyncedRef(polySubdivision);
-  const polyVolumeRef = useSyncedRef(polyVolume);
+  const polyLayersRef = useSyncedRef(polyLayers);
   const visualPulseRef = useSyncedRef(visualPulse);
   const tempoLockRef = useSyncedRef(tempoLock);
-  const presetsRef = useRef([]);
-  const trainingModeRef = useSyncedRef(trainingMode);
-  const trainingStepRef = useSyncedRef(trainingStep);
-  const trainingEveryRef = useSyncedRef(trainingEvery);
-  const measureCountRef = useRef(0);
-  const polyNextNoteTimeRef = useRef(0);
-  const polyStepRef = useRef(0);
+  const lanSettingsRef = useSyncedRef(lanSettings);
+  const presetLibraryRef = useSyncedRef(presetLibrary);
+  const presetLibraryLoadedRef = useRef(false);
+  const lastConfigLoadedRef = useRef(false);
+  const midiSenderRef = useRef(null);
+  const timeMapperRef = useRef(null);
+  // Pulsos principales ya programados, para medir la fase frente al reloj externo.
+  const syncBeatTimesRef = useRef([]);
+  const oscActiveRef = useRef(false);
+  const remoteActiveRef = useRef(false);
+  // Líder: último tiempo fuerte programado ({ time en ms, bar }). Seguidor: { state, heardAt }.
+  const lanAnchorRef = useRef(null);
+  const lanLeaderRef = useRef(null);
+  // Si el último tempo impuesto al motor vino del líder de la red (y no del reloj MIDI):
+  // solo entonces lo quita la red al cambiar sus ajustes.
+  const lanOverrideRef = useRef(false);
   const phaseRef = useRef(phase);
   const currentBeatRef = useRef(currentBeat);
 
+  const enqueueDisplayEvent = (event) => {
+    const queue = beatQueueRef.current;
+    queue.push(event);
+    if (queue.length > MAX_QUEUED_BEATS) {
+      queue.splice(0, queue.length - MAX_QUEUED_BEATS);
+    }
+  };
+
+  if (!engineRef.current) {
+    engineRef.current = createMetronomeEngine({
+      clock: createWorkerClock(),
+      now: () => audioContextRef.current?.currentTime ?? 0,
+      scheduleClick: (time, click) => scheduleClick(time, click),
+      onBeat: (event) => {
+        sendClockPulse(event.time, true);
+        syncBeatTimesRef.current = [...syncBeatTimesRef.current.slice(-7), event.time];
+        sendDesktopBeat(event);
+        if (event.beatIndex === 0 && lanSettingsRef.current.role === "leader") {
+          lanAnchorRef.current = { time: getTimeMapper().toPerformance(event.time), bar: event.bar };
+        }
+        enqueueDisplayEvent(event);
+      },
+      onCountIn: (event) => {
+        sendClockPulse(event.time, false);
+        enqueueDisplayEvent({ ...event, layer: "countIn" });
+      },
+      onPolyBeat: (event) => enqueueDisplayEvent({ ...event, layer: "poly" }),
+      onTempoChange: (next) => setBpm(next),
+      onTrainingProgress: (event) => enqueueDisplayEvent({ ...event, layer: "ramp" }),
+      onTrainingComplete: (event) => event.stopped && enqueueDisplayEvent({ ...event, layer: "end" }),
+      // La sección se aplica al programarla para que la interfaz no devuelva al motor la anterior.
+      onSectionChange: ({ config }) => applyConfig({ ...config, volume: volumeRef.current }),
+      onSongPosition: (event) => enqueueDisplayEvent({ ...event, layer: "song" }),
+      onSongEnd: (event) => enqueueDisplayEvent({ ...event, layer: "end" }),
+    });
+  }
+
+  useEffect(() => {
+    engineRef.current.setConfig({
+      bpm,
+      ts,
+      beatUnit,
+      subdivision,
+      swing,
+      volume,
+      polyEnabled,
+      polyLayers,
+      visualPulse,
+      accents,
+      voices,
+      stepGrid,
+      training,
+      gap,
+      countIn,
+      spokenCount,
+    });
+  }, [
+    bpm,
+    ts,
+    beatUnit,
+    subdivision,
+    swing,
+    volume,
+    polyEnabled,
+    polyLayers,
+    visualPulse,
+    accents,
+    voices,
+    stepGrid,
+    training,
+    gap,
+    countIn,
+    spokenCount,
+  ]);
+
+  useEffect(() => {
+    engineRef.current.setTempoLock(tempoLock);
+  }, [tempoLock]);
+
+  const activeSong = songLibrary.songs.find((song) => song.id === activeSongId) ?? null;
+  const activeSetlist = songLibrary.setlists.find((setlist) => setlist.id === activeSetlistId) ?? null;
+  // Orden en escena: el del repertorio elegido o todas las canciones.
+  const songOrder = activeSetlist
+    ? activeSetlist.songIds
+        .map((id) => songLibrary.songs.find((song) => song.id === id))
+        .filter(Boolean)
+    : songLibrary.songs;
+
+  useEffect(() => {
+    engineRef.current.setSong(songMode ? activeSong : null);
+    if (!songMode) {
+      setSongPosition(null);
+    }
+  }, [songMode, activeSong]);
+
+  useEffect(() => {
+    setLoopSection(null);
+    setSongPosition(null);
+  }, [songMode, activeSongId]);
+
+  useEffect(() => {
+    engineRef.current.setLoopSection(loopSection);
+  }, [loopSection]);
+
+  useEffect(() => {
+    writeSongLibrary(songLibrary);
+  }, [songLibrary]);
+
+  useEffect(() => {
+    writeSyncSettings(syncSettings);
+  }, [syncSettings]);
+
+  // Web MIDI se pide solo al activar la sincronía (puede mostrar un permiso).
   useEffect(() => {
-    setAccents((prev) => buildAccentArray(beats, prev));
+    if (syncSettings.mode === "off" || midiAccess) return;
+    let cancelled = false;
+    requestMidiAccess().then((access) => {
+      if (cancelled) return;
+      setMidiUnavailable(!access);
+      setMidiAccess(access);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [syncSettings.mode, midiAccess]);
+
+  useEffect(() => {
+    if (!midiAccess) return;
+    const refresh = () => setMidiPorts(listMidiPorts(midiAccess));
+    refresh();
+    midiAccess.addEventListener("statechange", refresh);
+    return () => midiAccess.removeEventListener("statechange", refresh);
+  }, [midiAccess]);
+
+  const hasSyncOutput = midiPorts.outputs.some((port) => port.id === syncSettings.outputId);
+  const hasSyncInput = midiPorts.inputs.some((port) => port.id === syncSettings.inputId);
+
+  useEffect(() => {
+    const output = syncSettings.mode === "send" && hasSyncOutput
+      ? midiAccess.outputs.get(syncSettings.outputId)
+      : null;
+    if (!output) return;
+    const sender = createMidiClockSender({
+      output,
+      toTimestamp: (time) => getTimeMapper().toPerformance(time),
+    });
+    midiSenderRef.current = sender;
+    return () => {
+      midiSenderRef.current = null;
+      if (isRunningRef.current) {
+        sender.stop();
+      }
+    };
+  }, [syncSettings.mode, syncSettings.outputId, hasSyncOutput, midiAccess]);
+
+  // Seguir: el transporte del maestro arranca y para el motor, su reloj fija el tempo y
+  // cada pulso del compás corrige la fase.
+  useEffect(() => {
+    const input = syncSettings.mode === "receive" && hasSyncInput
+      ? midiAccess.inputs.get(syncSettings.inputId)
+      : null;
+    if (!input) return;
+    const engine = engineRef.current;
+    // onTempo llega con cada reloj (24 por negra): la pantalla solo cambia con el BPM redondeado.
+    let shownBpm = null;
+    const receiver = createMidiClockReceiver({
+      onTempo: (quarterBpm) => {
+        const { ts: pulseTs, beatUnit: pulseUnit } = engine.getConfig();
+        engine.setTempoOverride(quarterBpm ? getPulseBpm(quarterBpm, pulseTs, pulseUnit) : null);
+        lanOverrideRef.current = false;
+        const rounded = quarterBpm ? Math.round(quarterBpm) : null;
+        if (rounded === shownBpm) return;
+        shownBpm = rounded;
+        setFollowedBpm(rounded);
+      },
+      onStart: (event) => {
+        if (isRunningRef.current) {
+          stopTransport();
+        }
+        startTransport(event);
+      },
+      onClock: ({ tick, time }) => {
+        const { ts: pulseTs, beatUnit: pulseUnit } = engine.getConfig();
+        if (!isRunningRef.current || tick % getClocksPerPulse(pulseTs, pulseUnit) !== 0) return;
+        alignPhase(getTimeMapper().toAudio(time));
+      },
+      onStop: () => stopTransport(),
+    });
+    input.onmidimessage = (event) => receiver.handle(event.data, event.timeStamp);
+    return () => {
+      input.onmidimessage = null;
+      engine.setTempoOverride(null);
+      setFollowedBpm(null);
+    };
+  }, [syncSettings.mode, syncSettings.inputId, hasSyncInput, midiAccess]);
+
+  useEffect(() => {
+    setAccents((prev) => buildAccentArray(beats, prev, groups));
     setCurrentBeat(0);
     currentBeatRef.current = 0;
   }, [beats]);
 
+  useEffect(() => {
+    const parsed = parseBeats(ts);
+    setCustomBeats(String(parsed.beats));
+    setCustomUnit(String(parsed.unit));
+    setCustomGrouping(parsed.groups ? parsed.groups.join("+") : "");
+  }, [ts]);
+
+  useEffect(() => {
+    setStepGrid((prev) => normalizeStepGrid(prev, beats, subdivisionsPerBeat));
+  }, [beats, subdivisionsPerBeat]);
+
   useEffect(() => {
     volumeRef.current = volume;
     if (masterGainRef.current) {
@@ -311,15 +1098,6 @@ export default function AdvancedMetronomeUI() {
     }
   }, [volume]);
 
-  useEffect(() => {
-    if (!polyEnabled) return;
-    const context = audioContextRef.current;
-    if (context && isRunningRef.current) {
-      polyStepRef.current = 0;
-      polyNextNoteTimeRef.current = Math.max(context.currentTime, nextNoteTimeRef.current);
-    }
-  }, [polyEnabled]);
-
   useEffect(() => {
     phaseRef.current = phase;
   }, [phase]);
@@ -328,21 +1106,25 @@ export default function AdvancedMetronomeUI() {
     currentBeatRef.current = currentBeat;
   }, [currentBeat]);
 
+  // Las cuatro ranuras antiguas (una lista de configuraciones) se convierten en la biblioteca.
   useEffect(() => {
-    if (typeof window === "undefined") return;
-    const stored = window.localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      try {
-        const parsed = JSON.parse(stored);
-        if (Array.isArray(parsed)) {
-          presetsRef.current = parsed.map((entry) => normalizeConfig(entry));
-        }
-      } catch {
-        presetsRef.current = [];
-      }
-    }
+    readDocument(PRESETS_DOCUMENT, STORAGE_KEY)
+      .then((stored) => {
+        if (stored) setPresetLibrary(normalizePresetLibrary(stored));
+      })
+      .catch(() => {})
+      .finally(() => {
+        presetLibraryLoadedRef.current = true;
+      });
   }, []);
 
+  useEffect(() => {
+    if (!presetLibraryLoadedRef.current) return;
+    writeDocument(PRESETS_DOCUMENT, STORAGE_KEY, presetLibrary).catch(() => {
+      window.alert("No se pudieron guardar los preajustes.");
+    });
+  }, [presetLibrary]);
+
   const ensureAudioGraph = () => {
     if (!audioContextRef.current) {
       const context = new AudioContext();
@@ -351,251 +1133,381 @@ export default function AdvancedMetronomeUI() {
       master.connect(context.destination);
       audioContextRef.current = context;
       masterGainRef.current = master;
+      const bank = createVoiceBank(context);
+      voiceBankRef.current = bank;
+      userSamplesReadyRef.current = Promise.all([
+        readUserSamples()
+          .catch(() => [])
+          .then((samples) =>
+            Promise.all(
+              samples.map(async (sample) => {
+                try {
+                  await bank.loadUserSample(sample.id, sample.data);
+                } catch {
+                  // Una muestra dañada suena con la voz clásica.
+                }
+              })
+            )
+          ),
+        ...Object.entries(COUNT_VOICE_URLS).map(async ([path, url]) => {
+          const word = path.split("/").pop().replace(/\.\w+$/, "");
+          try {
+            const response = await fetch(url);
+            await bank.loadUserSample(`${COUNT_VOICE_PREFIX}${word}`, await response.arrayBuffer());
+          } catch {
+            // Sin la muestra, esa palabra del conteo simplemente no suena.
+          }
+        }),
+      ]);
     }
     return audioContextRef.current;
   };
 
+  const getTimeMapper = () => {
+    const context = ensureAudioGraph();
+    if (!timeMapperRef.current) {
+      timeMapperRef.current = createTimeMapper(context);
+    }
+    return timeMapperRef.current;
+  };
+
+  // Reparte el pulso recién programado en pulsos de reloj MIDI (modo enviar).
+  const sendClockPulse = (time, transport) => {
+    const sender = midiSenderRef.current;
+    const engine = engineRef.current;
+    if (!sender || !engine) return;
+    const { ts: pulseTs, beatUnit: pulseUnit } = engine.getConfig();
+    sender.pulse({
+      time,
+      duration: engine.getTiming().beatDuration,
+      clocks: getClocksPerPulse(pulseTs, pulseUnit),
+      transport,
+    });
+  };
+
+  // Los pulsos salen por OSC y al mando cuando suenan, no cuando se programan.
+  const sendDesktopBeat = ({ time, beatIndex, bar, level }) => {
+    const osc = oscActiveRef.current ? getOscBridge() : null;
+    const remote = remoteActiveRef.current ? getRemoteBridge() : null;
+    const tray = getTrayBridge();
+    if (!osc && !remote && !tray) return;
+    const delay = Math.max(0, getTimeMapper().toPerformance(time) - performance.now());
+    window.setTimeout(() => {
+      if (!isRunningRef.current) return;
+      if (osc && beatIndex === 0) {
+        osc.sendOscEvent({ type: "bar", bar });
+      }
+      osc?.sendOscEvent({ type: "beat", bar, beat: beatIndex + 1, level });
+      remote?.sendRemoteBeat({ bar, beat: beatIndex + 1 });
+      tray?.sendTrayBeat({ beat: beatIndex + 1 });
+    }, delay);
+  };
+
+  // Acerca los próximos pulsos al pulso del reloj externo (masterTime en tiempo de audio).
+  const alignPhase = (masterTime) => {
+    const engine = engineRef.current;
+    const nearest = syncBeatTimesRef.current.reduce(
+      (best, time) => (Math.abs(time - masterTime) < Math.abs(best - masterTime) ? time : best),
+      Infinity
+    );
+    const error = masterTime - nearest;
+    if (Math.abs(error) < SYNC_PHASE_TOLERANCE || Math.abs(error) > engine.getTiming().beatDuration / 2) {
+      return;
+    }
+    engine.nudge(error * SYNC_PHASE_GAIN);
+  };
+
   const getConfigSnapshot = () => ({
     bpm: bpmRef.current,
-    ts,
+    ts: tsRef.current,
+    beatUnit: beatUnitRef.current,
     subdivision: subdivisionRef.current,
     swing: swingRef.current,
     volume: volumeRef.current,
     polyEnabled: polyEnabledRef.current,
-    polyBeats: polyBeatsRef.current,
-    polySubdivision: polySubdivisionRef.current,
-    polyVolume: polyVolumeRef.current,
+    polyLayers: polyLayersRef.current,
     visualPulse: visualPulseRef.current,
     accents: accentsRef.current,
+    voices: voicesRef.current,
+    stepGrid: stepGridRef.current,
+    training: trainingRef.current,
+    gap: gapRef.current,
+    countIn: countInRef.current,
+    spokenCount: spokenCountRef.current,
   });
 
   const applyConfig = (raw) => {
     const config = normalizeConfig(raw);
-    const next = parseBeats(config.ts);
+    const next = getPulseLayout(config.ts, config.beatUnit);
     if (!tempoLockRef.current) {
       setBpm(config.bpm);
     }
     setTs(config.ts);
+    setBeatUnit(config.beatUnit);
     setSubdivision(config.subdivision);
     setSwing(config.swing);
     setVolume(config.volume);
     setPolyEnabled(config.polyEnabled);
-    setPolyBeats(config.polyBeats);
-    setPolySubdivision(config.polySubdivision);
-    setPolyVolume(config.polyVolume);
+    setPolyLayers(config.polyLayers);
     setVisualPulse(config.visualPulse);
-    setAccents(normalizeBooleanArray(config.accents, next.beats));
+    setAccents(normalizeAccentArray(config.accents, next.pulses));
+    setVoices(config.voices);
+    setStepGrid(config.stepGrid);
+    setTraining(config.training);
+    setGap(config.gap);
+    setCountIn(config.countIn);
+    setSpokenCount(config.spokenCount);
   };
 
   useEffect(() => {
-    if (typeof window === "undefined") return;
-    const stored = window.localStorage.getItem(LAST_CONFIG_KEY);
-    if (!stored) return;
-    try {
-      applyConfig(JSON.parse(stored));
-    } catch {
-      window.localStorage.removeItem(LAST_CONFIG_KEY);
-    }
+    readUserSamples()
+      .then((samples) => setUserSamples(samples.map(({ id, name }) => ({ id, name }))))
+      .catch(() => {});
   }, []);
 
-  const persistPresets = (presets) => {
-    if (typeof window === "undefined") return;
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  // Hasta leer la última configuración no se guarda nada: se pisaría con los valores de fábrica.
+  useEffect(() => {
+    readDocument(LAST_CONFIG_DOCUMENT, LAST_CONFIG_KEY)
+      .then((stored) => {
+        if (stored) applyConfig(stored);
+      })
+      .catch(() => {})
+      .finally(() => {
+        lastConfigLoadedRef.current = true;
+      });
+  }, []);
+
+  // Solo refs y setters: el atajo de teclado del panel conserva la versión del primer render.
+  const loadLibraryPreset = (id) => {
+    const preset = presetLibraryRef.current.presets.find((item) => item.id === id);
+    if (!preset) return;
+    setActivePresetId(id);
+    applyConfig(preset.config);
+  };
+
+  const saveCurrentAsPreset = () => {
+    const library = presetLibraryRef.current;
+    const result = addPreset(library, {
+      name: `Preajuste ${library.presets.length + 1}`,
+      config: normalizeConfig(getConfigSnapshot()),
+    });
+    setPresetLibrary(result.library);
+    setActivePresetId(result.preset.id);
+    setEditingPresetId(result.preset.id);
   };
 
+  const overwritePreset = (id) => {
+    setPresetLibrary((prev) => updatePreset(prev, id, { config: normalizeConfig(getConfigSnapshot()) }));
+    setActivePresetId(id);
+  };
+
+  // Ranura rápida: guarda sobre su preajuste o, si está libre, crea uno y se lo asigna.
   const savePreset = (slot) => {
-    const current = getConfigSnapshot();
-    const presets = Array.from({ length: PRESET_SLOTS }, (_, i) =>
-      presetsRef.current[i] ? normalizeConfig(presetsRef.current[i]) : null
-    );
-    presets[slot] = normalizeConfig(current);
-    presetsRef.current = presets;
-    persistPresets(presets);
-    setPresetTick((value) => value + 1);
+    const current = getQuickSlotPreset(presetLibraryRef.current, slot);
+    if (current) {
+      overwritePreset(current.id);
+      return;
+    }
+    const result = addPreset(presetLibraryRef.current, {
+      name: `Ranura ${slot + 1}`,
+      config: normalizeConfig(getConfigSnapshot()),
+    });
+    setPresetLibrary(assignQuickSlot(result.library, slot, result.preset.id));
+    setActivePresetId(result.preset.id);
   };
 
   const loadPreset = (slot) => {
-    const preset = presetsRef.current[slot];
-    if (preset) {
-      applyConfig(preset);
-      setPresetTick((value) => value + 1);
+    const preset = getQuickSlotPreset(presetLibraryRef.current, slot);
+    if (preset) loadLibraryPreset(preset.id);
+  };
+
+  const saveConfigFile = async (name, contents) => {
+    const payload = JSON.stringify(createConfigFile(contents), null, 2);
+    try {
+      await saveFile({
+        name: `${name}${CONFIG_FILE_SUFFIX}`,
+        data: new TextEncoder().encode(payload),
+        mimeType: "application/json",
+        filters: CONFIG_FILE_FILTERS,
+      });
+    } catch {
+      window.alert("No se pudo exportar la configuración.");
     }
   };
 
-  const exportConfig = async () => {
-    const payload = JSON.stringify({
-      version: EXPORT_VERSION,
+  const exportConfig = () => saveConfigFile("metronomo", { config: normalizeConfig(getConfigSnapshot()) });
+
+  // Configuración actual, todos los preajustes y todas las canciones en un solo archivo.
+  const exportLibrary = () =>
+    saveConfigFile("biblioteca-metronomo", {
       config: normalizeConfig(getConfigSnapshot()),
+      presets: presetLibrary.presets,
+      songs: songLibrary.songs,
+      setlists: songLibrary.setlists,
     });
-    if (typeof navigator !== "undefined" && navigator.clipboard?.writeText) {
-      await navigator.clipboard.writeText(payload);
-      return;
-    }
-    if (typeof window !== "undefined") {
-      window.prompt("Copia el JSON de configuración del metrónomo:", payload);
-    }
-  };
 
-  const importConfig = () => {
-    if (typeof window === "undefined") return;
-    const raw = window.prompt("Pega el JSON de configuración del metrónomo:");
-    if (!raw) return;
+  // Los preajustes y canciones importados se añaden a los existentes con ids nuevos.
+  const importConfig = async () => {
+    let file;
     try {
-      const parsed = JSON.parse(raw);
-      const payload = parsed?.config ?? parsed;
-      applyConfig(payload);
+      file = await openFile({ accept: `${CONFIG_FILE_SUFFIX},.json`, filters: CONFIG_FILE_FILTERS });
     } catch {
-      window.alert("JSON de configuración del metrónomo no válido.");
+      window.alert("No se pudo abrir el archivo.");
+      return;
+    }
+    if (!file) return;
+    const name = file.name ?? "archivo";
+    let result;
+    try {
+      result = readConfigFile(file.text);
+    } catch (error) {
+      setImportReport({ name, error: error.message });
+      return;
+    }
+    if (result.config) applyConfig(result.config);
+    if (result.presets.length > 0) {
+      setPresetLibrary((prev) => ({ ...prev, presets: [...prev.presets, ...result.presets] }));
     }
+    if (result.songs.length > 0 || result.setlists.length > 0) {
+      setSongLibrary((prev) => ({
+        songs: [...prev.songs, ...result.songs],
+        setlists: [...prev.setlists, ...result.setlists],
+      }));
+    }
+    setImportReport({
+      name,
+      version: result.version,
+      config: Boolean(result.config),
+      presets: result.presets.length,
+      songs: result.songs.length,
+      issues: result.issues.map(formatIssue),
+    });
   };
 
   useEffect(() => {
-    if (typeof window === "undefined") return;
+    if (typeof window === "undefined" || !lastConfigLoadedRef.current) return;
     const timeout = window.setTimeout(() => {
-      window.localStorage.setItem(
+      writeDocument(
+        LAST_CONFIG_DOCUMENT,
         LAST_CONFIG_KEY,
-        JSON.stringify(normalizeConfig(getConfigSnapshot()))
-      );
+        normalizeConfig(getConfigSnapshot())
+      ).catch(() => {});
     }, 200);
     return () => window.clearTimeout(timeout);
   }, [
     bpm,
     ts,
+    beatUnit,
     subdivision,
     swing,
     volume,
     polyEnabled,
-    polyBeats,
-    polySubdivision,
-    polyVolume,
+    polyLayers,
     visualPulse,
     accents,
+    voices,
+    stepGrid,
+    training,
+    gap,
+    countIn,
+    spokenCount,
   ]);
 
-  const scheduleClick = (
-    time,
-    accented,
-    intensity = 1,
-    frequency
-  ) => {
-    const context = audioContextRef.current;
+  const scheduleClick = (time, click) => {
     const master = masterGainRef.current;
-    if (!context || !master) return;
-
-    const osc = context.createOscillator();
-    const gain = context.createGain();
-    const type = accented ? "square" : "triangle";
-    const freq = frequency ?? (accented ? 1100 : 750);
-    osc.type = type;
-    osc.frequency.setValueAtTime(freq, time);
-
-    const attack = 0.003;
-    const decay = 0.06;
-    gain.gain.setValueAtTime(0, time);
-    const level = Math.max(0, Math.min(1, intensity));
-    gain.gain.linearRampToValueAtTime((accented ? 0.9 : 0.7) * level, time + attack);
-    gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
-
-    osc.connect(gain);
-    gain.connect(master);
-    osc.start(time);
-    osc.stop(time + decay + 0.02);
+    if (!voiceBankRef.current || !master) return;
+    voiceBankRef.current.play(master, time, click);
   };
 
-  const getTimingSnapshot = () => {
-    const beatDuration = (60 / bpmRef.current) * (4 / unitRef.current);
-    const subdivisionsPerBeat = getSubdivisionsPerBeat(subdivisionRef.current);
-    const baseSubdivision = beatDuration / subdivisionsPerBeat;
-    const swingAmount = Math.min(0.75, Math.max(0, swingRef.current / 100));
-    const swingEnabled = swingAmount > 0 && subdivisionsPerBeat % 2 === 0;
-    const swingFactors = swingEnabled
-      ? [1 + swingAmount * 0.5, 1 - swingAmount * 0.5]
-      : [1, 1];
-    return {
-      beatDuration,
-      subdivisionsPerBeat,
-      baseSubdivision,
-      swingEnabled,
-      swingFactors,
-    };
+  const loadVoiceFile = async (slot, file) => {
+    if (!file) return;
+    if (file.size > MAX_USER_SAMPLE_BYTES) {
+      window.alert("El archivo de sonido es demasiado grande (máximo 512 KB).");
+      return;
+    }
+    ensureAudioGraph();
+    const id = `user:${Date.now().toString(36)}`;
+    let data;
+    try {
+      data = await file.arrayBuffer();
+      // decodeAudioData se queda con el buffer: se decodifica una copia.
+      await voiceBankRef.current.loadUserSample(id, data.slice(0));
+    } catch {
+      window.alert("No se pudo cargar el archivo de sonido (usa WAV o MP3).");
+      return;
+    }
+    try {
+      await writeUserSample({ id, name: file.name, data });
+    } catch (error) {
+      window.alert(
+        isStorageFullError(error)
+          ? "No queda espacio para guardar más sonidos. El sonido se usará solo en esta sesión."
+          : "No se pudo guardar el archivo de sonido. Se usará solo en esta sesión."
+      );
+    }
+    setUserSamples((prev) => [...prev, { id, name: file.name }]);
+    setVoices((prev) => ({ ...prev, [slot]: id }));
   };
 
-  const schedulerLoop = () => {
+  // Solo visual: consume los pulsos que ya sonaron. Si la ventana está oculta,
+  // requestAnimationFrame se pausa pero el audio sigue con el reloj del Worker.
+  const displayLoop = () => {
     const context = audioContextRef.current;
     if (!context || !isRunningRef.current) return;
 
-    const scheduleAhead = 0.12;
-    const timing = getTimingSnapshot();
-    while (nextNoteTimeRef.current < context.currentTime + scheduleAhead) {
-      const totalSteps = Math.max(1, beatsRef.current * timing.subdivisionsPerBeat);
-      const stepIndex = currentStepRef.current % totalSteps;
-      const beatIndex = Math.floor(stepIndex / timing.subdivisionsPerBeat);
-      const subIndex = stepIndex % timing.subdivisionsPerBeat;
-      const accentsForBeat = accentsRef.current?.[beatIndex] ?? beatIndex === 0;
-      const isBeatStart = subIndex === 0;
-      const accented = isBeatStart && accentsForBeat;
-      scheduleClick(nextNoteTimeRef.current, accented, 1);
-
-      if (isBeatStart && beatIndex !== currentBeatRef.current) {
-        currentBeatRef.current = beatIndex;
-        setCurrentBeat(beatIndex);
+    const now = context.currentTime;
+    // Los pulsos del polirritmo se encolan aparte del principal: no llegan ordenados.
+    const due = beatQueueRef.current.filter((event) => event.time <= now);
+    beatQueueRef.current = beatQueueRef.current.filter((event) => event.time > now);
+    due.sort((a, b) => a.time - b.time);
+    let latest = null;
+    let ramp = null;
+    let song = null;
+    let countInEvent = null;
+    const polyLatest = [];
+    for (const event of due) {
+      if (event.layer === "end") {
+        // La rampa o la canción terminaron: el motor ya paró en esa barra de compás.
+        stopTransport();
+        return;
       }
-
-      if (stepIndex === 0) {
-        measureStartRef.current = nextNoteTimeRef.current;
-        measureCountRef.current += 1;
-        if (polyEnabledRef.current) {
-          polyNextNoteTimeRef.current = measureStartRef.current;
-          polyStepRef.current = 0;
-        }
-        if (
-          trainingModeRef.current &&
-          trainingEveryRef.current > 0 &&
-          measureCountRef.current % trainingEveryRef.current === 0 &&
-          !tempoLockRef.current
-        ) {
-          const nextTempo = clamp(
-            bpmRef.current + trainingStepRef.current,
-            20,
-            300
-          );
-          setBpm(nextTempo);
-        }
+      if (event.layer === "ramp") {
+        ramp = event;
+      } else if (event.layer === "song") {
+        song = event;
+      } else if (event.layer === "countIn") {
+        countInEvent = event;
+      } else if (event.layer === "poly") {
+        polyLatest[event.layerIndex] = event;
+      } else {
+        latest = event;
       }
-
-      const stepDuration = timing.baseSubdivision *
-        (timing.swingEnabled ? timing.swingFactors[stepIndex % 2] : 1);
-      nextNoteTimeRef.current += stepDuration;
-      currentStepRef.current = stepIndex + 1;
     }
-
-    if (polyEnabledRef.current) {
-      const polySubdivisions = getSubdivisionsPerBeat(polySubdivisionRef.current);
-      const polyTotalSteps = Math.max(1, polyBeatsRef.current * polySubdivisions);
-      const measureDuration = timing.beatDuration * beatsRef.current;
-      const polyStepDuration = measureDuration / polyTotalSteps;
-      if (polyNextNoteTimeRef.current < context.currentTime - scheduleAhead) {
-        polyNextNoteTimeRef.current = context.currentTime + 0.01;
-        polyStepRef.current = 0;
-      }
-      while (polyNextNoteTimeRef.current < context.currentTime + scheduleAhead) {
-        const stepIndex = polyStepRef.current % polyTotalSteps;
-        const subIndex = stepIndex % polySubdivisions;
-        const isBeatStart = subIndex === 0;
-        const polyIntensity = polyVolumeRef.current / 100;
-        const polyAccented = isBeatStart;
-        const polyFrequency = polyAccented ? 900 : 620;
-        if (polyStepDuration > 0) {
-          scheduleClick(polyNextNoteTimeRef.current, polyAccented, polyIntensity, polyFrequency);
-        }
-        polyNextNoteTimeRef.current += polyStepDuration;
-        polyStepRef.current = stepIndex + 1;
+    if (ramp) {
+      setRampState(ramp);
+    }
+    if (song) {
+      setSongPosition(song);
+    }
+    if (countInEvent) {
+      setCountInBeat(countInEvent);
+    }
+    if (polyLatest.length > 0) {
+      setPolyActive((prev) => polyLatest.map((event, i) => event ?? prev[i]));
+    }
+    if (latest) {
+      displayMeasureStartRef.current = latest.measureStart;
+      setGapSilent(Boolean(latest.gapMuted));
+      setCountInBeat(null);
+      if (latest.beatIndex !== currentBeatRef.current) {
+        currentBeatRef.current = latest.beatIndex;
+        setCurrentBeat(latest.beatIndex);
       }
     }
 
     if (visualPulseRef.current) {
-      const measureDuration = timing.beatDuration * beatsRef.current;
-      const elapsed = Math.max(0, context.currentTime - measureStartRef.current);
+      const { measureDuration } = engineRef.current.getTiming();
+      const elapsed = Math.max(0, now - displayMeasureStartRef.current);
       const progress = measureDuration > 0 ? (elapsed / measureDuration) * 100 : 0;
       const nextPhase = clamp(progress, 0, 100);
       if (Math.abs(nextPhase - phaseRef.current) > 0.1) {
@@ -607,38 +1519,70 @@ export default function AdvancedMetronomeUI() {
       setPhase(0);
     }
 
-    rafIdRef.current = requestAnimationFrame(schedulerLoop);
+    displayRafRef.current = requestAnimationFrame(displayLoop);
   };
 
-  const startTransport = async () => {
+  // external = { tick, time }: arranque marcado desde fuera, en time (ms de performance.now())
+  // con tick pulsos de reloj MIDI ya transcurridos (0 para entrar en un tiempo fuerte).
+  const startTransport = async (external = null) => {
     if (isRunningRef.current) return;
     const context = ensureAudioGraph();
     if (context.state === "suspended") {
       await context.resume();
     }
+    await userSamplesReadyRef.current;
+    if (isRunningRef.current) return;
 
     isRunningRef.current = true;
     setIsRunning(true);
-    currentStepRef.current = 0;
-    nextNoteTimeRef.current = context.currentTime + 0.05;
-    measureStartRef.current = nextNoteTimeRef.current;
-    measureCountRef.current = 0;
-    polyStepRef.current = 0;
-    polyNextNoteTimeRef.current = nextNoteTimeRef.current;
+    beatQueueRef.current = [];
     currentBeatRef.current = 0;
     setCurrentBeat(0);
     phaseRef.current = 0;
     setPhase(0);
-    rafIdRef.current = requestAnimationFrame(schedulerLoop);
+    syncBeatTimesRef.current = [];
+    lanAnchorRef.current = null;
+    const engine = engineRef.current;
+    if (external) {
+      // Entra en el pulso del compás que cae en (o justo tras) la posición del maestro.
+      const { ts: pulseTs, beatUnit: pulseUnit } = engine.getConfig();
+      const clocks = getClocksPerPulse(pulseTs, pulseUnit);
+      const clockDuration = engine.getTiming().beatDuration / clocks;
+      let startPulse = Math.ceil(external.tick / clocks);
+      let startTime =
+        getTimeMapper().toAudio(external.time) + (startPulse * clocks - external.tick) * clockDuration;
+      while (startTime < context.currentTime - SYNC_LATE_START) {
+        startPulse += 1;
+        startTime += clocks * clockDuration;
+      }
+      engine.start(Math.max(startTime, context.currentTime), { startPulse, skipCountIn: true });
+    } else {
+      // Se arma antes de arrancar: el primer pulso puede programarse dentro de start().
+      const { song, songStartSection } = engine.getState();
+      midiSenderRef.current?.start(song ? getSongSixteenths(song, songStartSection) : 0);
+      engine.start();
+    }
+    displayMeasureStartRef.current = engine.getState().measureStart;
+    displayRafRef.current = requestAnimationFrame(displayLoop);
   };
 
   const stopTransport = () => {
+    if (isRunningRef.current) {
+      midiSenderRef.current?.stop();
+    }
     isRunningRef.current = false;
     setIsRunning(false);
-    if (rafIdRef.current) {
-      cancelAnimationFrame(rafIdRef.current);
-      rafIdRef.current = null;
+    engineRef.current?.stop();
+    if (displayRafRef.current) {
+      cancelAnimationFrame(displayRafRef.current);
+      displayRafRef.current = null;
     }
+    beatQueueRef.current = [];
+    setPolyActive([]);
+    setRampState(null);
+    setGapSilent(false);
+    setSongPosition(null);
+    setCountInBeat(null);
     setPhase(0);
     currentBeatRef.current = 0;
     setCurrentBeat(0);
@@ -670,7 +1614,10 @@ export default function AdvancedMetronomeUI() {
     setBpm((v) => clamp(v + delta, 20, 300));
   };
 
-  const tempoMs = useMemo(() => (60000 / bpm) * (4 / unit), [bpm, unit]);
+  // Tempo hacia el que va el tramo actual de la rampa (ida o vuelta).
+  const rampTarget = rampState?.leg === 1 ? training.startBpm : training.targetBpm;
+
+  const tempoMs = useMemo(() => (60000 / bpm) * layout.tempoScale, [bpm, layout.tempoScale]);
 
   const reset = () => {
     stopTransport();
@@ -678,40 +1625,610 @@ export default function AdvancedMetronomeUI() {
     setTempoLock(false);
     setBpm(120);
     setTs("4/4");
+    setBeatUnit("auto");
     setSubdivision("1/8");
     setSwing(0);
     setVolume(70);
     setPolyEnabled(false);
-    setPolyBeats(3);
-    setPolySubdivision("1/4");
-    setPolyVolume(55);
+    setPolyLayers([normalizePolyLayer({}, 0)]);
     setVisualPulse(true);
     setAccents(buildAccentArray(4));
-    setTrainingMode(false);
-    setTrainingStep(2);
-    setTrainingEvery(4);
+    setVoices(normalizeVoices());
+    setStepGrid(normalizeStepGrid([], 4, 2));
+    setTraining(normalizeTraining());
+    setGap(normalizeGap());
+    setCountIn(normalizeCountIn());
+    setSpokenCount(normalizeSpokenCount());
     setTapHistory([]);
     setPhase(0);
     setCurrentBeat(0);
   };
 
-  const toggleAccent = (i) => {
-    const next = buildAccentArray(beats, accents);
-    next[i] = !next[i];
-    setAccents(next);
+  // Cambio de compás por el usuario: la agrupación aditiva define los acentos.
+  const changeTimeSignature = (next) => {
+    setTs(next);
+    const parsed = getPulseLayout(next, beatUnit);
+    if (parsed.groups) {
+      setAccents(buildAccentArray(parsed.pulses, [], parsed.groups));
+    }
   };
 
-  const presetSlots = useMemo(
-    () => Array.from({ length: PRESET_SLOTS }, (_, i) => Boolean(presetsRef.current[i])),
-    [presetTick]
-  );
-
-  useEffect(() => {
-    return () => {
+  // Órdenes de OSC y del mando, ya validadas en el proceso principal; preset cuenta desde 1.
+  const handleRemoteCommand = ({ command, value }) => {
+    if (command === "start") {
+      startTransport();
+    } else if (command === "stop") {
       stopTransport();
-      if (audioContextRef.current) {
-        audioContextRef.current.close();
-      }
+    } else if (command === "bpm") {
+      if (!tempoLockRef.current) setBpm(clamp(Math.round(value), 20, 300));
+    } else if (command === "ts") {
+      if (isValidTimeSignature(value)) changeTimeSignature(value);
+    } else if (command === "nudge") {
+      bumpBpm(value);
+    } else if (command === "preset") {
+      loadPreset(value - 1);
+    }
+  };
+  const remoteCommandRef = useSyncedRef(handleRemoteCommand);
+
+  // Recorre la biblioteca en su orden, desde el último preajuste cargado.
+  const stepPreset = (direction) => {
+    const { presets } = presetLibrary;
+    if (presets.length === 0) return;
+    const current = presets.findIndex((preset) => preset.id === activePresetId);
+    const index =
+      current === -1
+        ? direction > 0
+          ? 0
+          : presets.length - 1
+        : (current + direction + presets.length) % presets.length;
+    loadLibraryPreset(presets[index].id);
+  };
+
+  const handleShortcutAction = (action) => {
+    if (action === "toggle") {
+      if (isRunningRef.current) {
+        stopTransport();
+      } else {
+        startTransport();
+      }
+    } else if (action === "tap") {
+      tap();
+    } else if (action === "bpmUp1" || action === "bpmDown1" || action === "bpmUp5" || action === "bpmDown5") {
+      bumpBpm((action.endsWith("5") ? 5 : 1) * (action.startsWith("bpmUp") ? 1 : -1));
+    } else if (action === "nextPreset") {
+      stepPreset(1);
+    } else if (action === "previousPreset") {
+      stepPreset(-1);
+    } else if (action === "nextSection" && songMode && activeSong) {
+      const current = isRunningRef.current
+        ? (songPosition?.sectionIndex ?? 0)
+        : engineRef.current.getState().songStartSection;
+      jumpToSection(Math.min(current + 1, activeSong.sections.length - 1));
+    }
+  };
+  const shortcutActionRef = useSyncedRef(handleShortcutAction);
+
+  const selectSongFromTray = (songId) => {
+    if (!songLibrary.songs.some((song) => song.id === songId)) return;
+    setActiveSongId(songId);
+    setSongMode(true);
+  };
+  const trayCommandRef = useSyncedRef(selectSongFromTray);
+
+  useEffect(() => {
+    const bridge = getShortcutsBridge();
+    if (!bridge) return;
+    return bridge.onShortcutAction((action) => shortcutActionRef.current(action));
+  }, []);
+
+  // Mientras se captura una combinación se liberan todos: si no, el sistema se quedaría la pulsación.
+  useEffect(() => {
+    writeShortcuts(shortcuts);
+    const bridge = getShortcutsBridge();
+    if (!bridge) return;
+    // Los que taparían un atajo del panel no se registran; solo se avisa.
+    const conflicts = findShortcutConflicts(shortcuts.bindings);
+    const bindings = Object.fromEntries(
+      Object.entries(shortcuts.bindings).map(([id, accelerator]) => [
+        id,
+        conflicts[id] === "panel" ? "" : accelerator,
+      ])
+    );
+    bridge
+      .configureShortcuts({ enabled: shortcuts.enabled && !shortcutCapture, bindings })
+      .then((results) => {
+        if (!shortcutCapture) setShortcutResults(results);
+      })
+      .catch(() => setShortcutResults({}));
+  }, [shortcuts, shortcutCapture]);
+
+  useEffect(() => {
+    if (!shortcutCapture) return;
+    // En fase de captura, para que la pulsación no llegue a los atajos del panel.
+    const handleKeydown = (event) => {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      if (event.key === "Escape") {
+        setShortcutCapture(null);
+        return;
+      }
+      const accelerator =
+        event.key === "Backspace" || event.key === "Delete" ? "" : toAccelerator(event);
+      if (accelerator === null) return;
+      setShortcuts((prev) =>
+        normalizeShortcuts({ ...prev, bindings: { ...prev.bindings, [shortcutCapture]: accelerator } })
+      );
+      setShortcutCapture(null);
+    };
+    window.addEventListener("keydown", handleKeydown, true);
+    return () => window.removeEventListener("keydown", handleKeydown, true);
+  }, [shortcutCapture]);
+
+  useEffect(() => {
+    const bridge = getWindowBridge();
+    if (!bridge) return;
+    bridge.getWindowMode().then(setWindowMode);
+    return bridge.onWindowMode(setWindowMode);
+  }, []);
+
+  const changeWindowMode = (mode) => {
+    getWindowBridge()?.setWindowMode(mode).then(setWindowMode);
+  };
+
+  const shortcutConflicts = useMemo(() => findShortcutConflicts(shortcuts.bindings), [shortcuts]);
+
+  useEffect(() => {
+    const bridge = getOscBridge();
+    if (!bridge) return;
+    return bridge.onOscCommand((command) => remoteCommandRef.current(command));
+  }, []);
+
+  useEffect(() => {
+    const bridge = getRemoteBridge();
+    if (!bridge) return;
+    const unsubscribeCommand = bridge.onRemoteCommand((command) =>
+      remoteCommandRef.current(command)
+    );
+    const unsubscribeStatus = bridge.onRemoteStatus((status) => setRemoteStatus(status));
+    return () => {
+      unsubscribeCommand();
+      unsubscribeStatus();
+    };
+  }, []);
+
+  const configureRemote = (settings, newCode = false) => {
+    const bridge = getRemoteBridge();
+    if (!bridge) return;
+    bridge
+      .configureRemote({ ...settings, newCode })
+      .then((status) => {
+        remoteActiveRef.current = status.listening;
+        setRemoteStatus(status);
+      })
+      .catch((error) => {
+        remoteActiveRef.current = false;
+        setRemoteStatus({ listening: false, port: settings.port, error: error.message });
+      });
+  };
+
+  useEffect(() => {
+    writeRemoteSettings(remoteSettings);
+    if (!getRemoteBridge()) return;
+    const timeout = window.setTimeout(() => configureRemote(remoteSettings), 300);
+    return () => window.clearTimeout(timeout);
+  }, [remoteSettings]);
+
+  // Líder: difunde tempo, compás y la línea de tiempo de compases con el BPM que suena.
+  const broadcastLeaderState = () => {
+    const bridge = getLanBridge();
+    if (!bridge) return;
+    const engine = engineRef.current;
+    const config = engine.getConfig();
+    const timing = engine.getTiming();
+    const running = isRunningRef.current;
+    bridge.sendLanMessage({
+      kind: "state",
+      session: lanSettingsRef.current.session,
+      id: lanId,
+      bpm: (60 / timing.beatDuration) * getPulseLayout(config.ts, config.beatUnit).tempoScale,
+      ts: config.ts,
+      beatUnit: config.beatUnit,
+      beats: timing.beats,
+      measureMs: timing.measureDuration * 1000,
+      running,
+      anchor: running ? lanAnchorRef.current : null,
+    });
+  };
+
+  // Seguidor: copia tempo y compás, entra en el siguiente tiempo fuerte y corrige la fase.
+  const followLeader = (leader) => {
+    const engine = engineRef.current;
+    engine.setTempoOverride(leader.bpm);
+    lanOverrideRef.current = true;
+    setBpm(clamp(Math.round(leader.bpm), 20, 300));
+    if (leader.ts !== ts) changeTimeSignature(leader.ts);
+    if (leader.beatUnit !== beatUnit) setBeatUnit(leader.beatUnit);
+    setLanLeader({ id: leader.id, bpm: leader.bpm, ts: leader.ts, rtt: lanEstimator.getRtt() });
+    if (!lanEstimator.isReady() || !leader.anchor) return;
+    const offset = lanEstimator.getOffset();
+    const now = performance.now();
+    if (leader.running && !isRunningRef.current) {
+      startTransport({ tick: 0, time: getNextDownbeat(leader, offset, now) });
+    } else if (!leader.running && isRunningRef.current) {
+      stopTransport();
+    } else if (leader.running) {
+      alignPhase(getTimeMapper().toAudio(getLastLeaderBeat(leader, offset, now)));
+    }
+  };
+
+  const handleLanMessage = (message) => {
+    const bridge = getLanBridge();
+    const { role, session } = lanSettings;
+    if (!bridge || message.session !== session || message.id === lanId) return;
+    if (role === "leader" && message.kind === "ping" && message.to === lanId) {
+      bridge.sendLanMessage({
+        kind: "pong",
+        session,
+        id: lanId,
+        to: message.id,
+        t0: message.t0,
+        t1: performance.now(),
+      });
+      return;
+    }
+    if (role !== "follower") return;
+    const current = lanLeaderRef.current;
+    if (message.kind === "pong" && message.to === lanId && message.id === current?.state.id) {
+      if (Number.isFinite(message.t0) && Number.isFinite(message.t1)) {
+        lanEstimator.add(message.t0, message.t1, performance.now());
+      }
+      return;
+    }
+    if (message.kind !== "state") return;
+    const leader = parseLeaderState(message);
+    if (!leader) return;
+    // Se sigue al primer líder oído mientras no calle.
+    if (current && current.state.id !== leader.id) {
+      if (performance.now() - current.heardAt < LEADER_TIMEOUT_MS) return;
+      lanEstimator.reset();
+    }
+    lanLeaderRef.current = { state: leader, heardAt: performance.now() };
+    followLeader(leader);
+  };
+  const lanMessageRef = useSyncedRef(handleLanMessage);
+
+  const lanTick = () => {
+    const bridge = getLanBridge();
+    if (!bridge) return;
+    if (lanSettings.role === "leader") {
+      broadcastLeaderState();
+      return;
+    }
+    const current = lanLeaderRef.current;
+    if (!current) return;
+    if (performance.now() - current.heardAt > LEADER_TIMEOUT_MS) {
+      // Sin líder se sigue sonando con el último tempo recibido.
+      lanLeaderRef.current = null;
+      lanEstimator.reset();
+      setLanLeader(null);
+      return;
+    }
+    bridge.sendLanMessage({
+      kind: "ping",
+      session: lanSettings.session,
+      id: lanId,
+      to: current.state.id,
+      t0: performance.now(),
+    });
+  };
+  const lanTickRef = useSyncedRef(lanTick);
+
+  useEffect(() => {
+    const bridge = getLanBridge();
+    if (!bridge) return;
+    return bridge.onLanMessage((message) => lanMessageRef.current(message));
+  }, []);
+
+  useEffect(() => {
+    writeLanSettings(lanSettings);
+    const bridge = getLanBridge();
+    if (!bridge) return;
+    bridge
+      .configureLan({ enabled: lanSettings.role !== "off" })
+      .then(setLanStatus)
+      .catch((error) => setLanStatus({ listening: false, error: error.message }));
+    return () => {
+      lanLeaderRef.current = null;
+      lanEstimator.reset();
+      if (lanOverrideRef.current) {
+        engineRef.current.setTempoOverride(null);
+        lanOverrideRef.current = false;
+      }
+      setLanLeader(null);
+    };
+  }, [lanSettings]);
+
+  useEffect(() => {
+    if (lanSettings.role === "off" || !lanStatus?.listening) return;
+    const interval = window.setInterval(() => lanTickRef.current(), LAN_TICK_MS);
+    return () => window.clearInterval(interval);
+  }, [lanSettings.role, lanStatus]);
+
+  // El líder anuncia los cambios al momento, sin esperar al siguiente envío periódico.
+  useEffect(() => {
+    if (lanSettings.role === "leader" && lanStatus?.listening) {
+      broadcastLeaderState();
+    }
+  }, [lanSettings.role, lanStatus, bpm, ts, beatUnit, isRunning]);
+
+  // Reconfigura el servidor tras una pausa, para no reabrir el puerto con cada tecla.
+  useEffect(() => {
+    writeOscSettings(oscSettings);
+    const bridge = getOscBridge();
+    if (!bridge) return;
+    const timeout = window.setTimeout(() => {
+      bridge
+        .configureOsc(oscSettings)
+        .then((status) => {
+          oscActiveRef.current = status.listening;
+          setOscStatus(status);
+        })
+        .catch((error) => {
+          oscActiveRef.current = false;
+          setOscStatus({ listening: false, port: oscSettings.port, error: error.message });
+        });
+    }, 300);
+    return () => window.clearTimeout(timeout);
+  }, [oscSettings]);
+
+  const updateOsc = (patch) => setOscSettings((prev) => normalizeOscSettings({ ...prev, ...patch }));
+
+  const customTs = formatTimeSignature(customBeats, customUnit, customGrouping);
+
+  const cycleAccent = (i) => {
+    const next = buildAccentArray(beats, accents, groups);
+    next[i] = nextAccentLevel(next[i]);
+    setAccents(next);
+  };
+
+  const updateTraining = (patch) => {
+    setTraining((prev) => normalizeTraining({ ...prev, ...patch }));
+  };
+
+  const updateGap = (patch) => {
+    setGap((prev) => normalizeGap({ ...prev, ...patch }));
+  };
+
+  const updateSongLibrary = (update) => {
+    setSongLibrary((prev) => {
+      const next = update(prev);
+      const songIds = next.songs.map((song) => song.id);
+      return {
+        songs: next.songs,
+        setlists: next.setlists.map((setlist) => normalizeSetlist(setlist, songIds)),
+      };
+    });
+  };
+
+  const updateActiveSong = (update) => {
+    updateSongLibrary((prev) => ({
+      ...prev,
+      songs: prev.songs.map((song) => (song.id === activeSongId ? normalizeSong(update(song)) : song)),
+    }));
+  };
+
+  const updateSection = (index, patch) => {
+    updateActiveSong((song) => ({
+      ...song,
+      sections: song.sections.map((section, i) => (i === index ? { ...section, ...patch } : section)),
+    }));
+  };
+
+  const moveSection = (index, delta) => {
+    updateActiveSong((song) => {
+      const sections = [...song.sections];
+      const [moved] = sections.splice(index, 1);
+      sections.splice(index + delta, 0, moved);
+      return { ...song, sections };
+    });
+    setLoopSection(null);
+  };
+
+  const addSong = () => {
+    const song = normalizeSong({
+      name: `Canción ${songLibrary.songs.length + 1}`,
+      sections: [{ name: "Intro", bars: 4, config: getConfigSnapshot() }],
+    });
+    updateSongLibrary((prev) => ({
+      songs: [...prev.songs, song],
+      setlists: prev.setlists.map((setlist) =>
+        setlist.id === activeSetlistId
+          ? { ...setlist, songIds: [...setlist.songIds, song.id] }
+          : setlist
+      ),
+    }));
+    setActiveSongId(song.id);
+  };
+
+  const removeActiveSong = () => {
+    if (!activeSong) return;
+    const remaining = songLibrary.songs.filter((song) => song.id !== activeSongId);
+    updateSongLibrary((prev) => ({
+      ...prev,
+      songs: prev.songs.filter((song) => song.id !== activeSongId),
+    }));
+    setActiveSongId(remaining[0]?.id ?? null);
+  };
+
+  const addSetlist = () => {
+    const setlist = normalizeSetlist({
+      name: `Repertorio ${songLibrary.setlists.length + 1}`,
+      songIds: activeSongId ? [activeSongId] : [],
+    });
+    updateSongLibrary((prev) => ({ ...prev, setlists: [...prev.setlists, setlist] }));
+    setActiveSetlistId(setlist.id);
+  };
+
+  const toggleSongInSetlist = () => {
+    if (!activeSetlist || !activeSongId) return;
+    updateSongLibrary((prev) => ({
+      ...prev,
+      setlists: prev.setlists.map((setlist) =>
+        setlist.id === activeSetlistId
+          ? {
+              ...setlist,
+              songIds: setlist.songIds.includes(activeSongId)
+                ? setlist.songIds.filter((id) => id !== activeSongId)
+                : [...setlist.songIds, activeSongId],
+            }
+          : setlist
+      ),
+    }));
+  };
+
+  const stepSong = (delta) => {
+    if (songOrder.length === 0) return;
+    const index = songOrder.findIndex((song) => song.id === activeSongId);
+    const next = clamp(index + delta, 0, songOrder.length - 1);
+    setActiveSongId(songOrder[index < 0 ? 0 : next].id);
+  };
+
+  // Las mismas muestras que suenan en vivo: las del usuario y la voz del conteo.
+  const loadRenderSamples = async () => {
+    const user = (await readUserSamples().catch(() => [])).map((sample) => ({
+      id: sample.id,
+      arrayBuffer: sample.data,
+    }));
+    const spoken = Object.entries(COUNT_VOICE_URLS).map(async ([path, url]) => ({
+      id: `${COUNT_VOICE_PREFIX}${path.split("/").pop().replace(/\.\w+$/, "")}`,
+      arrayBuffer: await (await fetch(url)).arrayBuffer(),
+    }));
+    const settled = await Promise.allSettled([...user, ...spoken]);
+    return settled.filter((result) => result.status === "fulfilled").map((result) => result.value);
+  };
+
+  const getExportName = (song, extension) => {
+    const baseName = song ? song.name || "cancion" : `clic-${bpmRef.current}bpm`;
+    return `${baseName.replace(/[\\/:*?"<>|]+/g, "-")}.${extension}`;
+  };
+
+  const renderWav = async () => {
+    if (isRendering) return;
+    setIsRendering(true);
+    try {
+      const song = renderSource === "song" ? activeSong : null;
+      const buffer = await renderClickTrack(
+        getConfigSnapshot(),
+        { ...renderOptions, song },
+        await loadRenderSamples()
+      );
+      await saveFile({
+        name: getExportName(song, "wav"),
+        data: audioBufferToWav(buffer, renderOptions.bitDepth),
+        mimeType: "audio/wav",
+        filters: [{ name: "Audio WAV", extensions: ["wav"] }],
+      });
+    } catch (error) {
+      window.alert(error instanceof RangeError ? error.message : "No se pudo exportar la pista de clic.");
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const exportMidiFile = async () => {
+    const song = renderSource === "song" ? activeSong : null;
+    try {
+      await saveFile({
+        name: getExportName(song, "mid"),
+        data: exportMidi(getConfigSnapshot(), { ...renderOptions, song }, midiOptions),
+        mimeType: "audio/midi",
+        filters: [{ name: "Archivo MIDI", extensions: ["mid"] }],
+      });
+    } catch {
+      window.alert("No se pudo exportar el archivo MIDI.");
+    }
+  };
+
+  const jumpToSection = (index) => {
+    engineRef.current.jumpToSection(index);
+    if (!isRunningRef.current && activeSong) {
+      applyConfig({ ...activeSong.sections[index].config, volume: volumeRef.current });
+    }
+  };
+
+  const updatePolyLayer = (index, patch) => {
+    setPolyLayers((prev) =>
+      prev.map((layer, i) => (i === index ? normalizePolyLayer({ ...layer, ...patch }, i) : layer))
+    );
+  };
+
+  const voiceOptions = [
+    ...BUILTIN_VOICES,
+    ...userSamples.map((sample) => ({ id: sample.id, label: sample.name })),
+  ];
+
+  const cycleStep = (beatIndex, subIndex) => {
+    setStepGrid((prev) => {
+      const next = normalizeStepGrid(prev, beats, subdivisionsPerBeat);
+      next[beatIndex][subIndex] = nextStepState(next[beatIndex][subIndex]);
+      return next;
+    });
+  };
+
+  const presetSlots = useMemo(
+    () => Array.from({ length: QUICK_SLOTS }, (_, i) => Boolean(presetLibrary.quickSlots[i])),
+    [presetLibrary]
+  );
+  const presetTags = useMemo(() => getPresetTags(presetLibrary.presets), [presetLibrary]);
+  const visiblePresets = useMemo(
+    () =>
+      filterPresets(presetLibrary.presets, {
+        query: presetQuery,
+        tag: presetTag,
+        favoritesOnly: presetFavoritesOnly,
+      }),
+    [presetLibrary, presetQuery, presetTag, presetFavoritesOnly]
+  );
+
+  useEffect(() => {
+    const bridge = getRemoteBridge();
+    if (!bridge || !remoteStatus?.listening) return;
+    bridge.sendRemoteState({ running: isRunning, bpm, ts, beats, tempoLock, presets: presetSlots });
+  }, [remoteStatus, isRunning, bpm, ts, beats, tempoLock, presetSlots]);
+
+  useEffect(() => {
+    getTrayBridge()?.sendTrayState({
+      running: isRunning,
+      bpm,
+      ts,
+      beats,
+      tempoLock,
+      presets: presetLibrary.quickSlots.map((_, i) => getQuickSlotPreset(presetLibrary, i)?.name ?? null),
+      songs: songLibrary.songs.map(({ id, name }) => ({ id, name })),
+      activeSongId: songMode ? activeSongId : null,
+    });
+  }, [isRunning, bpm, ts, beats, tempoLock, presetLibrary, songLibrary, songMode, activeSongId]);
+
+  // Menú de la bandeja: las órdenes del mando más la elección de canción.
+  useEffect(() => {
+    const bridge = getTrayBridge();
+    if (!bridge) return;
+    return bridge.onTrayCommand(({ command, value }) => {
+      if (command === "song") {
+        trayCommandRef.current(value);
+      } else {
+        remoteCommandRef.current({ command, value });
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      stopTransport();
+      if (audioContextRef.current) {
+        audioContextRef.current.close();
+      }
     };
   }, []);
 
@@ -720,7 +2237,7 @@ export default function AdvancedMetronomeUI() {
     const handleKeydown = (event) => {
       if (!(event.ctrlKey || event.metaKey)) return;
       const digit = Number(event.key);
-      if (Number.isFinite(digit) && digit >= 1 && digit <= PRESET_SLOTS) {
+      if (Number.isFinite(digit) && digit >= 1 && digit <= QUICK_SLOTS) {
         event.preventDefault();
         if (event.shiftKey) {
           savePreset(digit - 1);
@@ -739,7 +2256,7 @@ export default function AdvancedMetronomeUI() {
       }
       if (event.key.toLowerCase() === "t") {
         event.preventDefault();
-        setTrainingMode((value) => !value);
+        setTraining((prev) => ({ ...prev, enabled: !prev.enabled }));
       }
     };
     window.addEventListener("keydown", handleKeydown);
@@ -748,10 +2265,42 @@ export default function AdvancedMetronomeUI() {
     };
   }, []);
 
+  const toggleTransport = () => {
+    if (isRunningRef.current) {
+      stopTransport();
+    } else {
+      startTransport();
+    }
+  };
+
+  if (windowMode === "mini") {
+    return (
+      <MiniWidget
+        bpm={bpm}
+        beats={beats}
+        accents={accents}
+        groups={groups}
+        activeIndex={isRunning ? (countInBeat?.beatIndex ?? currentBeat) : null}
+        isRunning={isRunning}
+        onToggle={toggleTransport}
+        onExpand={() => changeWindowMode("detached")}
+      />
+    );
+  }
+
+  // Solo la ventana suelta crece: con anchura de sobra, el cajón pasa a dos columnas.
+  const isDetached = windowMode === "detached";
+  const isMovable = windowMode === "pinned" || isDetached;
+
   return (
     <div className="flex h-full flex-col bg-[radial-gradient(900px_circle_at_20%_0%,rgba(56,189,248,0.10),transparent_55%),radial-gradient(700px_circle_at_85%_15%,rgba(168,85,247,0.12),transparent_55%),radial-gradient(900px_circle_at_60%_120%,rgba(34,197,94,0.10),transparent_60%),linear-gradient(180deg,#05070b,#0b0f16)]">
       <div className="flex min-h-0 flex-1 flex-col overflow-y-auto overflow-x-hidden p-4">
-        <div className="mx-auto flex max-w-md flex-col items-center gap-4">
+        <div
+          className={
+            "mx-auto flex flex-col items-center gap-4 " +
+            (isDetached ? "w-full max-w-md lg:max-w-4xl" : "max-w-md")
+          }
+        >
         <Card className="relative w-full rounded-[2.25rem] text-white border border-white/15 bg-[linear-gradient(180deg,#1b222c,#0b0f14_55%,#070a0f)] shadow-[0_22px_60px_rgba(0,0,0,0.75)]">
           {/* Dark metal bezel + specular highlights */}
           <div className="pointer-events-none absolute inset-0 rounded-[2.25rem] ring-1 ring-white/10" />
@@ -761,7 +2310,7 @@ export default function AdvancedMetronomeUI() {
 
           <CardHeader className="pb-3">
             <div className="flex items-center justify-between">
-              <div className="flex items-center gap-2">
+              <div className="flex items-center gap-2" style={isMovable ? DRAG_REGION : undefined}>
                 <div className="flex h-9 w-9 items-center justify-center rounded-2xl bg-[linear-gradient(180deg,rgba(56,189,248,0.35),rgba(56,189,248,0.08))] text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.18),0_12px_20px_rgba(0,0,0,0.55)]">
                   <Clock className="h-4.5 w-4.5" />
                 </div>
@@ -770,7 +2319,11 @@ export default function AdvancedMetronomeUI() {
                     Metrónomo Jaramillo
                   </CardTitle>
                   <div className="text-xs text-white/85">
-                    {ts} • {subdivision} • {swingLabel}
+                    {ts}
+                    {beatUnit !== "auto" && !layout.fallback
+                      ? ` (${BEAT_UNITS.find((item) => item.id === beatUnit)?.label.toLowerCase()})`
+                      : ""}{" "}
+                    • {subdivision} • {swingLabel}
                   </div>
                 </div>
               </div>
@@ -816,6 +2369,11 @@ export default function AdvancedMetronomeUI() {
 
                 <div className="flex flex-col items-end gap-2">
                   <div className="text-xs text-white/80">{tempoMs.toFixed(0)} ms/pulso</div>
+                  {followedBpm !== null && (
+                    <div className="text-[11px] tabular-nums text-sky-300">
+                      Reloj MIDI · {followedBpm} BPM
+                    </div>
+                  )}
                   <div className="flex gap-2">
                     <Button
                       variant="outline"
@@ -870,7 +2428,15 @@ export default function AdvancedMetronomeUI() {
                 {/* Puntos de pulso como un dispositivo físico */}
                 <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
                   <div className="flex items-center justify-between">
-                    <div className="text-xs text-white/85">Pulsos</div>
+                    <div className="text-xs text-white/85">
+                      {countInBeat ? "Cuenta previa" : "Pulsos"}
+                      {countInBeat && countInBeat.bars > 1 && (
+                        <span className="ml-2 text-amber-300">
+                          {countInBeat.bar + 1}/{countInBeat.bars}
+                        </span>
+                      )}
+                      {isRunning && gapSilent && <span className="ml-2 text-amber-300">· silencio</span>}
+                    </div>
                     <button
                       type="button"
                       className="inline-flex items-center gap-1 text-xs font-medium text-white/90 hover:text-white hover:underline"
@@ -884,9 +2450,71 @@ export default function AdvancedMetronomeUI() {
                     <TinyDotRow
                       beats={beats}
                       accents={accents}
-                      activeIndex={isRunning ? currentBeat : null}
+                      groups={groups}
+                      activeIndex={isRunning ? (countInBeat?.beatIndex ?? currentBeat) : null}
                     />
                   </div>
+                  {polyEnabled &&
+                    polyLayers.map((layer, i) => (
+                      <div
+                        key={i}
+                        className={"mt-2 flex items-center gap-2 " + (layer.muted ? "opacity-40" : "")}
+                      >
+                        <div className="w-6 text-[10px] text-white/70">P{i + 1}</div>
+                        <div className="flex-1">
+                          <TinyDotRow
+                            beats={layer.beats}
+                            accents={layer.accents}
+                            activeIndex={isRunning ? polyActive[i]?.beatIndex : null}
+                          />
+                        </div>
+                        {layer.mode === "meter" && (
+                          <div
+                            className={
+                              "w-10 text-right text-[10px] tabular-nums " +
+                              (isRunning && polyActive[i]?.realignIn === 0
+                                ? "text-emerald-300"
+                                : "text-white/70")
+                            }
+                            title="Compases hasta la realineación"
+                          >
+                            {isRunning && polyActive[i]?.realignIn != null
+                              ? `↻ ${Math.ceil(polyActive[i].realignIn / beats)}`
+                              : `↻ ${getPolymeterCycleBars(beats, layer.beats)}`}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  {songMode && activeSong && (
+                    <div className="mt-3 flex items-center justify-between text-[10px] tabular-nums text-white/75">
+                      <span className="truncate text-white">
+                        {activeSong.sections[songPosition?.sectionIndex ?? 0]?.name}
+                        {loopSection === (songPosition?.sectionIndex ?? 0) ? " ↻" : ""}
+                      </span>
+                      <span>
+                        {isRunning && songPosition
+                          ? `compás ${songPosition.bar + 1}/${songPosition.bars} · `
+                          : ""}
+                        sección {(songPosition?.sectionIndex ?? 0) + 1}/{activeSong.sections.length}
+                      </span>
+                    </div>
+                  )}
+                  {training.enabled && isRunning && rampState && (
+                    <div className="mt-3 space-y-1">
+                      <div className="flex items-center justify-between text-[10px] tabular-nums text-white/75">
+                        <span>Rampa {Math.round(rampState.progress * 100)}%</span>
+                        <span>
+                          {rampState.done
+                            ? RAMP_COMPLETION_LABELS[training.onComplete]
+                            : `${rampTarget >= rampState.bpm ? "↑" : "↓"} ${rampState.bpm} → ${rampTarget} BPM`}
+                          {training.repeats > 1
+                            ? ` · ciclo ${rampState.cycle + 1}/${training.repeats}`
+                            : ""}
+                        </span>
+                      </div>
+                      <Progress value={rampState.progress * 100} className="h-1.5" />
+                    </div>
+                  )}
                   <div className="mt-3">
                     <div className="relative">
                       <Progress value={visualPulse ? phase : 0} className="h-2" />
@@ -904,13 +2532,7 @@ export default function AdvancedMetronomeUI() {
 
               <Button
                 className="h-12 rounded-2xl bg-[linear-gradient(180deg,#22c55e,#15803d)] text-black shadow-[inset_0_1px_0_rgba(255,255,255,0.35),0_16px_26px_rgba(0,0,0,0.55)] hover:brightness-110"
-                onClick={() => {
-                  if (isRunningRef.current) {
-                    stopTransport();
-                  } else {
-                    startTransport();
-                  }
-                }}
+                onClick={toggleTransport}
               >
                 {isRunning ? (
                   <>
@@ -942,13 +2564,24 @@ export default function AdvancedMetronomeUI() {
 
             {/* Cajón (avanzado) */}
             {drawerOpen && (
-              <div className="rounded-[1.75rem] border border-white/12 bg-black/45 p-4 space-y-4 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+              <div
+                className={
+                  "rounded-[1.75rem] border border-white/12 bg-black/45 p-4 space-y-4 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] " +
+                  (isDetached
+                    ? "lg:columns-2 lg:gap-4 lg:*:break-inside-avoid"
+                    : "")
+                }
+              >
                 <div className="grid grid-cols-2 gap-3">
                   <div className="space-y-2">
                     <Label className="text-xs text-white/85">Compás</Label>
                     <select
-                      value={ts}
-                      onChange={(event) => setTs(event.target.value)}
+                      value={TIME_SIGNATURES.includes(ts) ? ts : "custom"}
+                      onChange={(event) => {
+                        if (event.target.value !== "custom") {
+                          changeTimeSignature(event.target.value);
+                        }
+                      }}
                       className="w-full rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
                     >
                       {TIME_SIGNATURES.map((value) => (
@@ -956,6 +2589,9 @@ export default function AdvancedMetronomeUI() {
                           {value}
                         </option>
                       ))}
+                      <option value="custom" className="bg-slate-900">
+                        {TIME_SIGNATURES.includes(ts) ? "Personalizado" : ts}
+                      </option>
                     </select>
                   </div>
 
@@ -975,6 +2611,85 @@ export default function AdvancedMetronomeUI() {
                   </div>
                 </div>
 
+                <div className="flex items-center justify-between gap-3 rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                  <div>
+                    <div className="text-sm font-semibold text-white">Unidad de pulso</div>
+                    <div className="text-xs text-white/75">
+                      {layout.fallback
+                        ? "No divide este compás; se usa el denominador"
+                        : "Figura a la que se refiere el BPM"}
+                    </div>
+                  </div>
+                  <select
+                    value={beatUnit}
+                    onChange={(event) => setBeatUnit(event.target.value)}
+                    className="rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                  >
+                    {BEAT_UNITS.map((item) => (
+                      <option
+                        key={item.id}
+                        value={item.id}
+                        disabled={getPulseLayout(ts, item.id).fallback}
+                        className="bg-slate-900"
+                      >
+                        {item.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-2">
+                  <div>
+                    <div className="text-sm font-semibold text-white">Compás personalizado</div>
+                    <div className="text-xs text-white/75">
+                      Agrupación aditiva opcional, p. ej. 2+2+3 en 7/8
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min={1}
+                      max={32}
+                      value={customBeats}
+                      onChange={(event) => setCustomBeats(event.target.value)}
+                      aria-label="Numerador"
+                      className="w-14 rounded-2xl border border-white/15 bg-black/60 px-2 py-2 text-center text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                    />
+                    <span className="text-white/70">/</span>
+                    <select
+                      value={customUnit}
+                      onChange={(event) => setCustomUnit(event.target.value)}
+                      aria-label="Denominador"
+                      className="rounded-2xl border border-white/15 bg-black/60 px-2 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                    >
+                      {TIME_SIGNATURE_UNITS.map((value) => (
+                        <option key={value} value={value} className="bg-slate-900">
+                          {value}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={customGrouping}
+                      onChange={(event) => setCustomGrouping(event.target.value)}
+                      placeholder="2+2+3"
+                      aria-label="Agrupación"
+                      className={
+                        "min-w-0 flex-1 rounded-2xl border bg-black/60 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60 " +
+                        (customTs ? "border-white/15" : "border-rose-400/70")
+                      }
+                    />
+                    <Button
+                      variant="outline"
+                      className="h-9 rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                      disabled={!customTs || customTs === ts}
+                      onClick={() => changeTimeSignature(customTs)}
+                    >
+                      Aplicar
+                    </Button>
+                  </div>
+                </div>
+
                 <div className="grid grid-cols-2 gap-3">
                   <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
                     <div className="flex items-center justify-between">
@@ -1031,39 +2746,76 @@ export default function AdvancedMetronomeUI() {
                 </div>
 
                 <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                  <div>
+                    <div className="text-sm font-semibold text-white">Cuenta previa</div>
+                    <div className="text-xs text-white/75">
+                      Compases de entrada con un sonido distinto antes de empezar
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    {Array.from({ length: MAX_COUNT_IN_BARS + 1 }, (_, bars) => (
+                      <SegButton
+                        key={bars}
+                        active={countIn.bars === bars}
+                        onClick={() => setCountIn((prev) => normalizeCountIn({ ...prev, bars }))}
+                      >
+                        {bars === 0 ? "Sin" : bars === 1 ? "1 compás" : `${bars} compases`}
+                      </SegButton>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Label className="w-24 shrink-0 text-xs text-white/85">Sonido</Label>
+                    <select
+                      value={countIn.voice}
+                      onChange={(event) =>
+                        setCountIn((prev) => normalizeCountIn({ ...prev, voice: event.target.value }))
+                      }
+                      className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                    >
+                      {voiceOptions.map((voice) => (
+                        <option key={voice.id} value={voice.id} className="bg-slate-900">
+                          {voice.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
                   <div className="flex items-center justify-between">
                     <div>
-                      <div className="text-sm font-semibold text-white">Modo de entrenamiento</div>
-                      <div className="text-xs text-white/75">
-                        Aumenta automáticamente el tempo al reproducir
+                      <div className="text-xs font-semibold text-white">Contar en voz alta</div>
+                      <div className="text-[11px] text-white/70">
+                        {HAS_COUNT_VOICE
+                          ? "Dice los pulsos de la cuenta previa"
+                          : "Esta versión no incluye muestras de voz"}
                       </div>
                     </div>
-                    <Switch checked={trainingMode} onCheckedChange={setTrainingMode} />
+                    <Switch
+                      checked={countIn.spoken}
+                      disabled={!HAS_COUNT_VOICE}
+                      onCheckedChange={(spoken) => setCountIn((prev) => ({ ...prev, spoken }))}
+                    />
                   </div>
-                  <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
-                    <div className="flex items-center justify-between text-xs text-white/80">
-                      <span>Aumentar en</span>
-                      <span className="text-white">{trainingStep} BPM</span>
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="text-xs font-semibold text-white">Conteo hablado al tocar</div>
+                      <div className="text-[11px] text-white/70">“1, 2, 3, 4” sobre cada pulso</div>
                     </div>
-                    <Slider
-                      value={[trainingStep]}
-                      min={1}
-                      max={12}
-                      step={1}
-                      onValueChange={(v) => setTrainingStep(v[0])}
+                    <Switch
+                      checked={spokenCount.enabled}
+                      disabled={!HAS_COUNT_VOICE}
+                      onCheckedChange={(enabled) => setSpokenCount((prev) => ({ ...prev, enabled }))}
                     />
                   </div>
-                  <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
-                    <div className="flex items-center justify-between text-xs text-white/80">
-                      <span>Cada</span>
-                      <span className="text-white">{trainingEvery} compases</span>
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="text-xs font-semibold text-white">Con subdivisiones</div>
+                      <div className="text-[11px] text-white/70">“1-e-and-a”, “1-trip-let”…</div>
                     </div>
-                    <Slider
-                      value={[trainingEvery]}
-                      min={1}
-                      max={12}
-                      step={1}
-                      onValueChange={(v) => setTrainingEvery(v[0])}
+                    <Switch
+                      checked={spokenCount.subdivisions}
+                      disabled={!HAS_COUNT_VOICE || !spokenCount.enabled}
+                      onCheckedChange={(subdivisions) =>
+                        setSpokenCount((prev) => ({ ...prev, subdivisions }))
+                      }
                     />
                   </div>
                 </div>
@@ -1071,56 +2823,299 @@ export default function AdvancedMetronomeUI() {
                 <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
                   <div className="flex items-center justify-between">
                     <div>
-                      <div className="text-sm font-semibold text-white">Polirritmo</div>
+                      <div className="text-sm font-semibold text-white">Modo de entrenamiento</div>
                       <div className="text-xs text-white/75">
-                        Pulso secundario contra el compás principal
+                        Rampa de tempo de {training.startBpm} a {training.targetBpm} BPM al reproducir
                       </div>
                     </div>
-                    <Switch checked={polyEnabled} onCheckedChange={setPolyEnabled} />
+                    <Switch
+                      checked={training.enabled}
+                      onCheckedChange={(value) => updateTraining({ enabled: value })}
+                    />
                   </div>
                   <div className="grid grid-cols-2 gap-3">
-                    <div className="space-y-2">
-                      <Label className="text-xs text-white/85">Pulsos</Label>
-                      <div className="flex gap-2">
-                        {[3, 4, 5, 7].map((value) => (
-                          <SegButton
-                            key={value}
-                            active={polyBeats === value}
-                            onClick={() => setPolyBeats(value)}
-                          >
-                            {value}
-                          </SegButton>
-                        ))}
+                    <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                      <div className="flex items-center justify-between text-xs text-white/80">
+                        <span>Inicio</span>
+                        <span className="text-white">{training.startBpm} BPM</span>
                       </div>
-                    </div>
-                    <div className="space-y-2">
-                      <Label className="text-xs text-white/85">Subdivisión</Label>
-                      <select
-                        value={polySubdivision}
-                        onChange={(event) => setPolySubdivision(event.target.value)}
-                        className="w-full rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                      <Slider
+                        value={[training.startBpm]}
+                        min={20}
+                        max={300}
+                        step={1}
+                        onValueChange={(v) => updateTraining({ startBpm: v[0] })}
+                      />
+                    </div>
+                    <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                      <div className="flex items-center justify-between text-xs text-white/80">
+                        <span>Objetivo</span>
+                        <span className="text-white">{training.targetBpm} BPM</span>
+                      </div>
+                      <Slider
+                        value={[training.targetBpm]}
+                        min={20}
+                        max={300}
+                        step={1}
+                        onValueChange={(v) => updateTraining({ targetBpm: v[0] })}
+                      />
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    {RAMP_CURVES.map((curve) => (
+                      <SegButton
+                        key={curve}
+                        active={training.curve === curve}
+                        onClick={() => updateTraining({ curve })}
                       >
-                        {SUBDIVISIONS.map((value) => (
-                          <option key={value} value={value} className="bg-slate-900">
-                            {value}
-                          </option>
+                        {RAMP_CURVE_LABELS[curve]}
+                      </SegButton>
+                    ))}
+                  </div>
+                  {training.curve === "linear" ? (
+                    <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-2">
+                      <div className="flex items-center justify-between text-xs text-white/80">
+                        <span>Duración</span>
+                        <span className="text-white">
+                          {training.length}{" "}
+                          {training.lengthUnit === "minutes" ? "min" : "compases"}
+                        </span>
+                      </div>
+                      <Slider
+                        value={[training.length]}
+                        min={1}
+                        max={training.lengthUnit === "minutes" ? 30 : 128}
+                        step={1}
+                        onValueChange={(v) => updateTraining({ length: v[0] })}
+                      />
+                      <div className="flex gap-2">
+                        {RAMP_LENGTH_UNITS.map((unit) => (
+                          <SegButton
+                            key={unit}
+                            active={training.lengthUnit === unit}
+                            onClick={() => updateTraining({ lengthUnit: unit })}
+                          >
+                            {RAMP_LENGTH_UNIT_LABELS[unit]}
+                          </SegButton>
                         ))}
-                      </select>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-2 gap-3">
+                      <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                        <div className="flex items-center justify-between text-xs text-white/80">
+                          <span>Escalón</span>
+                          <span className="text-white">{training.step} BPM</span>
+                        </div>
+                        <Slider
+                          value={[training.step]}
+                          min={1}
+                          max={12}
+                          step={1}
+                          onValueChange={(v) => updateTraining({ step: v[0] })}
+                        />
+                      </div>
+                      <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                        <div className="flex items-center justify-between text-xs text-white/80">
+                          <span>Cada</span>
+                          <span className="text-white">{training.every} compases</span>
+                        </div>
+                        <Slider
+                          value={[training.every]}
+                          min={1}
+                          max={12}
+                          step={1}
+                          onValueChange={(v) => updateTraining({ every: v[0] })}
+                        />
+                      </div>
                     </div>
+                  )}
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="text-xs font-semibold text-white">Ida y vuelta</div>
+                      <div className="text-[11px] text-white/70">Vuelve al tempo inicial tras el objetivo</div>
+                    </div>
+                    <Switch
+                      checked={training.roundTrip}
+                      onCheckedChange={(value) => updateTraining({ roundTrip: value })}
+                    />
                   </div>
                   <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
                     <div className="flex items-center justify-between text-xs text-white/80">
-                      <span>Volumen del polirritmo</span>
-                      <span className="text-white">{polyVolume}%</span>
+                      <span>Repeticiones</span>
+                      <span className="text-white">{training.repeats}×</span>
                     </div>
                     <Slider
-                      value={[polyVolume]}
-                      min={0}
-                      max={100}
+                      value={[training.repeats]}
+                      min={1}
+                      max={10}
                       step={1}
-                      onValueChange={(v) => setPolyVolume(v[0])}
+                      onValueChange={(v) => updateTraining({ repeats: v[0] })}
                     />
                   </div>
+                  <div className="space-y-2">
+                    <div className="text-xs text-white/80">Al terminar</div>
+                    <div className="flex gap-2">
+                      {RAMP_COMPLETIONS.map((mode) => (
+                        <SegButton
+                          key={mode}
+                          active={training.onComplete === mode}
+                          onClick={() => updateTraining({ onComplete: mode })}
+                        >
+                          {RAMP_COMPLETION_LABELS[mode]}
+                        </SegButton>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+
+                <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="text-sm font-semibold text-white">Silencios de entrenamiento</div>
+                      <div className="text-xs text-white/75">
+                        Calla compases o pulsos para practicar el tiempo interno
+                      </div>
+                    </div>
+                    <Switch
+                      checked={gap.enabled}
+                      onCheckedChange={(value) => updateGap({ enabled: value })}
+                    />
+                  </div>
+                  <div className="flex gap-2">
+                    {GAP_MODES.map((mode) => (
+                      <SegButton
+                        key={mode}
+                        active={gap.mode === mode}
+                        onClick={() => updateGap({ mode })}
+                      >
+                        {GAP_MODE_LABELS[mode]}
+                      </SegButton>
+                    ))}
+                  </div>
+                  {gap.mode === "bars" ? (
+                    <div className="grid grid-cols-2 gap-3">
+                      <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                        <div className="flex items-center justify-between text-xs text-white/80">
+                          <span>Sonar</span>
+                          <span className="text-white">{gap.playBars} compases</span>
+                        </div>
+                        <Slider
+                          value={[gap.playBars]}
+                          min={1}
+                          max={16}
+                          step={1}
+                          onValueChange={(v) => updateGap({ playBars: v[0] })}
+                        />
+                      </div>
+                      <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                        <div className="flex items-center justify-between text-xs text-white/80">
+                          <span>Callar</span>
+                          <span className="text-white">{gap.muteBars} compases</span>
+                        </div>
+                        <Slider
+                          value={[gap.muteBars]}
+                          min={1}
+                          max={16}
+                          step={1}
+                          onValueChange={(v) => updateGap({ muteBars: v[0] })}
+                        />
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                      <div className="flex items-center justify-between text-xs text-white/80">
+                        <span>Pulsos en silencio</span>
+                        <span className="text-white">{gap.randomPercent}%</span>
+                      </div>
+                      <Slider
+                        value={[gap.randomPercent]}
+                        min={5}
+                        max={90}
+                        step={5}
+                        onValueChange={(v) => updateGap({ randomPercent: v[0] })}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="text-sm font-semibold text-white">Polirritmo</div>
+                      <div className="text-xs text-white/75">
+                        Capas de pulsos cruzados contra el compás principal
+                      </div>
+                    </div>
+                    <Switch checked={polyEnabled} onCheckedChange={setPolyEnabled} />
+                  </div>
+                  {polyLayers.map((layer, i) => (
+                    <PolyLayerCard
+                      key={i}
+                      layer={layer}
+                      index={i}
+                      mainBeats={beats}
+                      voiceOptions={voiceOptions}
+                      onChange={(patch) => updatePolyLayer(i, patch)}
+                      onRemove={
+                        polyLayers.length > 1
+                          ? () => setPolyLayers((prev) => prev.filter((_, k) => k !== i))
+                          : null
+                      }
+                    />
+                  ))}
+                  {polyLayers.length < MAX_POLY_LAYERS && (
+                    <Button
+                      variant="outline"
+                      className="h-9 w-full rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                      onClick={() =>
+                        setPolyLayers((prev) => [...prev, normalizePolyLayer({}, prev.length)])
+                      }
+                    >
+                      <Plus className="mr-2 h-4 w-4" /> Añadir capa
+                    </Button>
+                  )}
+                </div>
+
+                <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                  <div>
+                    <div className="text-sm font-semibold text-white">Sonidos</div>
+                    <div className="text-xs text-white/75">
+                      Elige o carga un WAV/MP3 para cada tipo de clic
+                    </div>
+                  </div>
+                  {VOICE_SLOTS.map((slot) => (
+                    <div key={slot} className="flex items-center gap-2">
+                      <Label className="w-24 shrink-0 text-xs text-white/85">
+                        {VOICE_SLOT_LABELS[slot]}
+                      </Label>
+                      <select
+                        value={voices[slot]}
+                        onChange={(event) =>
+                          setVoices((prev) => ({ ...prev, [slot]: event.target.value }))
+                        }
+                        className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                      >
+                        {voiceOptions.map((voice) => (
+                          <option key={voice.id} value={voice.id} className="bg-slate-900">
+                            {voice.label}
+                          </option>
+                        ))}
+                      </select>
+                      <label className="inline-flex h-9 cursor-pointer items-center rounded-2xl border border-white/15 bg-[linear-gradient(180deg,rgba(168,85,247,0.30),rgba(168,85,247,0.12))] px-3 text-xs font-medium text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110">
+                        Cargar
+                        <input
+                          type="file"
+                          accept=".wav,.mp3,audio/wav,audio/mpeg"
+                          className="hidden"
+                          onChange={(event) => {
+                            loadVoiceFile(slot, event.target.files?.[0]);
+                            event.target.value = "";
+                          }}
+                        />
+                      </label>
+                    </div>
+                  ))}
                 </div>
 
                 {/* Editor compacto de acentos */}
@@ -1128,13 +3123,15 @@ export default function AdvancedMetronomeUI() {
                   <div className="flex items-center justify-between">
                     <div>
                       <div className="text-sm font-semibold text-white">Acentos</div>
-                      <div className="text-xs text-white/80">Toca los puntos para alternar</div>
+                      <div className="text-xs text-white/80">
+                        Toca para alternar: acento, normal, suave, silencio
+                      </div>
                     </div>
                     <Button
                       variant="outline"
                       className="h-9 rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
                       onClick={() =>
-                        setAccents(Array.from({ length: beats }, (_, i) => i === 0))
+                        setAccents(buildAccentArray(beats, [], groups))
                       }
                     >
                       Tiempo fuerte
@@ -1145,17 +3142,17 @@ export default function AdvancedMetronomeUI() {
                     {Array.from({ length: beats })
                       .slice(0, 12)
                       .map((_, i) => {
-                        const on = accents?.[i] ?? i === 0;
+                        const level = buildAccentArray(beats, accents, groups)[i];
                         return (
                           <button
                             key={i}
                             type="button"
-                            onClick={() => toggleAccent(i)}
+                            onClick={() => cycleAccent(i)}
+                            title={ACCENT_LEVEL_LABELS[level]}
+                            aria-label={`Pulso ${i + 1}: ${ACCENT_LEVEL_LABELS[level]}`}
                             className={
                               "h-9 w-9 rounded-2xl border text-sm font-semibold transition shadow-sm " +
-                              (on
-                                ? "border-emerald-300/60 bg-emerald-400/30 text-white shadow-[0_0_14px_rgba(34,197,94,0.35)]"
-                                : "border-white/15 bg-white/5 text-white/90 hover:bg-white/10")
+                              ACCENT_BUTTON_CLASSES[level]
                             }
                           >
                             {i + 1}
@@ -1169,41 +3166,297 @@ export default function AdvancedMetronomeUI() {
                   </div>
                 </div>
 
+                {/* Rejilla de pasos: pulsos × subdivisiones */}
+                <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="text-sm font-semibold text-white">Rejilla de pasos</div>
+                      <div className="text-xs text-white/80">
+                        Toca para alternar: sonando, acento, apagado
+                      </div>
+                    </div>
+                    <Button
+                      variant="outline"
+                      className="h-9 rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                      onClick={() => setStepGrid(normalizeStepGrid([], beats, subdivisionsPerBeat))}
+                    >
+                      Todo
+                    </Button>
+                  </div>
+
+                  <div className="mt-3 space-y-1">
+                    {normalizeStepGrid(stepGrid, beats, subdivisionsPerBeat)
+                      .slice(0, 12)
+                      .map((row, beatIndex) => (
+                        <div key={beatIndex} className="flex gap-1">
+                          {row.map((cell, subIndex) => (
+                            <button
+                              key={subIndex}
+                              type="button"
+                              onClick={() => cycleStep(beatIndex, subIndex)}
+                              className={
+                                "h-6 min-w-0 flex-1 rounded-lg border text-[10px] font-semibold text-white/85 transition " +
+                                STEP_CELL_CLASSES[cell]
+                              }
+                            >
+                              {subdivisionsPerBeat <= 8
+                                ? getStepLabel(beatIndex, subIndex, subdivisionsPerBeat)
+                                : ""}
+                            </button>
+                          ))}
+                        </div>
+                      ))}
+                  </div>
+                </div>
+
+                <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="text-sm font-semibold text-white">Canciones</div>
+                      <div className="text-xs text-white/75">
+                        Secciones con su propio tempo y compás, en repertorios
+                      </div>
+                    </div>
+                    <Switch
+                      checked={songMode}
+                      disabled={!activeSong}
+                      onCheckedChange={setSongMode}
+                    />
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={activeSetlistId}
+                      onChange={(event) => setActiveSetlistId(event.target.value)}
+                      aria-label="Repertorio"
+                      className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                    >
+                      <option value="" className="bg-slate-900">
+                        Todas las canciones
+                      </option>
+                      {songLibrary.setlists.map((setlist) => (
+                        <option key={setlist.id} value={setlist.id} className="bg-slate-900">
+                          {setlist.name}
+                        </option>
+                      ))}
+                    </select>
+                    <Button variant="outline" className="h-9 rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110" onClick={addSetlist}>
+                      Nuevo
+                    </Button>
+                  </div>
+                  {activeSetlist && (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={activeSetlist.name}
+                        onChange={(event) =>
+                          updateSongLibrary((prev) => ({
+                            ...prev,
+                            setlists: prev.setlists.map((setlist) =>
+                              setlist.id === activeSetlistId
+                                ? { ...setlist, name: event.target.value }
+                                : setlist
+                            ),
+                          }))
+                        }
+                        aria-label="Nombre del repertorio"
+                        className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                      />
+                      <button
+                        type="button"
+                        className="text-xs font-medium text-white/80 hover:text-white hover:underline"
+                        onClick={() => {
+                          updateSongLibrary((prev) => ({
+                            ...prev,
+                            setlists: prev.setlists.filter((setlist) => setlist.id !== activeSetlistId),
+                          }));
+                          setActiveSetlistId("");
+                        }}
+                      >
+                        Borrar
+                      </button>
+                    </div>
+                  )}
+                  <div className="flex items-center gap-2">
+                    <Button
+                      variant="outline"
+                      size="icon"
+                      className="h-9 w-9 rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                      disabled={songOrder.length < 2}
+                      onClick={() => stepSong(-1)}
+                      aria-label="Canción anterior"
+                    >
+                      <SkipBack className="h-4 w-4" />
+                    </Button>
+                    <select
+                      value={activeSongId ?? ""}
+                      onChange={(event) => setActiveSongId(event.target.value || null)}
+                      aria-label="Canción"
+                      className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                    >
+                      {songOrder.length === 0 && (
+                        <option value="" className="bg-slate-900">
+                          Sin canciones
+                        </option>
+                      )}
+                      {songOrder.map((song, i) => (
+                        <option key={song.id} value={song.id} className="bg-slate-900">
+                          {i + 1}. {song.name}
+                        </option>
+                      ))}
+                      {activeSong && !songOrder.includes(activeSong) && (
+                        <option value={activeSong.id} className="bg-slate-900">
+                          {activeSong.name} (fuera del repertorio)
+                        </option>
+                      )}
+                    </select>
+                    <Button
+                      variant="outline"
+                      size="icon"
+                      className="h-9 w-9 rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                      disabled={songOrder.length < 2}
+                      onClick={() => stepSong(1)}
+                      aria-label="Canción siguiente"
+                    >
+                      <SkipForward className="h-4 w-4" />
+                    </Button>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button variant="outline" className="h-8 flex-1 text-xs rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110" onClick={addSong}>
+                      Nueva canción
+                    </Button>
+                    {activeSetlist && activeSong && (
+                      <Button
+                        variant="outline"
+                        className="h-8 flex-1 text-xs rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                        onClick={toggleSongInSetlist}
+                      >
+                        {activeSetlist.songIds.includes(activeSong.id)
+                          ? "Sacar del repertorio"
+                          : "Añadir al repertorio"}
+                      </Button>
+                    )}
+                  </div>
+                  {activeSong && (
+                    <div className="space-y-2">
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          value={activeSong.name}
+                          onChange={(event) =>
+                            updateActiveSong((song) => ({ ...song, name: event.target.value }))
+                          }
+                          aria-label="Nombre de la canción"
+                          className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                        />
+                        <div className="flex items-center gap-2 text-xs text-white/80">
+                          Bucle
+                          <Switch
+                            checked={activeSong.loop}
+                            onCheckedChange={(loop) => updateActiveSong((song) => ({ ...song, loop }))}
+                          />
+                        </div>
+                        <button
+                          type="button"
+                          className="text-xs font-medium text-white/80 hover:text-white hover:underline"
+                          onClick={removeActiveSong}
+                        >
+                          Borrar
+                        </button>
+                      </div>
+                      <div className="text-[11px] text-white/70">
+                        {activeSong.sections.length} secciones · {getSongLength(activeSong)} compases
+                      </div>
+                      {activeSong.sections.map((section, i) => (
+                        <SongSectionRow
+                          key={i}
+                          section={section}
+                          index={i}
+                          count={activeSong.sections.length}
+                          active={songMode && songPosition?.sectionIndex === i}
+                          looping={loopSection === i}
+                          onChange={(patch) => updateSection(i, patch)}
+                          onCapture={() => updateSection(i, { config: getConfigSnapshot() })}
+                          onJump={() => jumpToSection(i)}
+                          onToggleLoop={() => setLoopSection((value) => (value === i ? null : i))}
+                          onMove={(delta) => moveSection(i, delta)}
+                          onRemove={() => {
+                            updateActiveSong((song) => ({
+                              ...song,
+                              sections: song.sections.filter((_, k) => k !== i),
+                            }));
+                            setLoopSection(null);
+                          }}
+                        />
+                      ))}
+                      <Button
+                        variant="outline"
+                        className="h-8 w-full text-xs rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                        onClick={() =>
+                          updateActiveSong((song) => ({
+                            ...song,
+                            sections: [
+                              ...song.sections,
+                              { bars: 8, config: getConfigSnapshot() },
+                            ],
+                          }))
+                        }
+                      >
+                        Añadir sección con la configuración actual
+                      </Button>
+                    </div>
+                  )}
+                </div>
+
                 <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
                   <div className="flex items-center justify-between">
                     <div>
                       <div className="text-sm font-semibold text-white">Preajustes</div>
                       <div className="text-xs text-white/75">
-                        Toca para recuperar, guarda en ranuras
+                        Biblioteca con nombre, etiquetas y notas
                       </div>
                     </div>
                     <Badge
                       variant="secondary"
                       className="rounded-full bg-white/10 text-white border border-white/15"
                     >
-                      {presetSlots.filter(Boolean).length}/{PRESET_SLOTS}
+                      {presetLibrary.presets.length}
                     </Badge>
                   </div>
                   <div className="grid grid-cols-2 gap-2">
-                    {Array.from({ length: PRESET_SLOTS }).map((_, i) => {
-                      const hasPreset = presetSlots[i];
+                    {Array.from({ length: QUICK_SLOTS }).map((_, i) => {
+                      const slotPreset = getQuickSlotPreset(presetLibrary, i);
                       return (
                         <div
                           key={`preset-${i}`}
-                          className="rounded-2xl border border-white/12 bg-black/45 p-2 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)]"
+                          className="rounded-2xl border border-white/12 bg-black/45 p-2 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-2"
                         >
                           <div className="flex items-center justify-between text-xs text-white/80">
                             <span>Ranura {i + 1}</span>
-                            <span className={hasPreset ? "text-emerald-300" : "text-white/60"}>
-                              {hasPreset ? "Guardado" : "Vacío"}
-                            </span>
+                            <span className="text-[10px] text-white/60">Ctrl/⌘+{i + 1}</span>
                           </div>
-                          <div className="mt-2 flex gap-2">
+                          <select
+                            value={presetLibrary.quickSlots[i] ?? ""}
+                            onChange={(event) =>
+                              setPresetLibrary((prev) => assignQuickSlot(prev, i, event.target.value || null))
+                            }
+                            aria-label={`Preajuste de la ranura ${i + 1}`}
+                            className="w-full truncate rounded-xl border border-white/15 bg-black/60 px-2 py-1 text-xs text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                          >
+                            <option value="" className="bg-slate-900">
+                              Vacía
+                            </option>
+                            {presetLibrary.presets.map((preset) => (
+                              <option key={preset.id} value={preset.id} className="bg-slate-900">
+                                {preset.name}
+                              </option>
+                            ))}
+                          </select>
+                          <div className="flex gap-2">
                             <Button
                               variant="outline"
                               className="h-6 flex-1 rounded-2xl text-[0.7rem] text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
                               onClick={() => loadPreset(i)}
-                              disabled={!hasPreset}
+                              disabled={!slotPreset}
                             >
                               Cargar
                             </Button>
@@ -1211,6 +3464,7 @@ export default function AdvancedMetronomeUI() {
                               variant="outline"
                               className="h-6 flex-1 rounded-2xl text-[0.7rem] text-white border border-white/15 bg-[linear-gradient(180deg,rgba(168,85,247,0.30),rgba(168,85,247,0.12))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
                               onClick={() => savePreset(i)}
+                              title={slotPreset ? `Sobrescribe «${slotPreset.name}»` : "Crea un preajuste nuevo"}
                             >
                               Guardar
                             </Button>
@@ -1219,15 +3473,625 @@ export default function AdvancedMetronomeUI() {
                       );
                     })}
                   </div>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="search"
+                      value={presetQuery}
+                      onChange={(event) => setPresetQuery(event.target.value)}
+                      placeholder="Buscar por nombre, notas o etiqueta"
+                      aria-label="Buscar preajustes"
+                      className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setPresetFavoritesOnly((value) => !value)}
+                      title="Solo favoritos"
+                      aria-pressed={presetFavoritesOnly}
+                      className={
+                        "inline-flex h-9 w-9 shrink-0 items-center justify-center rounded-2xl border transition " +
+                        (presetFavoritesOnly
+                          ? "border-amber-300/60 bg-amber-300/15 text-amber-300"
+                          : "border-white/15 bg-white/5 text-white/80 hover:bg-white/10")
+                      }
+                    >
+                      <Star className="h-4 w-4" fill={presetFavoritesOnly ? "currentColor" : "none"} />
+                    </button>
+                  </div>
+                  {presetTags.length > 0 && (
+                    <div className="flex flex-wrap gap-1.5">
+                      {["", ...presetTags].map((tag) => (
+                        <button
+                          key={tag || "all"}
+                          type="button"
+                          onClick={() => setPresetTag(tag)}
+                          className={
+                            "rounded-full border px-2.5 py-0.5 text-[11px] transition " +
+                            (presetTag === tag
+                              ? "border-sky-400/60 bg-sky-400/15 text-white"
+                              : "border-white/15 bg-white/5 text-white/80 hover:bg-white/10")
+                          }
+                        >
+                          {tag || "Todas"}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <div className="max-h-96 space-y-2 overflow-y-auto">
+                    {visiblePresets.map((preset) => {
+                      const index = presetLibrary.presets.indexOf(preset);
+                      return (
+                        <PresetRow
+                          key={preset.id}
+                          preset={preset}
+                          active={preset.id === activePresetId}
+                          editing={preset.id === editingPresetId}
+                          slots={presetLibrary.quickSlots.flatMap((id, slot) => (id === preset.id ? [slot] : []))}
+                          canMove={visiblePresets.length === presetLibrary.presets.length}
+                          isFirst={index === 0}
+                          isLast={index === presetLibrary.presets.length - 1}
+                          onLoad={() => loadLibraryPreset(preset.id)}
+                          onChange={(patch) => setPresetLibrary((prev) => updatePreset(prev, preset.id, patch))}
+                          onToggleEdit={() =>
+                            setEditingPresetId((current) => (current === preset.id ? null : preset.id))
+                          }
+                          onOverwrite={() => overwritePreset(preset.id)}
+                          onDuplicate={() => {
+                            const result = duplicatePreset(presetLibrary, preset.id);
+                            setPresetLibrary(result.library);
+                            setEditingPresetId(result.preset?.id ?? null);
+                          }}
+                          onMove={(delta) => setPresetLibrary((prev) => movePreset(prev, preset.id, delta))}
+                          onRemove={() => {
+                            if (!window.confirm(`¿Borrar el preajuste «${preset.name}»?`)) return;
+                            setPresetLibrary((prev) => deletePreset(prev, preset.id));
+                            setEditingPresetId(null);
+                          }}
+                        />
+                      );
+                    })}
+                    {visiblePresets.length === 0 && (
+                      <div className="py-2 text-center text-[11px] text-white/60">
+                        {presetLibrary.presets.length === 0
+                          ? "Aún no hay preajustes"
+                          : "Ningún preajuste coincide con la búsqueda"}
+                      </div>
+                    )}
+                  </div>
+                  <Button
+                    variant="outline"
+                    className="h-9 w-full rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(168,85,247,0.30),rgba(168,85,247,0.12))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                    onClick={saveCurrentAsPreset}
+                  >
+                    Guardar la configuración actual como preajuste
+                  </Button>
                 </div>
 
+                <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                  <div>
+                    <div className="text-sm font-semibold text-white">Exportar pista</div>
+                    <div className="text-xs text-white/75">
+                      Pista de clic para el DAW, con swing, acentos, capas y rampas
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <SegButton
+                      active={renderSource === "config"}
+                      onClick={() => setRenderSource("config")}
+                    >
+                      Configuración
+                    </SegButton>
+                    <SegButton
+                      active={renderSource === "song"}
+                      onClick={() => activeSong && setRenderSource("song")}
+                    >
+                      Canción
+                    </SegButton>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min={1}
+                      value={renderOptions.length}
+                      onChange={(event) =>
+                        setRenderOptions((prev) =>
+                          normalizeRenderOptions({ ...prev, length: event.target.value })
+                        )
+                      }
+                      aria-label="Duración de la pista"
+                      className="w-20 rounded-2xl border border-white/15 bg-black/60 px-2 py-2 text-center text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                    />
+                    {RENDER_LENGTH_UNITS.map((unit) => (
+                      <SegButton
+                        key={unit}
+                        active={renderOptions.unit === unit}
+                        onClick={() =>
+                          setRenderOptions((prev) => normalizeRenderOptions({ ...prev, unit }))
+                        }
+                      >
+                        {RENDER_LENGTH_UNIT_LABELS[unit]}
+                      </SegButton>
+                    ))}
+                  </div>
+                  {renderSource === "song" && (
+                    <div className="text-[11px] text-white/70">
+                      La canción sin bucle termina antes si dura menos
+                    </div>
+                  )}
+                  {renderOptions.error && (
+                    <div className="text-[11px] text-amber-300">{renderOptions.error}</div>
+                  )}
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={renderOptions.sampleRate}
+                      onChange={(event) =>
+                        setRenderOptions((prev) =>
+                          normalizeRenderOptions({ ...prev, sampleRate: event.target.value })
+                        )
+                      }
+                      aria-label="Frecuencia de muestreo"
+                      className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                    >
+                      {RENDER_SAMPLE_RATES.map((rate) => (
+                        <option key={rate} value={rate} className="bg-slate-900">
+                          {(rate / 1000).toLocaleString("es")} kHz
+                        </option>
+                      ))}
+                    </select>
+                    {RENDER_BIT_DEPTHS.map((bitDepth) => (
+                      <SegButton
+                        key={bitDepth}
+                        active={renderOptions.bitDepth === bitDepth}
+                        onClick={() =>
+                          setRenderOptions((prev) => normalizeRenderOptions({ ...prev, bitDepth }))
+                        }
+                      >
+                        {bitDepth} bits
+                      </SegButton>
+                    ))}
+                  </div>
+                  <Button
+                    variant="outline"
+                    className="h-9 w-full rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(56,189,248,0.28),rgba(56,189,248,0.10))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                    disabled={
+                      isRendering || Boolean(renderOptions.error) || (renderSource === "song" && !activeSong)
+                    }
+                    onClick={renderWav}
+                  >
+                    {isRendering ? "Renderizando…" : "Renderizar WAV"}
+                  </Button>
+                  <div className="space-y-2 border-t border-white/10 pt-3">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="text-xs font-semibold text-white">MIDI (tipo 1)</div>
+                      <select
+                        value={midiOptions.channel}
+                        onChange={(event) =>
+                          setMidiOptions((prev) =>
+                            normalizeMidiOptions({ ...prev, channel: event.target.value })
+                          )
+                        }
+                        aria-label="Canal MIDI"
+                        className="rounded-2xl border border-white/15 bg-black/60 px-2 py-1 text-xs text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                      >
+                        {Array.from({ length: 16 }, (_, i) => (
+                          <option key={i} value={i + 1} className="bg-slate-900">
+                            Canal {i + 1}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      {MIDI_NOTE_KINDS.map((kind) => (
+                        <label
+                          key={kind}
+                          className="flex items-center justify-between gap-2 text-[11px] text-white/80"
+                        >
+                          {MIDI_NOTE_LABELS[kind]}
+                          <input
+                            type="number"
+                            min={0}
+                            max={127}
+                            value={midiOptions.notes[kind]}
+                            onChange={(event) =>
+                              setMidiOptions((prev) =>
+                                normalizeMidiOptions({
+                                  ...prev,
+                                  notes: { ...prev.notes, [kind]: event.target.value },
+                                })
+                              )
+                            }
+                            className="w-14 rounded-xl border border-white/15 bg-black/60 px-2 py-1 text-center text-xs text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                    <Button
+                      variant="outline"
+                      className="h-9 w-full rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(168,85,247,0.30),rgba(168,85,247,0.12))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                      disabled={renderSource === "song" && !activeSong}
+                      onClick={exportMidiFile}
+                    >
+                      Exportar MIDI
+                    </Button>
+                  </div>
+                </div>
+
+                <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                  <div>
+                    <div className="text-sm font-semibold text-white">Sincronización MIDI</div>
+                    <div className="text-xs text-white/75">
+                      Reloj de 24 pulsos por negra con Start, Stop y posición
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    {SYNC_MODES.map((mode) => (
+                      <SegButton
+                        key={mode}
+                        active={syncSettings.mode === mode}
+                        onClick={() =>
+                          setSyncSettings((prev) => normalizeSyncSettings({ ...prev, mode }))
+                        }
+                      >
+                        {SYNC_MODE_LABELS[mode]}
+                      </SegButton>
+                    ))}
+                  </div>
+                  {syncSettings.mode !== "off" && midiUnavailable && (
+                    <div className="text-[11px] text-amber-300">
+                      Web MIDI no está disponible o se denegó el permiso
+                    </div>
+                  )}
+                  {syncSettings.mode !== "off" && !midiUnavailable && (
+                    <>
+                      <select
+                        value={
+                          syncSettings.mode === "send" ? syncSettings.outputId : syncSettings.inputId
+                        }
+                        onChange={(event) =>
+                          setSyncSettings((prev) =>
+                            normalizeSyncSettings({
+                              ...prev,
+                              [prev.mode === "send" ? "outputId" : "inputId"]: event.target.value,
+                            })
+                          )
+                        }
+                        aria-label={
+                          syncSettings.mode === "send" ? "Salida MIDI" : "Entrada MIDI"
+                        }
+                        className="w-full rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                      >
+                        <option value="" className="bg-slate-900">
+                          Elige un puerto…
+                        </option>
+                        {(syncSettings.mode === "send" ? midiPorts.outputs : midiPorts.inputs).map(
+                          (port) => (
+                            <option key={port.id} value={port.id} className="bg-slate-900">
+                              {port.name}
+                            </option>
+                          )
+                        )}
+                      </select>
+                      <div className="text-[11px] text-white/70">
+                        {syncSettings.mode === "send"
+                          ? "Los equipos conectados siguen el tempo, las rampas y el arranque; la cuenta previa solo envía reloj"
+                          : followedBpm !== null
+                            ? `Siguiendo ${followedBpm} BPM en negras; el maestro arranca y detiene`
+                            : "Esperando reloj del maestro; el tempo local se usa hasta recibirlo"}
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                {getOscBridge() && (
+                  <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="text-sm font-semibold text-white">Control OSC</div>
+                        <div className="text-xs text-white/75">
+                          /metronome/start, stop, bpm f, ts s y preset i por UDP
+                        </div>
+                      </div>
+                      <Switch
+                        checked={oscSettings.enabled}
+                        onCheckedChange={(enabled) => updateOsc({ enabled })}
+                      />
+                    </div>
+                    {oscSettings.enabled && (
+                      <>
+                        <div className="flex items-center gap-2">
+                          <Label className="w-24 shrink-0 text-xs text-white/85">Escuchar en</Label>
+                          <input
+                            key={`port-${oscSettings.port}`}
+                            type="number"
+                            min={1024}
+                            max={65535}
+                            defaultValue={oscSettings.port}
+                            onBlur={(event) => updateOsc({ port: event.target.value })}
+                            aria-label="Puerto OSC de entrada"
+                            className="w-24 rounded-2xl border border-white/15 bg-black/60 px-2 py-2 text-center text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                          />
+                          <div className="flex flex-1 items-center justify-end gap-2 text-xs text-white/80">
+                            Desde la red
+                            <Switch
+                              checked={oscSettings.allowNetwork}
+                              onCheckedChange={(allowNetwork) => updateOsc({ allowNetwork })}
+                            />
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <Label className="w-24 shrink-0 text-xs text-white/85">Enviar pulsos</Label>
+                          <input
+                            key={`host-${oscSettings.replyHost}`}
+                            type="text"
+                            defaultValue={oscSettings.replyHost}
+                            placeholder="sin envío"
+                            onBlur={(event) => updateOsc({ replyHost: event.target.value })}
+                            aria-label="Host de destino OSC"
+                            className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                          />
+                          <input
+                            key={`reply-${oscSettings.replyPort}`}
+                            type="number"
+                            min={1024}
+                            max={65535}
+                            defaultValue={oscSettings.replyPort}
+                            onBlur={(event) => updateOsc({ replyPort: event.target.value })}
+                            aria-label="Puerto OSC de destino"
+                            className="w-24 rounded-2xl border border-white/15 bg-black/60 px-2 py-2 text-center text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                          />
+                        </div>
+                        <div
+                          className={
+                            "text-[11px] " + (oscStatus?.error ? "text-amber-300" : "text-white/70")
+                          }
+                        >
+                          {oscStatus?.error
+                            ? `No se pudo abrir el puerto ${oscStatus.port} (${oscStatus.error})`
+                            : oscStatus?.listening
+                              ? `Escuchando en el puerto ${oscStatus.port}; envía /metronome/beat (compás, pulso, acento) y /metronome/bar`
+                              : "Abriendo el puerto…"}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {getRemoteBridge() && (
+                  <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="text-sm font-semibold text-white">Mando a distancia</div>
+                        <div className="text-xs text-white/75">
+                          Controla el tempo desde el navegador del teléfono en la misma red
+                        </div>
+                      </div>
+                      <Switch
+                        checked={remoteSettings.enabled}
+                        onCheckedChange={(enabled) =>
+                          setRemoteSettings((prev) => normalizeRemoteSettings({ ...prev, enabled }))
+                        }
+                      />
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Label className="w-24 shrink-0 text-xs text-white/85">Puerto</Label>
+                      <input
+                        key={`remote-${remoteSettings.port}`}
+                        type="number"
+                        min={1024}
+                        max={65535}
+                        defaultValue={remoteSettings.port}
+                        onBlur={(event) =>
+                          setRemoteSettings((prev) =>
+                            normalizeRemoteSettings({ ...prev, port: event.target.value })
+                          )
+                        }
+                        aria-label="Puerto del mando a distancia"
+                        className="w-24 rounded-2xl border border-white/15 bg-black/60 px-2 py-2 text-center text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                      />
+                    </div>
+                    {remoteSettings.enabled && remoteStatus?.error && (
+                      <div className="text-[11px] text-amber-300">
+                        No se pudo abrir el puerto {remoteStatus.port} ({remoteStatus.error})
+                      </div>
+                    )}
+                    {remoteSettings.enabled && remoteStatus?.listening && (
+                      <div className="space-y-2">
+                        <div className="space-y-1 text-xs text-white/85">
+                          {remoteStatus.urls.map((url) => (
+                            <div key={url} className="select-all tabular-nums">
+                              {url}
+                            </div>
+                          ))}
+                        </div>
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <div className="text-[11px] text-white/70">Código de emparejamiento</div>
+                            <div className="text-2xl font-bold tracking-[0.3em] tabular-nums text-white">
+                              {remoteStatus.code}
+                            </div>
+                          </div>
+                          <button
+                            type="button"
+                            className="text-xs font-medium text-white/80 hover:text-white hover:underline"
+                            onClick={() => configureRemote(remoteSettings, true)}
+                            title="Desconecta los mandos actuales"
+                          >
+                            Nuevo código
+                          </button>
+                        </div>
+                        <div className="text-[11px] text-white/70">
+                          {remoteStatus.clients === 1
+                            ? "1 mando conectado"
+                            : `${remoteStatus.clients} mandos conectados`}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {getLanBridge() && (
+                  <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                    <div>
+                      <div className="text-sm font-semibold text-white">Sincronía en red</div>
+                      <div className="text-xs text-white/75">
+                        Varios metrónomos de la misma red con el tempo y el compás del líder
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      {LAN_ROLES.map((role) => (
+                        <SegButton
+                          key={role}
+                          active={lanSettings.role === role}
+                          onClick={() =>
+                            setLanSettings((prev) => normalizeLanSettings({ ...prev, role }))
+                          }
+                        >
+                          {LAN_ROLE_LABELS[role]}
+                        </SegButton>
+                      ))}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Label className="w-24 shrink-0 text-xs text-white/85">Sesión</Label>
+                      <input
+                        key={`lan-${lanSettings.session}`}
+                        type="text"
+                        maxLength={32}
+                        defaultValue={lanSettings.session}
+                        onBlur={(event) =>
+                          setLanSettings((prev) =>
+                            normalizeLanSettings({ ...prev, session: event.target.value })
+                          )
+                        }
+                        aria-label="Nombre de la sesión"
+                        className="min-w-0 flex-1 rounded-2xl border border-white/15 bg-black/60 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-sky-400/60"
+                      />
+                    </div>
+                    {lanSettings.role !== "off" && (
+                      <div
+                        className={
+                          "text-[11px] " + (lanStatus?.error ? "text-amber-300" : "text-white/70")
+                        }
+                      >
+                        {lanStatus?.error
+                          ? `No se pudo unir a la red local (${lanStatus.error})`
+                          : !lanStatus?.listening
+                            ? "Conectando…"
+                            : lanSettings.role === "leader"
+                              ? "Enviando tempo y compás a los seguidores de esta sesión"
+                              : lanLeader
+                                ? `Siguiendo al líder · ${Math.round(lanLeader.bpm)} BPM · ${lanLeader.ts}` +
+                                  (lanLeader.rtt !== null ? ` · ${Math.round(lanLeader.rtt)} ms de ida y vuelta` : "")
+                                : "Buscando líder…"}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {getWindowBridge() && windowMode && (
+                  <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                    <div>
+                      <div className="text-sm font-semibold text-white">Ventana</div>
+                      <div className="text-xs text-white/75">
+                        {windowMode === "tray"
+                          ? "Se oculta al cambiar a otra aplicación"
+                          : windowMode === "pinned"
+                            ? "Sigue visible; arrástrala desde el título"
+                            : "Muévela y cambia su tamaño junto a la partitura o el DAW"}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      {WINDOW_MODES.map((mode) => (
+                        <SegButton
+                          key={mode}
+                          active={windowMode === mode}
+                          onClick={() => changeWindowMode(mode)}
+                        >
+                          {WINDOW_MODE_LABELS[mode]}
+                        </SegButton>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {getShortcutsBridge() && (
+                  <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-3">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="text-sm font-semibold text-white">Atajos globales</div>
+                        <div className="text-xs text-white/75">
+                          Funcionan aunque el panel esté oculto; pulsa uno para cambiarlo
+                        </div>
+                      </div>
+                      <Switch
+                        checked={shortcuts.enabled}
+                        onCheckedChange={(enabled) =>
+                          setShortcuts((prev) => normalizeShortcuts({ ...prev, enabled }))
+                        }
+                      />
+                    </div>
+                    {shortcuts.enabled && (
+                      <>
+                        <div className="space-y-1.5">
+                          {SHORTCUT_ACTIONS.map(({ id, label }) => {
+                            const error = shortcutConflicts[id] ?? shortcutResults[id]?.error;
+                            return (
+                              <div key={id} className="flex items-center gap-2">
+                                <div className="min-w-0 flex-1">
+                                  <div className="text-xs text-white/85">{label}</div>
+                                  {error && shortcutCapture !== id && (
+                                    <div className="text-[11px] text-amber-300">{SHORTCUT_ERRORS[error]}</div>
+                                  )}
+                                </div>
+                                <button
+                                  type="button"
+                                  onClick={() => setShortcutCapture(shortcutCapture === id ? null : id)}
+                                  className={
+                                    "w-40 shrink-0 rounded-2xl border px-2 py-1.5 text-xs tabular-nums transition " +
+                                    (shortcutCapture === id
+                                      ? "border-sky-400/60 bg-sky-400/15 text-white"
+                                      : error
+                                        ? "border-amber-300/40 bg-white/5 text-white/90"
+                                        : "border-white/15 bg-white/5 text-white/90 hover:bg-white/10")
+                                  }
+                                >
+                                  {shortcutCapture === id
+                                    ? "Pulsa la combinación…"
+                                    : formatAccelerator(shortcuts.bindings[id])}
+                                </button>
+                              </div>
+                            );
+                          })}
+                        </div>
+                        <div className="flex items-center justify-between text-[11px] text-white/70">
+                          <span>
+                            {shortcutCapture
+                              ? "Esc cancela · Retroceso lo deja sin atajo"
+                              : "Usa Ctrl/⌘ o Alt/⌥ en cada combinación"}
+                          </span>
+                          <button
+                            type="button"
+                            className="text-xs font-medium text-white/80 hover:text-white hover:underline"
+                            onClick={() => {
+                              setShortcutCapture(null);
+                              setShortcuts(normalizeShortcuts(DEFAULT_SHORTCUTS));
+                            }}
+                          >
+                            Restablecer
+                          </button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+
                 <div className="rounded-2xl border border-white/12 bg-black/45 p-3 shadow-[inset_0_1px_0_rgba(255,255,255,0.08)] space-y-2">
                   <div className="flex items-center justify-between">
                     <div>
                       <div className="text-sm font-semibold text-white">
                         Transferencia de configuración
                       </div>
-                      <div className="text-xs text-white/75">Copia o pega la instantánea JSON</div>
+                      <div className="text-xs text-white/75">
+                        Guarda o abre un archivo {CONFIG_FILE_SUFFIX}; la biblioteca incluye preajustes y canciones
+                      </div>
                     </div>
                   </div>
                   <div className="flex gap-2">
@@ -1238,6 +4102,13 @@ export default function AdvancedMetronomeUI() {
                     >
                       Exportar
                     </Button>
+                    <Button
+                      variant="outline"
+                      className="h-9 flex-1 rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(168,85,247,0.30),rgba(168,85,247,0.12))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
+                      onClick={exportLibrary}
+                    >
+                      Biblioteca
+                    </Button>
                     <Button
                       variant="outline"
                       className="h-9 flex-1 rounded-2xl text-white border border-white/15 bg-[linear-gradient(180deg,rgba(251,146,60,0.40),rgba(251,146,60,0.12))] shadow-[inset_0_1px_0_rgba(255,255,255,0.16),0_10px_16px_rgba(0,0,0,0.35)] hover:brightness-110"
@@ -1246,6 +4117,58 @@ export default function AdvancedMetronomeUI() {
                       Importar
                     </Button>
                   </div>
+                  {importReport && (
+                    <div
+                      className={
+                        "rounded-xl border px-2.5 py-2 text-[11px] space-y-1 " +
+                        (importReport.error || importReport.issues.length > 0
+                          ? "border-amber-300/40 bg-amber-300/10 text-amber-100"
+                          : "border-emerald-400/40 bg-emerald-400/10 text-emerald-100")
+                      }
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <div className="min-w-0">
+                          <div className="truncate font-medium">{importReport.name}</div>
+                          {importReport.error ? (
+                            <div>{importReport.error}</div>
+                          ) : (
+                            <div>
+                              {[
+                                importReport.config && "configuración aplicada",
+                                importReport.presets > 0 && `${importReport.presets} preajustes añadidos`,
+                                importReport.songs > 0 && `${importReport.songs} canciones añadidas`,
+                              ]
+                                .filter(Boolean)
+                                .join(" · ")}
+                              {importReport.version < CONFIG_FILE_VERSION && ` · migrado desde la versión ${importReport.version}`}
+                            </div>
+                          )}
+                        </div>
+                        <button
+                          type="button"
+                          className="shrink-0 text-white/70 hover:text-white"
+                          onClick={() => setImportReport(null)}
+                          aria-label="Cerrar el resumen de importación"
+                        >
+                          <X className="h-3.5 w-3.5" />
+                        </button>
+                      </div>
+                      {importReport.issues?.length > 0 && (
+                        <>
+                          <div className="font-medium">
+                            {importReport.issues.length === 1
+                              ? "1 valor rechazado o ajustado:"
+                              : `${importReport.issues.length} valores rechazados o ajustados:`}
+                          </div>
+                          <ul className="max-h-40 list-disc space-y-0.5 overflow-y-auto pl-4 font-mono text-[10px]">
+                            {importReport.issues.map((issue, i) => (
+                              <li key={i}>{issue}</li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -0,0 +1,39 @@
+import ClockWorker from "./clock.worker.js?worker&inline";
+
+const DEFAULT_INTERVAL_MS = 25;
+
+/**
+ * Reloj de planificación basado en un Worker, independiente de la visibilidad
+ * de la ventana. Si no hay Worker disponible, cae a setInterval.
+ */
+export function createWorkerClock(interval = DEFAULT_INTERVAL_MS) {
+  let worker = null;
+  let fallbackId = null;
+
+  const start = (onTick) => {
+    stop();
+    try {
+      worker = new ClockWorker();
+      worker.onmessage = () => onTick();
+      worker.postMessage({ type: "start", interval });
+    } catch {
+      worker = null;
+      fallbackId = setInterval(onTick, interval);
+      onTick();
+    }
+  };
+
+  const stop = () => {
+    if (worker) {
+      worker.postMessage({ type: "stop" });
+      worker.terminate();
+      worker = null;
+    }
+    if (fallbackId !== null) {
+      clearInterval(fallbackId);
+      fallbackId = null;
+    }
+  };
+
+  return { start, stop };
+}
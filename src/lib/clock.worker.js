@@ -0,0 +1,17 @@
+// Reloj del planificador: los temporizadores de un Worker no se congelan
+// cuando la ventana está oculta, a diferencia de requestAnimationFrame.
+let timerId = null;
+
+self.onmessage = (event) => {
+  const { type, interval } = event.data ?? {};
+  if (type === "start") {
+    if (timerId !== null) clearInterval(timerId);
+    timerId = setInterval(() => self.postMessage("tick"), interval);
+    self.postMessage("tick");
+    return;
+  }
+  if (type === "stop" && timerId !== null) {
+    clearInterval(timerId);
+    timerId = null;
+  }
+};
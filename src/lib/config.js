@@ -0,0 +1,499 @@
+/**
+ * Forma de configuración del metrónomo y utilidades puras asociadas.
+ * Sin dependencias de React ni de Web Audio: la comparten la interfaz y el motor.
+ */
+
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+export const TIME_SIGNATURE_UNITS = [1, 2, 4, 8, 16, 32];
+export const MAX_BEATS = 32;
+
+// Acepta compases simples ("7/8") y aditivos ("2+2+3/8"); groups es null si no hay agrupación.
+export function parseBeats(ts) {
+  const [top = "", bottom] = String(ts).split("/");
+  const parts = top.split("+").map((x) => parseInt(x, 10));
+  const unit = parseInt(bottom, 10);
+  const valid = parts.every((x) => Number.isFinite(x) && x > 0);
+  const total = valid ? parts.reduce((sum, x) => sum + x, 0) : NaN;
+  return {
+    beats: Number.isFinite(total) ? total : 4,
+    unit: Number.isFinite(unit) ? unit : 4,
+    groups: valid && parts.length > 1 ? parts : null,
+  };
+}
+
+export function isValidTimeSignature(ts) {
+  if (typeof ts !== "string" || !/^\d+(\+\d+)*\/\d+$/.test(ts)) return false;
+  const parts = ts.split("/")[0].split("+").map((x) => parseInt(x, 10));
+  const { beats, unit } = parseBeats(ts);
+  return (
+    parts.every((x) => x >= 1) &&
+    beats <= MAX_BEATS &&
+    TIME_SIGNATURE_UNITS.includes(unit)
+  );
+}
+
+// Devuelve null si la agrupación no suma el numerador o el compás no es válido.
+export function formatTimeSignature(beats, unit, grouping = "") {
+  const groups = String(grouping)
+    .split("+")
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map((x) => parseInt(x, 10));
+  const hasGroups = groups.length > 1;
+  if (hasGroups && groups.reduce((sum, x) => sum + x, 0) !== Number(beats)) return null;
+  const ts = `${hasGroups ? groups.join("+") : Number(beats)}/${Number(unit)}`;
+  return isValidTimeSignature(ts) ? ts : null;
+}
+
+export const TIME_SIGNATURES = [
+  "2/2",
+  "2/4",
+  "3/4",
+  "4/4",
+  "5/4",
+  "6/4",
+  "7/4",
+  "3/8",
+  "5/8",
+  "6/8",
+  "7/8",
+  "9/8",
+  "12/8",
+  "5/16",
+  "7/16",
+  "9/16",
+  "11/16",
+  "13/16",
+];
+export const SUBDIVISIONS = ["1/4", "1/8", "1/8T", "1/16", "1/16T", "1/32", "1/32T", "1/64"];
+
+export function getSubdivisionsPerBeat(value) {
+  switch (value) {
+    case "1/4":
+      return 1;
+    case "1/8":
+      return 2;
+    case "1/8T":
+      return 3;
+    case "1/16":
+      return 4;
+    case "1/16T":
+      return 6;
+    case "1/32":
+      return 8;
+    case "1/32T":
+      return 12;
+    case "1/64":
+      return 16;
+    default:
+      return 2;
+  }
+}
+
+// Unidad de pulso: a qué figura se refiere el BPM. "auto" conserva el comportamiento
+// clásico (BPM en negras y un pulso por cada figura del denominador).
+export const BEAT_UNITS = [
+  { id: "auto", label: "Según compás", length: null },
+  { id: "1/8", label: "Corchea", length: 1 / 8 },
+  { id: "1/4", label: "Negra", length: 1 / 4 },
+  { id: "1/4.", label: "Negra con puntillo", length: 3 / 8 },
+  { id: "1/2", label: "Blanca", length: 1 / 2 },
+  { id: "1/2.", label: "Blanca con puntillo", length: 3 / 4 },
+];
+
+function isWhole(value) {
+  return Math.abs(value - Math.round(value)) < 1e-9;
+}
+
+/**
+ * Reparte el compás en pulsos según la unidad elegida. Si la unidad no divide
+ * el compás (o sus grupos aditivos) en pulsos enteros, vuelve a "auto".
+ * tempoScale convierte BPM en segundos por pulso: (60 / bpm) * tempoScale.
+ */
+export function getPulseLayout(ts, beatUnit = "auto") {
+  const { beats, unit, groups } = parseBeats(ts);
+  const auto = { pulses: beats, groups, tempoScale: 4 / unit, dotted: false, fallback: false };
+  const entry = BEAT_UNITS.find((item) => item.id === beatUnit);
+  if (!entry?.length) return auto;
+  const pulses = beats / unit / entry.length;
+  const pulseGroups = groups?.map((size) => size / unit / entry.length) ?? null;
+  if (!isWhole(pulses) || pulses < 1 || (pulseGroups && !pulseGroups.every(isWhole))) {
+    return { ...auto, fallback: true };
+  }
+  return {
+    pulses: Math.round(pulses),
+    groups: pulseGroups ? pulseGroups.map(Math.round) : null,
+    tempoScale: 1,
+    dotted: entry.id.endsWith("."),
+    fallback: false,
+  };
+}
+
+// Negras que dura un pulso (p. ej. 1,5 en negra con puntillo, 0,5 en 6/8 automático).
+export function getPulseQuarters(ts, beatUnit = "auto") {
+  const { beats, unit } = parseBeats(ts);
+  return (beats * 4) / unit / getPulseLayout(ts, beatUnit).pulses;
+}
+
+// Pasos por pulso: en pulsos con puntillo la subdivisión binaria se vuelve ternaria
+// (corcheas en negra con puntillo = 3); si no da entero se usa el valor simple.
+export function getStepsPerBeat(subdivision, dotted = false) {
+  const simple = getSubdivisionsPerBeat(subdivision);
+  const compound = (simple * 3) / 2;
+  return dotted && isWhole(compound) ? compound : simple;
+}
+
+// Sonidos de clic integrados. Los cargados por el usuario usan ids "user:<id>".
+export const BUILTIN_VOICES = [
+  { id: "classic", label: "Clásico" },
+  { id: "woodblock", label: "Bloque de madera" },
+  { id: "cowbell", label: "Cencerro" },
+  { id: "rimshot", label: "Aro" },
+  { id: "hihat", label: "Charles" },
+  { id: "clave", label: "Clave" },
+];
+export const VOICE_SLOTS = ["accent", "beat", "subdivision"];
+export const DEFAULT_VOICE = "classic";
+const USER_VOICE_PATTERN = /^user:[\w-]+$/;
+
+export function isVoiceId(value) {
+  return (
+    typeof value === "string" &&
+    (BUILTIN_VOICES.some((voice) => voice.id === value) || USER_VOICE_PATTERN.test(value))
+  );
+}
+
+export function normalizeVoices(value) {
+  return Object.fromEntries(
+    VOICE_SLOTS.map((slot) => [slot, isVoiceId(value?.[slot]) ? value[slot] : DEFAULT_VOICE])
+  );
+}
+
+// Niveles de acento por pulso, en el orden en que los recorre el editor.
+export const ACCENT_LEVELS = ["accent", "normal", "ghost", "mute"];
+
+// Acepta también los acentos booleanos de versiones anteriores.
+export function normalizeAccentLevel(value) {
+  if (value === true) return "accent";
+  return ACCENT_LEVELS.includes(value) ? value : "normal";
+}
+
+export function nextAccentLevel(value) {
+  const index = ACCENT_LEVELS.indexOf(normalizeAccentLevel(value));
+  return ACCENT_LEVELS[(index + 1) % ACCENT_LEVELS.length];
+}
+
+export function normalizeAccentArray(value, length) {
+  const list = Array.isArray(value) ? value : [];
+  return Array.from({ length }, (_, i) => normalizeAccentLevel(list[i]));
+}
+
+// Celdas de la rejilla de pasos (pulsos × subdivisiones).
+export const STEP_STATES = ["on", "accent", "off"];
+
+export function nextStepState(value) {
+  const index = STEP_STATES.indexOf(value);
+  return STEP_STATES[(index + 1) % STEP_STATES.length];
+}
+
+export function normalizeStepGrid(value, beats, subdivisionsPerBeat) {
+  const rows = Array.isArray(value) ? value : [];
+  return Array.from({ length: beats }, (_, beat) => {
+    const row = Array.isArray(rows[beat]) ? rows[beat] : [];
+    return Array.from({ length: subdivisionsPerBeat }, (_, step) =>
+      STEP_STATES.includes(row[step]) ? row[step] : "on"
+    );
+  });
+}
+
+export function getGroupStarts(groups) {
+  const starts = new Set([0]);
+  let position = 0;
+  for (const size of groups ?? []) {
+    starts.add(position);
+    position += size;
+  }
+  return starts;
+}
+
+// Los pulsos sin valor se acentúan al inicio de cada grupo (o solo el primero).
+export function buildAccentArray(length, base = [], groups = null) {
+  const starts = getGroupStarts(groups);
+  return Array.from({ length }, (_, i) =>
+    base?.[i] === undefined ? (starts.has(i) ? "accent" : "normal") : normalizeAccentLevel(base[i])
+  );
+}
+
+export const RAMP_CURVES = ["linear", "stepped"];
+export const RAMP_LENGTH_UNITS = ["bars", "minutes"];
+export const RAMP_COMPLETIONS = ["hold", "stop"];
+
+export const DEFAULT_TRAINING = {
+  enabled: false,
+  startBpm: 100,
+  targetBpm: 140,
+  curve: "stepped",
+  step: 2,
+  every: 4,
+  length: 16,
+  lengthUnit: "bars",
+  roundTrip: false,
+  repeats: 1,
+  onComplete: "hold",
+};
+
+// Ajustes del modo de entrenamiento (rampa de tempo); ver ramp.js.
+export function normalizeTraining(raw) {
+  const pick = (list, value, fallback) => (list.includes(value) ? value : fallback);
+  return {
+    enabled: Boolean(raw?.enabled ?? DEFAULT_TRAINING.enabled),
+    startBpm: clamp(Number(raw?.startBpm) || DEFAULT_TRAINING.startBpm, 20, 300),
+    targetBpm: clamp(Number(raw?.targetBpm) || DEFAULT_TRAINING.targetBpm, 20, 300),
+    curve: pick(RAMP_CURVES, raw?.curve, DEFAULT_TRAINING.curve),
+    step: clamp(Number(raw?.step) || DEFAULT_TRAINING.step, 1, 12),
+    every: clamp(Number(raw?.every) || DEFAULT_TRAINING.every, 1, 12),
+    length: clamp(Number(raw?.length) || DEFAULT_TRAINING.length, 1, 999),
+    lengthUnit: pick(RAMP_LENGTH_UNITS, raw?.lengthUnit, DEFAULT_TRAINING.lengthUnit),
+    roundTrip: Boolean(raw?.roundTrip ?? DEFAULT_TRAINING.roundTrip),
+    repeats: clamp(Math.round(Number(raw?.repeats)) || DEFAULT_TRAINING.repeats, 1, 99),
+    onComplete: pick(RAMP_COMPLETIONS, raw?.onComplete, DEFAULT_TRAINING.onComplete),
+  };
+}
+
+export const GAP_MODES = ["bars", "random"];
+
+export const DEFAULT_GAP = {
+  enabled: false,
+  mode: "bars",
+  playBars: 2,
+  muteBars: 2,
+  randomPercent: 25,
+};
+
+// Entrenamiento de tiempo interno: compases en silencio tras N sonando, o
+// pulsos silenciados al azar. El motor decide qué calla al programar.
+export function normalizeGap(raw) {
+  return {
+    enabled: Boolean(raw?.enabled ?? DEFAULT_GAP.enabled),
+    mode: GAP_MODES.includes(raw?.mode) ? raw.mode : DEFAULT_GAP.mode,
+    playBars: clamp(Math.round(Number(raw?.playBars)) || DEFAULT_GAP.playBars, 1, 16),
+    muteBars: clamp(Math.round(Number(raw?.muteBars)) || DEFAULT_GAP.muteBars, 1, 16),
+    randomPercent: clamp(Math.round(Number(raw?.randomPercent)) || DEFAULT_GAP.randomPercent, 5, 90),
+  };
+}
+
+export const MAX_COUNT_IN_BARS = 2;
+
+// Cuenta previa antes del primer compás, con un sonido propio y voz opcional.
+export function normalizeCountIn(raw) {
+  return {
+    bars: clamp(Math.round(Number(raw?.bars)) || 0, 0, MAX_COUNT_IN_BARS),
+    voice: isVoiceId(raw?.voice) ? raw.voice : "cowbell",
+    spoken: Boolean(raw?.spoken ?? false),
+  };
+}
+
+// Conteo hablado durante la reproducción ("uno, dos…" y opcionalmente "e-and-a").
+export function normalizeSpokenCount(raw) {
+  return {
+    enabled: Boolean(raw?.enabled ?? false),
+    subdivisions: Boolean(raw?.subdivisions ?? false),
+  };
+}
+
+export const MAX_POLY_LAYERS = 3;
+const DEFAULT_POLY_BEATS = [3, 5, 7];
+const DEFAULT_POLY_PITCHES = [0, 7, -5];
+
+export const POLY_MODES = ["rhythm", "meter"];
+
+// Capa secundaria: en "rhythm" reparte sus pulsos dentro del compás principal; en
+// "meter" comparte el pulso principal y repite su propio ciclo. pitch va en semitonos.
+export function normalizePolyLayer(raw, index = 0) {
+  const beats = clamp(Math.round(Number(raw?.beats)) || DEFAULT_POLY_BEATS[index] || 3, 2, 12);
+  const subdivision = SUBDIVISIONS.includes(raw?.subdivision) ? raw.subdivision : "1/4";
+  return {
+    beats,
+    subdivision,
+    mode: POLY_MODES.includes(raw?.mode) ? raw.mode : "rhythm",
+    volume: clamp(Number(raw?.volume) || 55, 0, 100),
+    muted: Boolean(raw?.muted ?? false),
+    voice: isVoiceId(raw?.voice) ? raw.voice : DEFAULT_VOICE,
+    pitch: clamp(Math.round(Number(raw?.pitch ?? DEFAULT_POLY_PITCHES[index] ?? 0)) || 0, -12, 12),
+    accents: buildAccentArray(beats, Array.isArray(raw?.accents) ? raw.accents : []),
+  };
+}
+
+// Las configuraciones anteriores guardaban una sola capa en polyBeats/polySubdivision/polyVolume.
+function normalizePolyLayers(raw) {
+  const layers =
+    Array.isArray(raw?.polyLayers) && raw.polyLayers.length > 0
+      ? raw.polyLayers
+      : [
+          {
+            beats: raw?.polyBeats,
+            subdivision: raw?.polySubdivision,
+            volume: raw?.polyVolume,
+            voice: raw?.voices?.poly,
+          },
+        ];
+  return layers.slice(0, MAX_POLY_LAYERS).map((layer, i) => normalizePolyLayer(layer, i));
+}
+
+export function normalizeConfig(raw) {
+  const bpm = clamp(Number(raw?.bpm) || 120, 20, 300);
+  const rawTs = typeof raw?.ts === "string" ? raw.ts.replace(/\s+/g, "") : "";
+  const ts = isValidTimeSignature(rawTs) ? rawTs : "4/4";
+  const beatUnit = BEAT_UNITS.some((item) => item.id === raw?.beatUnit) ? raw.beatUnit : "auto";
+  const { pulses: beats, dotted } = getPulseLayout(ts, beatUnit);
+  const subdivision = SUBDIVISIONS.includes(raw?.subdivision)
+    ? raw.subdivision
+    : "1/8";
+  const swing = clamp(Number(raw?.swing) || 0, 0, 75);
+  const volume = clamp(Number(raw?.volume) || 70, 0, 100);
+  const polyEnabled = Boolean(raw?.polyEnabled ?? false);
+  const polyLayers = normalizePolyLayers(raw);
+  const training = normalizeTraining(raw?.training);
+  const gap = normalizeGap(raw?.gap);
+  const countIn = normalizeCountIn(raw?.countIn);
+  const spokenCount = normalizeSpokenCount(raw?.spokenCount);
+  const visualPulse = Boolean(raw?.visualPulse ?? true);
+  const accents = normalizeAccentArray(raw?.accents, beats);
+  const voices = normalizeVoices(raw?.voices);
+  const stepGrid = normalizeStepGrid(raw?.stepGrid, beats, getStepsPerBeat(subdivision, dotted));
+  return {
+    bpm,
+    ts,
+    beatUnit,
+    subdivision,
+    swing,
+    volume,
+    polyEnabled,
+    polyLayers,
+    visualPulse,
+    accents,
+    voices,
+    stepGrid,
+    training,
+    gap,
+    countIn,
+    spokenCount,
+  };
+}
+
+// Pruebas mínimas para helpers puros (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  console.assert(clamp(10, 0, 5) === 5, "falló el límite superior de clamp");
+  console.assert(clamp(-1, 0, 5) === 0, "falló el límite inferior de clamp");
+  console.assert(clamp(3, 0, 5) === 3, "falló el paso directo de clamp");
+  const a = parseBeats("7/8");
+  console.assert(a.beats === 7 && a.unit === 8, "falló parseBeats 7/8");
+  const b = parseBeats("bad");
+  console.assert(b.beats === 4 && b.unit === 4, "falló el fallback de parseBeats");
+  const c = parseBeats("2+2+3/8");
+  console.assert(c.beats === 7 && c.unit === 8 && c.groups.join() === "2,2,3", "falló parseBeats aditivo");
+  console.assert(parseBeats("15/16").groups === null, "falló parseBeats sin agrupación");
+  console.assert(isValidTimeSignature("15/16"), "falló isValidTimeSignature 15/16");
+  console.assert(!isValidTimeSignature("4/5"), "falló isValidTimeSignature con unidad inválida");
+  console.assert(!isValidTimeSignature("0+3/8"), "falló isValidTimeSignature con grupo vacío");
+  console.assert(formatTimeSignature(11, 8, "2+2+3+2+2") === "2+2+3+2+2/8", "falló formatTimeSignature");
+  console.assert(formatTimeSignature(11, 8, "2+2+3") === null, "falló la suma de la agrupación");
+  console.assert(formatTimeSignature(9, 8, "") === "9/8", "falló formatTimeSignature sin agrupación");
+  console.assert(
+    buildAccentArray(8, [], [3, 3, 2]).join() ===
+      "accent,normal,normal,accent,normal,normal,accent,normal",
+    "falló buildAccentArray con agrupación"
+  );
+  const gap = normalizeConfig({ gap: { enabled: true, mode: "noise", playBars: 40, randomPercent: 0 } }).gap;
+  console.assert(
+    gap.enabled && gap.mode === "bars" && gap.playBars === 16 && gap.randomPercent === 25,
+    "falló normalizeGap"
+  );
+  const countIn = normalizeConfig({ countIn: { bars: 5, voice: "nope" } }).countIn;
+  console.assert(countIn.bars === 2 && countIn.voice === "cowbell", "falló normalizeCountIn");
+  console.assert(normalizeConfig({ ts: " 3+3+2/8 " }).ts === "3+3+2/8", "falló normalizeConfig ts aditivo");
+  console.assert(getPulseQuarters("6/8", "1/4.") === 1.5, "falló getPulseQuarters con puntillo");
+  console.assert(getPulseQuarters("6/8") === 0.5, "falló getPulseQuarters automático");
+  const compound = getPulseLayout("6/8", "1/4.");
+  console.assert(compound.pulses === 2 && compound.tempoScale === 1, "falló getPulseLayout 6/8 en negra con puntillo");
+  console.assert(getPulseLayout("6/8").pulses === 6, "falló getPulseLayout auto");
+  console.assert(getPulseLayout("7/8", "1/4.").fallback, "falló el fallback de getPulseLayout");
+  console.assert(
+    getPulseLayout("2+2+3/8", "1/8").groups.join() === "2,2,3",
+    "falló getPulseLayout con agrupación"
+  );
+  console.assert(getStepsPerBeat("1/8", true) === 3, "falló getStepsPerBeat con puntillo");
+  console.assert(getStepsPerBeat("1/8T", true) === 3, "falló el fallback de getStepsPerBeat");
+  const dottedConfig = normalizeConfig({ ts: "12/8", beatUnit: "1/4.", subdivision: "1/16" });
+  console.assert(
+    dottedConfig.accents.length === 4 && dottedConfig.stepGrid[0].length === 6,
+    "falló normalizeConfig con beatUnit"
+  );
+  console.assert(normalizeConfig({ beatUnit: "1/3" }).beatUnit === "auto", "falló el fallback de beatUnit");
+  const config = normalizeConfig({
+    bpm: 85,
+    ts: "7/8",
+    subdivision: "1/16",
+    swing: 10,
+    volume: 55,
+    polyEnabled: true,
+    polyBeats: 5,
+    polySubdivision: "1/8",
+    polyVolume: 45,
+    visualPulse: false,
+    accents: [true, false, true],
+    voices: { accent: "cowbell", beat: "user:abc-1", subdivision: "nope" },
+    stepGrid: [["on", "off", "accent", "bad"]],
+  });
+  console.assert(config.bpm === 85, "falló normalizeConfig bpm");
+  console.assert(config.ts === "7/8", "falló normalizeConfig ts");
+  console.assert(config.polyEnabled === true, "falló normalizeConfig polyEnabled");
+  console.assert(config.polyLayers.length === 1, "falló la migración de la capa de polirritmo");
+  console.assert(config.polyLayers[0].beats === 5, "falló normalizeConfig polyBeats");
+  console.assert(config.polyLayers[0].subdivision === "1/8", "falló normalizeConfig polySubdivision");
+  console.assert(config.polyLayers[0].volume === 45, "falló normalizeConfig polyVolume");
+  const layered = normalizeConfig({
+    polyLayers: [{ beats: 3, pitch: 40, accents: ["mute"] }, { beats: 5, muted: true }, {}, {}],
+  });
+  console.assert(layered.polyLayers.length === MAX_POLY_LAYERS, "falló el límite de capas de polirritmo");
+  console.assert(layered.polyLayers[0].pitch === 12, "falló el límite de pitch de la capa");
+  console.assert(
+    layered.polyLayers[0].accents.join() === "mute,normal,normal",
+    "falló los acentos de la capa de polirritmo"
+  );
+  console.assert(
+    layered.polyLayers[1].muted &&
+      layered.polyLayers[2].beats === 7 &&
+      layered.polyLayers[0].mode === "rhythm",
+    "falló normalizePolyLayer"
+  );
+  console.assert(config.accents.length === 7, "falló la longitud de acentos en normalizeConfig");
+  console.assert(
+    config.accents.slice(0, 3).join() === "accent,normal,accent",
+    "falló la migración de acentos booleanos"
+  );
+  const levels = normalizeConfig({ ts: "4/4", accents: ["ghost", "mute", "bad"] }).accents;
+  console.assert(levels.join() === "ghost,mute,normal,normal", "falló normalizeConfig niveles de acento");
+  console.assert(nextAccentLevel("mute") === "accent", "falló el ciclo de nextAccentLevel");
+  console.assert(buildAccentArray(3).join() === "accent,normal,normal", "falló buildAccentArray");
+  console.assert(
+    config.stepGrid.length === 7 && config.stepGrid[0].join() === "on,off,accent,on",
+    "falló normalizeConfig stepGrid"
+  );
+  console.assert(config.stepGrid[6].every((cell) => cell === "on"), "falló el relleno de stepGrid");
+  console.assert(nextStepState("off") === "on", "falló el ciclo de nextStepState");
+  console.assert(config.voices.accent === "cowbell", "falló normalizeConfig voices.accent");
+  console.assert(config.voices.beat === "user:abc-1", "falló normalizeConfig voz de usuario");
+  console.assert(config.voices.subdivision === DEFAULT_VOICE, "falló el fallback de voices");
+  console.assert(config.voices.accent && !("poly" in config.voices), "falló las voces principales");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,69 @@
+/**
+ * Conteo hablado. Cada palabra es una muestra de voz incluida con la app
+ * (src/assets/count-voice/<palabra>.wav) que el banco de sonidos carga con el
+ * id "count:<palabra>"; el motor la programa en el reloj de audio como un clic.
+ */
+
+export const COUNT_VOICE_PREFIX = "count:";
+export const MAX_SPOKEN_BEAT = 16;
+export const COUNT_WORDS = [
+  ...Array.from({ length: MAX_SPOKEN_BEAT }, (_, i) => String(i + 1)),
+  "e",
+  "and",
+  "a",
+  "trip",
+  "let",
+];
+
+// Palabras de COUNT_WORDS sin muestra entre los archivos dados (rutas o nombres con extensión).
+export function getMissingCountWords(files) {
+  const found = new Set(files.map((file) => file.split("/").pop().replace(/\.\w+$/, "")));
+  return COUNT_WORDS.filter((word) => !found.has(word));
+}
+
+const SUBDIVISION_SYLLABLES = {
+  4: ["e", "and", "a"],
+  3: ["trip", "let"],
+  2: ["and"],
+};
+
+/**
+ * Palabra del paso (pulso, subpaso) o null si ese paso no se dice. Las
+ * subdivisiones se nombran por cuartos ("1-e-and-a"), tercios ("1-trip-let")
+ * o mitades ("1-and"), según dividan el pulso.
+ */
+export function getCountWord(beatIndex, subIndex, stepsPerBeat, includeSubdivisions = false) {
+  if (subIndex === 0) {
+    return beatIndex < MAX_SPOKEN_BEAT ? String(beatIndex + 1) : null;
+  }
+  if (!includeSubdivisions) return null;
+  for (const parts of [4, 3, 2]) {
+    if (stepsPerBeat % parts !== 0) continue;
+    const size = stepsPerBeat / parts;
+    return subIndex % size === 0 ? SUBDIVISION_SYLLABLES[parts][subIndex / size - 1] : null;
+  }
+  return null;
+}
+
+// Pruebas mínimas del conteo (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const words = (steps) =>
+    Array.from({ length: steps }, (_, i) => getCountWord(0, i, steps, true) ?? "-").join(" ");
+  console.assert(words(4) === "1 e and a", "falló el conteo en semicorcheas");
+  console.assert(words(8) === "1 - e - and - a -", "falló el conteo en fusas");
+  console.assert(words(3) === "1 trip let", "falló el conteo en tresillos");
+  console.assert(words(6) === "1 - trip - let -", "falló el conteo en seisillos");
+  console.assert(words(2) === "1 and", "falló el conteo en corcheas");
+  console.assert(getCountWord(2, 1, 4) === null, "falló el conteo sin subdivisiones");
+  console.assert(getCountWord(16, 0, 1) === null, "falló el límite de pulsos hablados");
+  console.assert(COUNT_WORDS.includes("16") && COUNT_WORDS.includes("let"), "falló COUNT_WORDS");
+  const missing = getMissingCountWords(["./assets/count-voice/1.wav", "e.mp3", ...COUNT_WORDS.slice(2)]);
+  console.assert(missing.join() === "2", "falló getMissingCountWords");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,999 @@
+import {
+  MAX_POLY_LAYERS,
+  clamp,
+  getPulseLayout,
+  getStepsPerBeat,
+  getSubdivisionsPerBeat,
+  normalizeConfig,
+} from "./config.js";
+import { COUNT_VOICE_PREFIX, getCountWord } from "./count.js";
+import { getRampState } from "./ramp.js";
+import { getNextSongPosition, normalizeSong } from "./song.js";
+
+/**
+ * Motor de metrónomo sin interfaz. Programa clics con antelación sobre una
+ * línea de tiempo en segundos (la de un AudioContext u otra equivalente).
+ *
+ * Dependencias inyectadas:
+ * - clock: { start(onTick), stop() } — despierta al planificador periódicamente.
+ * - now: () => segundos actuales en la línea de tiempo de audio.
+ * - scheduleClick(time, click): produce el sonido; click = { layer, layerIndex, kind, voice, level,
+ *   accented, intensity, frequency, pitch }, donde kind es "accent" | "beat" | "subdivision" | "poly"
+ *   | "countIn" | "count", voice el id de sonido ("count:<palabra>" para el conteo hablado), level el
+ *   nivel de acento del pulso y pitch un desplazamiento en semitonos.
+ *
+ * - random: () => [0, 1) para los silencios al azar del entrenamiento (Math.random por defecto).
+ *
+ * Eventos (todos con tiempos de audio, emitidos al programar, no al sonar):
+ * - onBeat({ time, beatIndex, bar, measureStart, gapMuted }) — gapMuted: el pulso calla por
+ *   el entrenamiento de silencios, aunque la visualización debe seguir avanzando.
+ * - onPolyBeat({ time, layerIndex, beatIndex, realignIn }) — realignIn: pulsos hasta que la capa
+ *   en polímetro vuelva a coincidir con el tiempo fuerte principal (null en polirritmo).
+ * - onCountIn({ time, beatIndex, bar, bars }) — cada pulso de la cuenta previa (bar desde 0).
+ * - onBar({ time, bar })
+ * - onTempoChange(bpm) — cada vez que cambia el BPM de la configuración: por la rampa, por una
+ *   sección de canción o por setConfig. setTempoOverride no lo emite (quien impone el tempo ya
+ *   lo conoce y el BPM de la configuración no cambia); el tempo que suena está en getTiming().
+ * - onTrainingProgress({ time, bpm, progress, leg, cycle, done }) — en cada pulso con la rampa activa.
+ * - onTrainingComplete({ time, stopped }) — una vez al acabar la rampa; con "detener" llega en la
+ *   barra de compás siguiente (o en la misma), cuando el motor se detiene, con stopped: true.
+ * - onSectionChange({ time, sectionIndex, config }) — en modo canción, al aplicar una sección.
+ * - onSongPosition({ time, sectionIndex, bar, bars }) — en modo canción, al inicio de cada compás.
+ * - onSongEnd({ time }) — la canción terminó sin bucle; el motor ya se detuvo.
+ */
+
+export const DEFAULT_SCHEDULE_AHEAD = 0.12;
+const START_DELAY = 0.05;
+// Ganancia del clic de inicio de pulso según su nivel de acento.
+const ACCENT_GAINS = { accent: 1, normal: 1, ghost: 0.35, mute: 0 };
+const ANCHOR_EPSILON = 1e-6;
+
+// Compases principales que dura un ciclo completo de polímetro.
+export function getPolymeterCycleBars(mainBeats, layerBeats) {
+  let a = mainBeats;
+  let b = layerBeats;
+  while (b) [a, b] = [b, a % b];
+  return layerBeats / a;
+}
+
+// Pulsos que faltan para que ambos ciclos empiecen a la vez (0 si coinciden ahora).
+export function getRealignment(mainBeat, mainBeats, layerBeat, layerBeats) {
+  for (let k = 0; k <= mainBeats * layerBeats; k += 1) {
+    if ((mainBeat + k) % mainBeats === 0 && (layerBeat + k) % layerBeats === 0) return k;
+  }
+  return null;
+}
+
+export function getTimingSnapshot(config) {
+  const layout = getPulseLayout(config.ts, config.beatUnit);
+  const beats = layout.pulses;
+  const beatDuration = (60 / config.bpm) * layout.tempoScale;
+  const subdivisionsPerBeat = getStepsPerBeat(config.subdivision, layout.dotted);
+  const baseSubdivision = beatDuration / subdivisionsPerBeat;
+  const swingAmount = Math.min(0.75, Math.max(0, config.swing / 100));
+  const swingEnabled = swingAmount > 0 && subdivisionsPerBeat % 2 === 0;
+  const swingFactors = swingEnabled
+    ? [1 + swingAmount * 0.5, 1 - swingAmount * 0.5]
+    : [1, 1];
+  return {
+    beats,
+    beatDuration,
+    measureDuration: beatDuration * beats,
+    subdivisionsPerBeat,
+    baseSubdivision,
+    swingEnabled,
+    swingFactors,
+  };
+}
+
+export function createMetronomeEngine({
+  clock,
+  now,
+  scheduleClick = () => {},
+  random = Math.random,
+  config,
+  onBeat,
+  onCountIn,
+  onPolyBeat,
+  onBar,
+  onTempoChange,
+  onTrainingProgress,
+  onTrainingComplete,
+  onSectionChange,
+  onSongPosition,
+  onSongEnd,
+  scheduleAhead = DEFAULT_SCHEDULE_AHEAD,
+} = {}) {
+  let current = normalizeConfig(config);
+  let tempoLock = false;
+  // Tempo impuesto desde fuera (reloj MIDI entrante); anula rampas y el BPM de la configuración.
+  let tempoOverride = null;
+  let running = false;
+
+  let nextNoteTime = 0;
+  let currentStep = 0;
+  let measureStart = 0;
+  let measureCount = 0;
+  // Un puntero de programación por capa de polirritmo.
+  let polyStates = [];
+  // Pulsos principales desde el arranque: las capas en polímetro se anclan a ellos.
+  let pulseCount = 0;
+  // Pulsos de cuenta previa que faltan antes del primer compás.
+  let countInLeft = 0;
+  // Inicio de la rampa de entrenamiento ({ bar, time }); null si no hay rampa en curso.
+  let rampOrigin = null;
+  let rampCompleted = false;
+  // La rampa acabó con "detener" a mitad de compás: el motor para en la siguiente barra.
+  let rampStopPending = false;
+  // Compás en que empezó el ciclo de silencios y tramos [start, end) ya decididos en silencio.
+  let gapOriginBar = null;
+  let gapBarMuted = false;
+  let gapSpans = [];
+  // Modo canción: posición del último compás programado ({ sectionIndex, bar }, bar -1 al inicio).
+  let song = null;
+  let songStartSection = 0;
+  let songPosition = null;
+  let pendingJump = null;
+  let loopSection = null;
+
+  const resetPolyStates = (time, onlyRhythm = false) => {
+    polyStates = Array.from({ length: MAX_POLY_LAYERS }, (_, i) =>
+      onlyRhythm && current.polyLayers[i]?.mode === "meter" && polyStates[i]
+        ? polyStates[i]
+        : { nextNoteTime: time, step: 0, mainBeat: 0 }
+    );
+  };
+
+  const setTempo = (bpm) => {
+    const next = clamp(bpm, 20, 300);
+    if (next === current.bpm) return;
+    current = { ...current, bpm: next };
+    onTempoChange?.(next);
+  };
+
+  // Cada sección trae su configuración completa; el volumen, la cuenta previa, el conteo
+  // hablado y el tempo bloqueado son del intérprete y se conservan.
+  const applySection = (sectionIndex, time) => {
+    const section = song.sections[sectionIndex];
+    const wasPolyEnabled = current.polyEnabled;
+    const previousBpm = current.bpm;
+    current = normalizeConfig({
+      ...section.config,
+      volume: current.volume,
+      countIn: current.countIn,
+      spokenCount: current.spokenCount,
+      bpm: tempoLock ? current.bpm : section.config.bpm,
+    });
+    rampOrigin = null;
+    gapOriginBar = null;
+    if (current.polyEnabled && !wasPolyEnabled) {
+      resetPolyStates(time);
+    }
+    if (current.bpm !== previousBpm) {
+      onTempoChange?.(current.bpm);
+    }
+    onSectionChange?.({ time, sectionIndex, config: current });
+  };
+
+  const scheduleCountWord = (time, word) => {
+    scheduleClick(time, {
+      layer: "count",
+      kind: "count",
+      voice: `${COUNT_VOICE_PREFIX}${word}`,
+      level: "normal",
+      accented: false,
+      intensity: 1,
+    });
+  };
+
+  // Los silencios se deciden por pulso principal; las capas de polirritmo los respetan.
+  const isGapSilenced = (time) =>
+    gapSpans.some((span) => time >= span.start - ANCHOR_EPSILON && time < span.end - ANCHOR_EPSILON);
+
+  const getTiming = () =>
+    getTimingSnapshot(tempoOverride ? { ...current, bpm: tempoOverride } : current);
+
+  const tick = () => {
+    if (!running) return;
+    const currentTime = now();
+    gapSpans = gapSpans.filter((span) => span.end > currentTime - scheduleAhead);
+    let timing = getTiming();
+    const pulseAnchors = [];
+
+    while (nextNoteTime < currentTime + scheduleAhead) {
+      if (countInLeft > 0) {
+        const pulse = current.countIn.bars * timing.beats - countInLeft;
+        const beatIndex = pulse % timing.beats;
+        scheduleClick(nextNoteTime, {
+          layer: "countIn",
+          kind: "countIn",
+          voice: current.countIn.voice,
+          level: beatIndex === 0 ? "accent" : "normal",
+          accented: beatIndex === 0,
+          intensity: 1,
+        });
+        const word = current.countIn.spoken ? getCountWord(beatIndex, 0, 1) : null;
+        if (word) {
+          scheduleCountWord(nextNoteTime, word);
+        }
+        onCountIn?.({
+          time: nextNoteTime,
+          beatIndex,
+          bar: Math.floor(pulse / timing.beats),
+          bars: current.countIn.bars,
+        });
+        nextNoteTime += timing.beatDuration;
+        countInLeft -= 1;
+        if (countInLeft === 0) {
+          // El compás real (y las capas de polirritmo) empiezan tras la cuenta.
+          measureStart = nextNoteTime;
+          resetPolyStates(nextNoteTime);
+        }
+        continue;
+      }
+      // Los cambios de sección caen justo en la barra de compás, antes de programarla.
+      if (song && currentStep % Math.max(1, timing.beats * timing.subdivisionsPerBeat) === 0) {
+        const next = pendingJump ?? getNextSongPosition(song, songPosition, loopSection);
+        pendingJump = null;
+        if (!next) {
+          stop();
+          onSongEnd?.({ time: nextNoteTime });
+          return;
+        }
+        if (next.bar === 0 || next.sectionIndex !== songPosition.sectionIndex) {
+          applySection(next.sectionIndex, nextNoteTime);
+          timing = getTiming();
+        }
+        currentStep = 0;
+        songPosition = next;
+        onSongPosition?.({
+          time: nextNoteTime,
+          ...next,
+          bars: song.sections[next.sectionIndex].bars,
+        });
+      }
+      const totalSteps = Math.max(1, timing.beats * timing.subdivisionsPerBeat);
+      const stepIndex = currentStep % totalSteps;
+      const beatIndex = Math.floor(stepIndex / timing.subdivisionsPerBeat);
+      const subIndex = stepIndex % timing.subdivisionsPerBeat;
+      const level = current.accents?.[beatIndex] ?? (beatIndex === 0 ? "accent" : "normal");
+      const cell = current.stepGrid?.[beatIndex]?.[subIndex] ?? "on";
+      const isBeatStart = subIndex === 0;
+
+      if (stepIndex === 0) {
+        measureStart = nextNoteTime;
+        measureCount += 1;
+        if (current.gap.enabled && gapOriginBar === null) {
+          gapOriginBar = measureCount;
+        } else if (!current.gap.enabled) {
+          gapOriginBar = null;
+        }
+        const { playBars, muteBars } = current.gap;
+        gapBarMuted =
+          gapOriginBar !== null &&
+          current.gap.mode === "bars" &&
+          (measureCount - gapOriginBar) % (playBars + muteBars) >= playBars;
+        if (current.training.enabled && !rampOrigin) {
+          rampOrigin = { bar: measureCount, time: measureStart };
+          rampCompleted = false;
+          rampStopPending = false;
+        }
+      }
+      if (isBeatStart && rampOrigin) {
+        if (!current.training.enabled) {
+          rampOrigin = null;
+          rampStopPending = false;
+        } else {
+          // El tempo de la rampa se fija al inicio de cada pulso, antes de programarlo.
+          const ramp = getRampState(current.training, {
+            bars: measureCount - rampOrigin.bar + beatIndex / timing.beats,
+            seconds: nextNoteTime - rampOrigin.time,
+          });
+          if (!tempoLock && !tempoOverride && ramp.bpm !== current.bpm) {
+            setTempo(ramp.bpm);
+            timing = getTiming();
+          }
+          onTrainingProgress?.({ time: nextNoteTime, ...ramp });
+          if (ramp.done && !rampCompleted) {
+            rampCompleted = true;
+            if (current.training.onComplete === "stop") {
+              rampStopPending = true;
+            } else {
+              onTrainingComplete?.({ time: nextNoteTime, stopped: false });
+            }
+          }
+        }
+      }
+      // Con "detener", el aviso llega en la barra de compás en la que el motor para.
+      if (rampStopPending && stepIndex === 0) {
+        rampStopPending = false;
+        onTrainingComplete?.({ time: nextNoteTime, stopped: true });
+        stop();
+        return;
+      }
+
+      if (isBeatStart) {
+        const gapMuted =
+          current.gap.enabled &&
+          (gapBarMuted || (current.gap.mode === "random" && random() * 100 < current.gap.randomPercent));
+        if (gapMuted) {
+          gapSpans.push({ start: nextNoteTime, end: nextNoteTime + timing.beatDuration });
+        }
+      }
+      const silenced = isGapSilenced(nextNoteTime);
+      const accented = cell === "accent" || (isBeatStart && level === "accent");
+      const kind = accented ? "accent" : isBeatStart ? "beat" : "subdivision";
+      // Un pulso en silencio calla también sus subdivisiones; "off" calla solo su paso.
+      if (level !== "mute" && cell !== "off" && !silenced) {
+        const { spokenCount } = current;
+        const word = spokenCount.enabled
+          ? getCountWord(beatIndex, subIndex, timing.subdivisionsPerBeat, spokenCount.subdivisions)
+          : null;
+        if (word) {
+          scheduleCountWord(nextNoteTime, word);
+        }
+        scheduleClick(nextNoteTime, {
+          layer: "main",
+          kind,
+          voice: current.voices[kind],
+          level,
+          accented,
+          intensity: isBeatStart && cell !== "accent" ? ACCENT_GAINS[level] : 1,
+        });
+      }
+
+      if (stepIndex === 0) {
+        onBar?.({ time: measureStart, bar: measureCount });
+        if (current.polyEnabled) {
+          resetPolyStates(measureStart, true);
+        }
+      }
+
+      if (isBeatStart) {
+        onBeat?.({
+          time: nextNoteTime,
+          beatIndex,
+          level,
+          bar: measureCount,
+          measureStart,
+          gapMuted: silenced,
+        });
+        pulseAnchors.push({ time: nextNoteTime, pulse: pulseCount, beatIndex });
+        pulseCount += 1;
+      }
+
+      const stepDuration = timing.baseSubdivision *
+        (timing.swingEnabled ? timing.swingFactors[stepIndex % 2] : 1);
+      nextNoteTime += stepDuration;
+      currentStep = stepIndex + 1;
+    }
+
+    if (current.polyEnabled) {
+      current.polyLayers.forEach((layer, layerIndex) => {
+        const state = polyStates[layerIndex];
+        const polySubdivisions = getSubdivisionsPerBeat(layer.subdivision);
+        const polyTotalSteps = Math.max(1, layer.beats * polySubdivisions);
+        // Polirritmo: la capa entera cabe en un compás. Polímetro: comparte el pulso
+        // principal y recorre su propio ciclo a través de las barras de compás.
+        const isMeter = layer.mode === "meter";
+        const polyStepDuration = isMeter
+          ? timing.beatDuration / polySubdivisions
+          : timing.measureDuration / polyTotalSteps;
+        let anchorIndex = 0;
+        if (state.nextNoteTime < currentTime - scheduleAhead) {
+          state.nextNoteTime = currentTime + 0.01;
+          state.step = 0;
+        }
+        while (state.nextNoteTime < currentTime + scheduleAhead) {
+          while (
+            isMeter &&
+            anchorIndex < pulseAnchors.length &&
+            pulseAnchors[anchorIndex].time <= state.nextNoteTime + ANCHOR_EPSILON
+          ) {
+            const anchor = pulseAnchors[anchorIndex];
+            anchorIndex += 1;
+            state.nextNoteTime = anchor.time;
+            state.step = (anchor.pulse % layer.beats) * polySubdivisions;
+            state.mainBeat = anchor.beatIndex;
+          }
+          const stepIndex = state.step % polyTotalSteps;
+          const beatIndex = Math.floor(stepIndex / polySubdivisions);
+          const isBeatStart = stepIndex % polySubdivisions === 0;
+          const level = layer.accents[beatIndex] ?? "normal";
+          const polyAccented = isBeatStart && level === "accent";
+          if (
+            polyStepDuration > 0 &&
+            !layer.muted &&
+            level !== "mute" &&
+            !isGapSilenced(state.nextNoteTime)
+          ) {
+            scheduleClick(state.nextNoteTime, {
+              layer: "poly",
+              layerIndex,
+              kind: "poly",
+              voice: layer.voice,
+              level,
+              accented: polyAccented,
+              intensity: (layer.volume / 100) * (isBeatStart ? ACCENT_GAINS[level] : 1),
+              frequency: polyAccented ? 900 : 620,
+              pitch: layer.pitch,
+            });
+          }
+          if (isBeatStart) {
+            const realignIn = isMeter
+              ? getRealignment(state.mainBeat, timing.beats, beatIndex, layer.beats)
+              : null;
+            onPolyBeat?.({ time: state.nextNoteTime, layerIndex, beatIndex, realignIn });
+          }
+          state.nextNoteTime += polyStepDuration;
+          state.step = stepIndex + 1;
+        }
+      });
+    }
+  };
+
+  /**
+   * startPulse: pulsos ya transcurridos al arrancar (sincronía externa a mitad de
+   * compás); skipCountIn omite la cuenta previa.
+   */
+  const start = (startTime = now() + START_DELAY, { startPulse = 0, skipCountIn = false } = {}) => {
+    if (running) return;
+    running = true;
+    currentStep = 0;
+    nextNoteTime = startTime;
+    measureCount = 0;
+    pulseCount = 0;
+    rampOrigin = null;
+    rampStopPending = false;
+    gapOriginBar = null;
+    gapSpans = [];
+    songPosition = song ? { sectionIndex: songStartSection, bar: -1 } : null;
+    pendingJump = null;
+    if (song) {
+      // La cuenta previa ya va al tempo y compás de la primera sección.
+      applySection(songStartSection, startTime);
+    }
+    const timing = getTiming();
+    countInLeft = skipCountIn ? 0 : current.countIn.bars * timing.beats;
+    measureStart = startTime + countInLeft * timing.beatDuration;
+    const offset = Math.max(0, Math.round(startPulse)) % timing.beats;
+    if (offset > 0) {
+      currentStep = offset * timing.subdivisionsPerBeat;
+      measureStart -= offset * timing.beatDuration;
+    }
+    pulseCount = Math.max(0, Math.round(startPulse));
+    resetPolyStates(measureStart);
+    clock.start(tick);
+  };
+
+  const stop = () => {
+    if (!running) return;
+    running = false;
+    clock.stop();
+  };
+
+  const setConfig = (partial) => {
+    const wasPolyEnabled = current.polyEnabled;
+    const previousBpm = current.bpm;
+    current = normalizeConfig({ ...current, ...partial });
+    if (running && current.polyEnabled && !wasPolyEnabled) {
+      resetPolyStates(Math.max(now(), nextNoteTime));
+    }
+    if (current.bpm !== previousBpm) {
+      onTempoChange?.(current.bpm);
+    }
+  };
+
+  // song = normalizeSong(...) o null para volver a la configuración única.
+  const setSong = (value) => {
+    const next = value && value.sections.length > 0 ? value : null;
+    if (song && next && song.id === next.id) {
+      // Edición en vivo de la misma canción: se conserva la posición.
+      song = next;
+      const last = song.sections.length - 1;
+      songStartSection = Math.min(songStartSection, last);
+      if (loopSection !== null && loopSection > last) loopSection = null;
+      if (songPosition && songPosition.sectionIndex > last) {
+        songPosition = { sectionIndex: last, bar: song.sections[last].bars - 1 };
+      }
+      return;
+    }
+    song = next;
+    songStartSection = 0;
+    loopSection = null;
+    pendingJump = null;
+    if (running && song) {
+      songPosition = { sectionIndex: 0, bar: -1 };
+      pendingJump = { sectionIndex: 0, bar: 0 };
+    }
+  };
+
+  // En marcha, el salto ocurre en la siguiente barra de compás; detenido, fija el inicio.
+  const jumpToSection = (sectionIndex) => {
+    if (!song) return;
+    const index = clamp(Math.round(sectionIndex), 0, song.sections.length - 1);
+    if (running) {
+      pendingJump = { sectionIndex: index, bar: 0 };
+    } else {
+      songStartSection = index;
+    }
+  };
+
+  const setLoopSection = (sectionIndex) => {
+    loopSection = song && sectionIndex !== null ? sectionIndex : null;
+  };
+
+  const setTempoOverride = (bpm) => {
+    tempoOverride = bpm ? clamp(bpm, 20, 300) : null;
+  };
+
+  // Corrige la fase desplazando todo lo aún no programado (seguimiento de reloj externo).
+  const nudge = (seconds) => {
+    if (!running || !Number.isFinite(seconds)) return;
+    nextNoteTime += seconds;
+    measureStart += seconds;
+    polyStates.forEach((state) => {
+      state.nextNoteTime += seconds;
+    });
+    if (rampOrigin) rampOrigin.time += seconds;
+  };
+
+  const setTempoLock = (value) => {
+    tempoLock = Boolean(value);
+  };
+
+  return {
+    start,
+    stop,
+    tick,
+    setConfig,
+    setSong,
+    jumpToSection,
+    setLoopSection,
+    setTempoOverride,
+    nudge,
+    setTempoLock,
+    getConfig: () => current,
+    getTiming,
+    getState: () => ({
+      running,
+      measureStart,
+      measureCount,
+      nextNoteTime,
+      song,
+      songStartSection,
+      songPosition,
+      loopSection,
+    }),
+    isRunning: () => running,
+  };
+}
+
+// Pruebas mínimas del motor con reloj manual (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  let time = 0;
+  let onTick = null;
+  const clock = {
+    start: (fn) => {
+      onTick = fn;
+    },
+    stop: () => {
+      onTick = null;
+    },
+  };
+  const clicks = [];
+  const beats = [];
+  const bars = [];
+  const tempos = [];
+  const engine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    config: {
+      bpm: 120,
+      ts: "4/4",
+      subdivision: "1/4",
+      accents: ["accent", "normal", "ghost", "mute"],
+      voices: { accent: "clave", beat: "woodblock" },
+    },
+    scheduleClick: (t, click) => clicks.push({ t, ...click }),
+    onBeat: (event) => beats.push(event),
+    onBar: (event) => bars.push(event),
+    onTempoChange: (bpm) => tempos.push(bpm),
+  });
+  engine.start(0);
+  while (time < 2) {
+    onTick?.();
+    time += 0.025;
+  }
+  console.assert(clicks.length === 4, "falló el número de clics en 2 s a 120 BPM");
+  console.assert(Math.abs(clicks[1].t - 0.5) < 1e-9, "falló la duración del pulso");
+  console.assert(clicks[0].accented && !clicks[1].accented, "falló el acento del tiempo fuerte");
+  console.assert(
+    clicks[0].kind === "accent" && clicks[0].voice === "clave" && clicks[1].voice === "woodblock",
+    "falló la voz por tipo de clic"
+  );
+  console.assert(clicks[2].intensity === 0.35, "falló la ganancia del pulso fantasma");
+  console.assert(clicks[3].t === 2 && clicks[3].accented, "falló el pulso en silencio");
+  console.assert(beats[3].beatIndex === 3 && bars.length === 2, "fallaron onBeat/onBar");
+
+  engine.setConfig({
+    training: { enabled: true, startBpm: 120, targetBpm: 130, step: 5, every: 1 },
+  });
+  while (time < 6.1) {
+    onTick?.();
+    time += 0.025;
+  }
+  console.assert(tempos[0] === 125, "falló onTempoChange en modo de entrenamiento");
+  tempos.length = 0;
+  engine.setConfig({ bpm: 400 });
+  engine.setConfig({ bpm: 300, volume: 50 });
+  engine.setTempoOverride(90);
+  engine.setTempoOverride(null);
+  console.assert(tempos.join() === "300", "falló onTempoChange con setConfig");
+
+  engine.stop();
+  clicks.length = 0;
+  engine.setConfig({
+    subdivision: "1/16",
+    accents: [],
+    stepGrid: [["off", "on", "off", "accent"]],
+  });
+  engine.setConfig({ training: { enabled: false } });
+  engine.start(time);
+  const beatEnd = time + engine.getTiming().beatDuration;
+  while (time < beatEnd) {
+    onTick?.();
+    time += 0.025;
+  }
+  console.assert(
+    clicks.filter((c) => c.t < beatEnd - 1e-6).map((c) => c.kind).join() === "subdivision,accent",
+    "falló la rejilla de pasos"
+  );
+
+  engine.stop();
+  const progress = [];
+  let completed = null;
+  const rampEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    config: {
+      bpm: 60,
+      ts: "2/4",
+      subdivision: "1/4",
+      training: {
+        enabled: true,
+        curve: "linear",
+        startBpm: 120,
+        targetBpm: 240,
+        length: 2,
+        onComplete: "stop",
+      },
+    },
+    onTrainingProgress: (event) => progress.push(event),
+    onTrainingComplete: (event) => {
+      completed = event;
+    },
+  });
+  rampEngine.start(time);
+  const rampEnd = time + 5;
+  while (time < rampEnd && rampEngine.isRunning()) {
+    onTick?.();
+    time += 0.025;
+  }
+  console.assert(progress[0].bpm === 120 && progress[1].bpm === 150, "falló la rampa lineal del motor");
+  console.assert(
+    completed?.stopped && !rampEngine.isRunning() && rampEngine.getConfig().bpm === 240,
+    "falló la detención al acabar la rampa"
+  );
+
+  // En minutos la rampa acaba a mitad de compás: se para en la barra siguiente.
+  completed = null;
+  const minuteEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    config: {
+      bpm: 97,
+      ts: "7/8",
+      subdivision: "1/8",
+      training: {
+        enabled: true,
+        curve: "linear",
+        startBpm: 97,
+        targetBpm: 131,
+        length: 1,
+        lengthUnit: "minutes",
+        onComplete: "stop",
+      },
+    },
+    onTrainingComplete: (event) => {
+      completed = event;
+    },
+  });
+  const minuteStart = time;
+  minuteEngine.start(time);
+  while (time < minuteStart + 200 && minuteEngine.isRunning()) {
+    onTick?.();
+    time += 0.025;
+  }
+  console.assert(
+    completed?.stopped &&
+      !minuteEngine.isRunning() &&
+      completed.time >= minuteStart + 60 &&
+      Math.abs(completed.time - minuteEngine.getState().measureStart) < 1e-9,
+    "falló la detención de una rampa en minutos"
+  );
+
+  clicks.length = 0;
+  const gapBeats = [];
+  const gapEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    config: {
+      bpm: 120,
+      ts: "2/4",
+      subdivision: "1/8",
+      polyEnabled: true,
+      polyLayers: [{ beats: 3 }],
+      gap: { enabled: true, playBars: 1, muteBars: 1 },
+    },
+    scheduleClick: (t, click) => clicks.push({ t, ...click }),
+    onBeat: (event) => gapBeats.push(event),
+  });
+  const gapStart = time;
+  gapEngine.start(gapStart);
+  while (time < gapStart + 3.9) {
+    onTick?.();
+    time += 0.025;
+  }
+  gapEngine.stop();
+  const inBar = (c, bar) => c.t >= gapStart + bar - 1e-6 && c.t < gapStart + bar + 1 - 1e-6;
+  console.assert(
+    clicks.filter((c) => inBar(c, 0)).length === 7 && clicks.filter((c) => inBar(c, 1)).length === 0,
+    "falló el compás en silencio del entrenamiento"
+  );
+  console.assert(clicks.filter((c) => inBar(c, 2)).length === 7, "falló la vuelta del sonido");
+  console.assert(
+    gapBeats.length >= 6 && gapBeats[2].gapMuted && !gapBeats[4].gapMuted,
+    "falló gapMuted en onBeat"
+  );
+
+  clicks.length = 0;
+  const randomEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    random: () => 0,
+    config: { bpm: 120, gap: { enabled: true, mode: "random", randomPercent: 10 } },
+    scheduleClick: (t, click) => clicks.push({ t, ...click }),
+  });
+  randomEngine.start(time);
+  const randomEnd = time + 1;
+  while (time < randomEnd) {
+    onTick?.();
+    time += 0.025;
+  }
+  randomEngine.stop();
+  console.assert(clicks.length === 0, "falló el silencio aleatorio de pulsos");
+
+  clicks.length = 0;
+  const positions = [];
+  let songEnd = null;
+  const songEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    scheduleClick: (t, click) => clicks.push({ t, ...click }),
+    onSongPosition: (event) => positions.push(event),
+    onSongEnd: (event) => {
+      songEnd = event;
+    },
+  });
+  songEngine.setSong(
+    normalizeSong({
+      sections: [
+        { bars: 2, config: { bpm: 120, ts: "4/4", subdivision: "1/4" } },
+        { bars: 1, config: { bpm: 60, ts: "3/4", subdivision: "1/4" } },
+      ],
+    })
+  );
+  const songStart = time;
+  songEngine.start(songStart);
+  while (time < songStart + 8 && songEngine.isRunning()) {
+    onTick?.();
+    time += 0.025;
+  }
+  console.assert(
+    positions.map((p) => `${p.sectionIndex}:${p.bar}`).join() === "0:0,0:1,1:0",
+    "falló el recorrido de secciones"
+  );
+  console.assert(
+    Math.abs(positions[2].time - songStart - 4) < 1e-9 && songEngine.getConfig().ts === "3/4",
+    "falló el cambio de sección en la barra de compás"
+  );
+  console.assert(
+    clicks.length === 11 && Math.abs(clicks[10].t - songStart - 6) < 1e-9,
+    "falló el tempo de la sección"
+  );
+  console.assert(
+    songEnd && Math.abs(songEnd.time - songStart - 7) < 1e-9 && !songEngine.isRunning(),
+    "falló el final de la canción"
+  );
+
+  positions.length = 0;
+  songEngine.jumpToSection(1);
+  songEngine.setLoopSection(1);
+  songEngine.start(time);
+  const loopEnd = time + 6;
+  while (time < loopEnd) {
+    onTick?.();
+    time += 0.025;
+  }
+  songEngine.jumpToSection(0);
+  const jumpEnd = time + 3;
+  while (time < jumpEnd) {
+    onTick?.();
+    time += 0.025;
+  }
+  songEngine.stop();
+  console.assert(
+    positions.slice(0, 2).every((p) => p.sectionIndex === 1) && positions.at(-1).sectionIndex === 0,
+    "fallaron el bucle de sección y el salto"
+  );
+
+  clicks.length = 0;
+  const countInBeats = [];
+  const countEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    config: {
+      bpm: 120,
+      ts: "4/4",
+      subdivision: "1/16",
+      countIn: { bars: 1, spoken: true },
+      spokenCount: { enabled: true, subdivisions: true },
+    },
+    scheduleClick: (t, click) => clicks.push({ t, ...click }),
+    onCountIn: (event) => countInBeats.push(event),
+  });
+  const countStart = time;
+  countEngine.start(countStart);
+  while (time < countStart + 2.4) {
+    onTick?.();
+    time += 0.025;
+  }
+  countEngine.stop();
+  const preRoll = clicks.filter((c) => c.kind === "countIn");
+  console.assert(
+    preRoll.length === 4 && preRoll[0].voice === "cowbell" && countInBeats[3].beatIndex === 3,
+    "falló la cuenta previa"
+  );
+  const firstMain = clicks.find((c) => c.layer === "main");
+  console.assert(Math.abs(firstMain.t - countStart - 2) < 1e-9, "falló el inicio tras la cuenta previa");
+  console.assert(
+    clicks
+      .filter((c) => c.kind === "count" && c.t < countStart + 2.5 - 1e-6)
+      .map((c) => c.voice.slice(COUNT_VOICE_PREFIX.length))
+      .join(" ") === "1 2 3 4 1 e and a",
+    "falló el conteo hablado"
+  );
+
+  clicks.length = 0;
+  const polyBeats = [];
+  const polyEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    config: {
+      bpm: 60,
+      ts: "4/4",
+      subdivision: "1/4",
+      polyEnabled: true,
+      polyLayers: [
+        { beats: 3, accents: ["accent", "mute"], pitch: 2 },
+        { beats: 5, muted: true },
+      ],
+    },
+    scheduleClick: (t, click) => clicks.push({ t, ...click }),
+    onPolyBeat: (event) => polyBeats.push(event),
+  });
+  polyEngine.start(time);
+  const barEnd = time + 4;
+  while (time < barEnd - 0.2) {
+    onTick?.();
+    time += 0.025;
+  }
+  polyEngine.stop();
+  const polyClicks = clicks.filter((c) => c.layer === "poly");
+  console.assert(
+    polyClicks.length === 2 && polyClicks.every((c) => c.layerIndex === 0 && c.pitch === 2),
+    "falló el silencio por capa y por pulso de polirritmo"
+  );
+  console.assert(polyClicks[0].accented && !polyClicks[1].accented, "falló el acento de la capa");
+  console.assert(
+    polyBeats.filter((e) => e.layerIndex === 1).length === 5,
+    "falló onPolyBeat en la capa silenciada"
+  );
+
+  clicks.length = 0;
+  polyBeats.length = 0;
+  const meterEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    config: {
+      bpm: 120,
+      ts: "4/4",
+      subdivision: "1/4",
+      polyEnabled: true,
+      polyLayers: [{ beats: 5, mode: "meter", subdivision: "1/8" }],
+    },
+    scheduleClick: (t, click) => clicks.push({ t, ...click }),
+    onPolyBeat: (event) => polyBeats.push(event),
+  });
+  const meterStart = time;
+  meterEngine.start(meterStart);
+  while (time < meterStart + 10.5) {
+    onTick?.();
+    time += 0.025;
+  }
+  meterEngine.stop();
+  const meterClicks = clicks.filter((c) => c.layer === "poly" && c.t < meterStart + 10 - 1e-6);
+  console.assert(meterClicks.length === 40, "falló la subdivisión de la capa en polímetro");
+  console.assert(
+    Math.abs(meterClicks[10].t - (meterStart + 2.5)) < 1e-6 && meterClicks[10].accented,
+    "falló el ciclo de 5 pulsos a través de la barra de compás"
+  );
+  const realigned = polyBeats.filter((e) => e.realignIn === 0).map((e) => e.time - meterStart);
+  console.assert(
+    Math.abs(realigned[0]) < 1e-6 && Math.abs(realigned[1] - 10) < 1e-6,
+    "falló la realineación cada 5 compases de 4/4"
+  );
+  console.assert(polyBeats[1].realignIn === 19, "falló la cuenta hasta la realineación");
+  console.assert(getRealignment(0, 4, 0, 3) === 0, "falló getRealignment alineado");
+  console.assert(getPolymeterCycleBars(4, 5) === 5, "falló getPolymeterCycleBars 5 sobre 4");
+  console.assert(getPolymeterCycleBars(6, 4) === 2, "falló getPolymeterCycleBars 4 sobre 6");
+
+  // Sincronía externa: entrada a mitad de compás, tempo impuesto y corrección de fase.
+  clicks.length = 0;
+  const syncBeats = [];
+  const syncEngine = createMetronomeEngine({
+    clock,
+    now: () => time,
+    config: { bpm: 120, ts: "4/4", subdivision: "1/4", countIn: { bars: 1 } },
+    scheduleClick: (t, click) => clicks.push({ t, ...click }),
+    onBeat: (event) => syncBeats.push(event),
+  });
+  const syncStart = time;
+  syncEngine.setTempoOverride(60);
+  syncEngine.start(syncStart, { startPulse: 6, skipCountIn: true });
+  syncEngine.nudge(0.1);
+  while (time < syncStart + 1.5) {
+    onTick?.();
+    time += 0.025;
+  }
+  syncEngine.stop();
+  console.assert(
+    syncBeats[0].beatIndex === 2 && Math.abs(syncBeats[0].measureStart - (syncStart - 1.9)) < 1e-6,
+    "falló el arranque a mitad de compás"
+  );
+  console.assert(
+    syncBeats.length === 2 && Math.abs(syncBeats[1].time - (syncStart + 1.1)) < 1e-6,
+    "falló el tempo impuesto o nudge"
+  );
+  console.assert(syncEngine.getConfig().bpm === 120, "el tempo impuesto no debe tocar la configuración");
+
+  engine.stop();
+  console.assert(onTick === null && !engine.isRunning(), "falló stop");
+  const timing = getTimingSnapshot(normalizeConfig({ bpm: 60, ts: "6/8", subdivision: "1/8" }));
+  console.assert(timing.beatDuration === 0.5 && timing.beats === 6, "falló getTimingSnapshot 6/8");
+  const dotted = getTimingSnapshot(
+    normalizeConfig({ bpm: 60, ts: "6/8", beatUnit: "1/4.", subdivision: "1/8" })
+  );
+  console.assert(
+    dotted.beatDuration === 1 && dotted.beats === 2 && dotted.subdivisionsPerBeat === 3,
+    "falló getTimingSnapshot 6/8 en negra con puntillo"
+  );
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
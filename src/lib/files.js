@@ -0,0 +1,48 @@
+/**
+ * Guardado de archivos: en Electron, diálogo nativo a través del puente del
+ * preload (window.metronomeDesktop); en el navegador, descarga con un enlace.
+ * Devuelve la ruta o el nombre guardado, o null si el usuario canceló.
+ */
+export async function saveFile({ name, data, mimeType, filters = [] }) {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  if (desktop?.saveFile) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    return desktop.saveFile({ defaultPath: name, filters, data: bytes });
+  }
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  try {
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    link.click();
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  return name;
+}
+
+/**
+ * Apertura de un archivo de texto: diálogo nativo en Electron; en el navegador,
+ * selector de archivos. Devuelve { name, text }, o null si el usuario canceló.
+ */
+export async function openFile({ accept = "", filters = [] } = {}) {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  if (desktop?.openFile) {
+    return desktop.openFile({ filters });
+  }
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = accept;
+    input.addEventListener("cancel", () => resolve(null));
+    input.addEventListener("change", () => {
+      const file = input.files?.[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      file.text().then((text) => resolve({ name: file.name, text }), reject);
+    });
+    input.click();
+  });
+}
@@ -0,0 +1,148 @@
+import { isValidTimeSignature } from "./config.js";
+
+/**
+ * Sincronía entre metrónomos de la red local. Un líder difunde su tempo, su
+ * compás y una línea de tiempo de compases (un tiempo fuerte de referencia y la
+ * duración del compás); los seguidores estiman el desfase entre relojes con
+ * ping/pong y entran en el siguiente tiempo fuerte del líder. Los tiempos son
+ * milisegundos de performance.now() de cada instancia; el proceso principal solo
+ * reenvía los mensajes por UDP multicast (electron/lan.cjs).
+ */
+
+const LAN_KEY = "metronome-lan-sync-v1";
+export const LAN_ROLES = ["off", "leader", "follower"];
+export const LAN_PROTOCOL_VERSION = 1;
+// Un líder que no se oye en este tiempo se da por perdido.
+export const LEADER_TIMEOUT_MS = 2000;
+// Margen mínimo para programar la entrada de un seguidor.
+export const FOLLOWER_START_LEAD_MS = 200;
+
+export function normalizeLanSettings(raw) {
+  const session = typeof raw?.session === "string" ? raw.session.trim().slice(0, 32) : "";
+  return {
+    role: LAN_ROLES.includes(raw?.role) ? raw.role : "off",
+    session: session || "ensayo",
+  };
+}
+
+export function readLanSettings() {
+  if (typeof window === "undefined") return normalizeLanSettings(null);
+  try {
+    return normalizeLanSettings(JSON.parse(window.localStorage.getItem(LAN_KEY) ?? "null"));
+  } catch {
+    return normalizeLanSettings(null);
+  }
+}
+
+export function writeLanSettings(settings) {
+  if (typeof window === "undefined") return;
+  window.localStorage.setItem(LAN_KEY, JSON.stringify(settings));
+}
+
+export function createInstanceId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Puente del preload con la sincronía de red, o null fuera de la app de escritorio.
+export function getLanBridge() {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  return desktop?.configureLan ? desktop : null;
+}
+
+/**
+ * Estado del líder recibido por la red, o null si no es válido:
+ * { id, bpm, ts, beatUnit, beats, running, measureMs, anchor: { time, bar } | null }.
+ */
+export function parseLeaderState(message) {
+  const numbers = [message?.bpm, message?.beats, message?.measureMs];
+  if (typeof message?.id !== "string" || !numbers.every((n) => Number.isFinite(n) && n > 0)) {
+    return null;
+  }
+  if (!isValidTimeSignature(message.ts) || typeof message.beatUnit !== "string") return null;
+  const anchor =
+    Number.isFinite(message.anchor?.time) && Number.isInteger(message.anchor?.bar)
+      ? { time: message.anchor.time, bar: message.anchor.bar }
+      : null;
+  return {
+    id: message.id,
+    bpm: message.bpm,
+    ts: message.ts,
+    beatUnit: message.beatUnit,
+    beats: Math.round(message.beats),
+    running: Boolean(message.running),
+    measureMs: message.measureMs,
+    anchor,
+  };
+}
+
+/**
+ * Desfase reloj del líder − reloj local. Cada ping/pong da t0 (envío local), t1
+ * (hora del líder) y t2 (recepción local); se usa la muestra de menor ida y vuelta
+ * de la ventana, la que menos retraso asimétrico puede esconder.
+ */
+export function createOffsetEstimator({ window: size = 16, minSamples = 3 } = {}) {
+  let samples = [];
+  const best = () => samples.reduce((a, b) => (b.rtt < a.rtt ? b : a), samples[0]);
+  return {
+    add: (t0, t1, t2) => {
+      const rtt = t2 - t0;
+      if (!(rtt >= 0)) return;
+      samples = [...samples, { rtt, offset: t1 - (t0 + t2) / 2 }].slice(-size);
+    },
+    isReady: () => samples.length >= minSamples,
+    getOffset: () => (samples.length > 0 ? best().offset : null),
+    getRtt: () => (samples.length > 0 ? best().rtt : null),
+    reset: () => {
+      samples = [];
+    },
+  };
+}
+
+// Siguiente tiempo fuerte del líder, en reloj local, al menos `lead` ms después de localNow.
+export function getNextDownbeat(leader, offset, localNow, lead = FOLLOWER_START_LEAD_MS) {
+  const anchor = leader.anchor.time - offset;
+  const measures = Math.ceil((localNow + lead - anchor) / leader.measureMs);
+  return anchor + measures * leader.measureMs;
+}
+
+// Último pulso del líder ya ocurrido (reloj local): referencia para corregir la fase.
+export function getLastLeaderBeat(leader, offset, localNow) {
+  const beatMs = leader.measureMs / leader.beats;
+  const anchor = leader.anchor.time - offset;
+  return anchor + Math.floor((localNow - anchor) / beatMs) * beatMs;
+}
+
+// Pruebas mínimas de la sincronía en red (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  // Reloj del líder 5000 ms por delante; la vuelta del segundo ping es asimétrica.
+  const estimator = createOffsetEstimator();
+  estimator.add(100, 5104, 108);
+  estimator.add(200, 5230, 240);
+  estimator.add(300, 5302, 304);
+  console.assert(estimator.isReady(), "falló isReady");
+  console.assert(estimator.getOffset() === 5000 && estimator.getRtt() === 4, "falló el desfase de menor RTT");
+
+  const leader = parseLeaderState({
+    id: "a",
+    bpm: 120,
+    ts: "4/4",
+    beatUnit: "auto",
+    beats: 4,
+    running: true,
+    measureMs: 2000,
+    anchor: { time: 6000, bar: 3 },
+  });
+  console.assert(leader && leader.anchor.bar === 3, "falló parseLeaderState");
+  console.assert(parseLeaderState({ ...leader, ts: "x" }) === null, "falló la validación del compás");
+  // Tiempo fuerte del líder en local: 1000, 3000, 5000…; con 200 ms de margen desde 2900 → 5000.
+  console.assert(getNextDownbeat(leader, 5000, 2900) === 5000, "falló getNextDownbeat");
+  console.assert(getLastLeaderBeat(leader, 5000, 2400) === 2000, "falló getLastLeaderBeat");
+  console.assert(normalizeLanSettings({ role: "x", session: "  " }).session === "ensayo", "falló normalizeLanSettings");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,239 @@
+import { clamp, getPulseLayout, getPulseQuarters, parseBeats } from "./config.js";
+import { collectClicks } from "./render.js";
+
+/**
+ * Exportación a Standard MIDI File de tipo 1. La pista 0 lleva el mapa de
+ * tempo y compases; la 1 los clics principales (y la cuenta previa) y la 2 los
+ * de las capas de polirritmo, como notas en el canal y nota elegidos por tipo.
+ */
+
+export const MIDI_PPQ = 480;
+export const MIDI_NOTE_KINDS = ["accent", "beat", "subdivision", "poly", "countIn"];
+
+// Notas de percusión General MIDI para que un instrumento de batería suene sin ajustes.
+export const DEFAULT_MIDI_OPTIONS = {
+  channel: 10,
+  notes: { accent: 76, beat: 77, subdivision: 42, poly: 56, countIn: 75 },
+};
+
+const NOTE_LENGTH = MIDI_PPQ / 16;
+
+export function normalizeMidiOptions(raw) {
+  const notes = Object.fromEntries(
+    MIDI_NOTE_KINDS.map((kind) => {
+      const value = Math.round(Number(raw?.notes?.[kind]));
+      const fallback = DEFAULT_MIDI_OPTIONS.notes[kind];
+      return [kind, Number.isFinite(value) ? clamp(value, 0, 127) : fallback];
+    })
+  );
+  const channel = Math.round(Number(raw?.channel));
+  return {
+    channel: Number.isFinite(channel) ? clamp(channel, 1, 16) : DEFAULT_MIDI_OPTIONS.channel,
+    notes,
+  };
+}
+
+// Segundos por negra: el BPM se refiere a la unidad de pulso, que puede no ser la negra.
+function getQuarterDuration({ bpm, ts, beatUnit }) {
+  const { tempoScale } = getPulseLayout(ts, beatUnit);
+  return ((60 / bpm) * tempoScale) / getPulseQuarters(ts, beatUnit);
+}
+
+function writeVarLen(value) {
+  const bytes = [value & 0x7f];
+  let rest = value >> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>= 7;
+  }
+  return bytes;
+}
+
+function writeUint(value, length) {
+  return Array.from({ length }, (_, i) => (value >> (8 * (length - 1 - i))) & 0xff);
+}
+
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+// events = [{ tick, order, data: [...] }]; order desempata en el mismo tick (note off antes que on).
+function encodeTrack(events, endTick) {
+  const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+  const body = [];
+  let last = 0;
+  for (const event of sorted) {
+    body.push(...writeVarLen(event.tick - last), ...event.data);
+    last = event.tick;
+  }
+  body.push(...writeVarLen(Math.max(0, endTick - last)), 0xff, 0x2f, 0x00);
+  return [...textBytes("MTrk"), ...writeUint(body.length, 4), ...body];
+}
+
+const trackName = (name) => {
+  const bytes = textBytes(name);
+  return { tick: 0, order: 0, data: [0xff, 0x03, ...writeVarLen(bytes.length), ...bytes] };
+};
+
+/**
+ * Construye el archivo a partir de la línea de tiempo de collectClicks. Los
+ * ticks de cada clic se miden desde su pulso con la duración de negra vigente,
+ * así el swing y las rampas quedan en el mapa de tempo y no en la cuantización.
+ */
+export function buildMidiFile({ clicks, pulses, duration }, rawOptions) {
+  const options = normalizeMidiOptions(rawOptions);
+  const anchors = [];
+  for (const pulse of pulses) {
+    const quarter = getQuarterDuration(pulse);
+    const previous = anchors.at(-1);
+    const tick = previous
+      ? previous.tick + Math.round(((pulse.time - previous.time) / previous.quarter) * MIDI_PPQ)
+      : 0;
+    anchors.push({ ...pulse, quarter, tick });
+  }
+  const toTick = (time) => {
+    let anchor = anchors[0];
+    for (const candidate of anchors) {
+      if (candidate.time > time + 1e-9) break;
+      anchor = candidate;
+    }
+    if (!anchor) return Math.round((time / 0.5) * MIDI_PPQ);
+    return anchor.tick + Math.round(((time - anchor.time) / anchor.quarter) * MIDI_PPQ);
+  };
+
+  const conductor = [trackName("Tempo")];
+  let lastTempo = null;
+  let lastTs = null;
+  for (const anchor of anchors) {
+    const tempo = Math.round(anchor.quarter * 1e6);
+    if (tempo !== lastTempo) {
+      conductor.push({
+        tick: anchor.tick,
+        order: 1,
+        data: [0xff, 0x51, 0x03, ...writeUint(tempo, 3)],
+      });
+      lastTempo = tempo;
+    }
+    if (anchor.barStart && anchor.ts !== lastTs) {
+      const { beats, unit } = parseBeats(anchor.ts);
+      conductor.push({
+        tick: anchor.tick,
+        order: 1,
+        data: [0xff, 0x58, 0x04, beats, Math.log2(unit), 24, 8],
+      });
+      lastTs = anchor.ts;
+    }
+  }
+
+  const status = 0x90 | (options.channel - 1);
+  const noteEvents = (layer) =>
+    clicks.flatMap(({ time, click }) => {
+      const kind = click.kind;
+      if (!MIDI_NOTE_KINDS.includes(kind) || (layer === "poly") !== (kind === "poly")) return [];
+      const note = options.notes[kind];
+      const velocity = clamp(
+        Math.round((click.accented ? 127 : 100) * (click.intensity ?? 1)),
+        1,
+        127
+      );
+      const tick = toTick(time);
+      return [
+        { tick, order: 2, data: [status, note, velocity] },
+        { tick: tick + NOTE_LENGTH, order: 0, data: [status, note, 0] },
+      ];
+    });
+
+  const endTick = toTick(duration);
+  const mainNotes = noteEvents("main");
+  const polyNotes = noteEvents("poly");
+  const tracks = [
+    encodeTrack(conductor, endTick),
+    encodeTrack([trackName("Clic"), ...mainNotes], endTick),
+    ...(polyNotes.length > 0
+      ? [encodeTrack([trackName("Polirritmo"), ...polyNotes], endTick)]
+      : []),
+  ];
+  const header = [
+    ...textBytes("MThd"),
+    ...writeUint(6, 4),
+    ...writeUint(1, 2),
+    ...writeUint(tracks.length, 2),
+    ...writeUint(MIDI_PPQ, 2),
+  ];
+  return new Uint8Array([...header, ...tracks.flat()]);
+}
+
+// Configuración (o canción) a bytes .mid; { song, unit, length } como en la exportación WAV.
+export function exportMidi(config, { song = null, unit = "bars", length = 16 } = {}, midiOptions) {
+  return buildMidiFile(collectClicks(config, { song, unit, length }), midiOptions);
+}
+
+// Pruebas a nivel de bytes (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const hex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+  console.assert(hex(writeVarLen(0)) === "00", "falló writeVarLen 0");
+  console.assert(hex(writeVarLen(0x7f)) === "7f", "falló writeVarLen 7f");
+  console.assert(hex(writeVarLen(0x80)) === "81 00", "falló writeVarLen 80");
+  console.assert(hex(writeVarLen(0x3fff)) === "ff 7f", "falló writeVarLen 3fff");
+  console.assert(hex(writeVarLen(0x0fffffff)) === "ff ff ff 7f", "falló writeVarLen máximo");
+
+  // Un compás de 2/4 a 120 en negras: dos notas, tempo 500000 µs y compás 2/4.
+  const bytes = exportMidi(
+    { bpm: 120, ts: "2/4", subdivision: "1/4", accents: ["accent", "normal"] },
+    { unit: "bars", length: 1 },
+    { channel: 10, notes: { accent: 60, beat: 61 } }
+  );
+  const expected = [
+    "4d 54 68 64 00 00 00 06 00 01 00 02 01 e0",
+    // Pista 0: nombre "Tempo", tempo, compás y fin de pista en el tick 960.
+    "4d 54 72 6b 00 00 00 1d",
+    "00 ff 03 05 54 65 6d 70 6f",
+    "00 ff 51 03 07 a1 20",
+    "00 ff 58 04 02 02 18 08",
+    "87 40 ff 2f 00",
+    // Pista 1: nombre "Clic" y dos notas en el canal 10 (0x99).
+    "4d 54 72 6b 00 00 00 1e",
+    "00 ff 03 04 43 6c 69 63",
+    "00 99 3c 7f",
+    "1e 99 3c 00",
+    "83 42 99 3d 64",
+    "1e 99 3d 00",
+    "83 42 ff 2f 00",
+  ].join(" ");
+  console.assert(hex(bytes) === expected, "falló el archivo MIDI de un compás");
+
+  // Negra con puntillo en 6/8: el BPM se refiere a la negra con puntillo.
+  const compound = exportMidi(
+    { bpm: 60, ts: "6/8", beatUnit: "1/4.", subdivision: "1/4" },
+    { unit: "bars", length: 1 }
+  );
+  console.assert(
+    hex(compound).includes("ff 51 03 0a 2c 2b") && hex(compound).includes("ff 58 04 06 03 18 08"),
+    "falló el tempo en negra con puntillo"
+  );
+
+  // Rampa escalonada 60 → 120 en un compás de 1/4: un evento de tempo por cambio.
+  const ramp = exportMidi(
+    {
+      bpm: 60,
+      ts: "1/4",
+      subdivision: "1/4",
+      training: { enabled: true, startBpm: 60, targetBpm: 120, step: 12, every: 1 },
+    },
+    { unit: "bars", length: 6 }
+  );
+  const tempoEvents = hex(ramp).split("ff 51 03").length - 1;
+  console.assert(tempoEvents === 6, "falló el mapa de tempo de la rampa");
+  const options = normalizeMidiOptions({ channel: 20, notes: { beat: 300 } });
+  console.assert(
+    options.channel === 16 && options.notes.beat === 127 && options.notes.accent === 76,
+    "falló normalizeMidiOptions"
+  );
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,330 @@
+import { getPulseLayout, getPulseQuarters, parseBeats } from "./config.js";
+
+/**
+ * Sincronía por reloj MIDI (24 pulsos por negra) y transporte (Start, Continue,
+ * Stop, Song Position Pointer). El emisor convierte cada pulso programado por el
+ * motor en mensajes con marca de tiempo; el receptor sigue el tempo y la posición
+ * de un reloj externo. Los tiempos MIDI están en milisegundos de performance.now().
+ */
+
+export const MIDI_CLOCK = 0xf8;
+export const MIDI_START = 0xfa;
+export const MIDI_CONTINUE = 0xfb;
+export const MIDI_STOP = 0xfc;
+export const MIDI_SONG_POSITION = 0xf2;
+export const CLOCKS_PER_QUARTER = 24;
+export const SYNC_MODES = ["off", "send", "receive"];
+
+const SYNC_KEY = "metronome-midi-sync-v1";
+// Cada unidad de Song Position Pointer es una semicorchea: 6 pulsos de reloj.
+const CLOCKS_PER_SIXTEENTH = 6;
+// Más de un segundo sin reloj se considera una parada del maestro.
+const CLOCK_TIMEOUT_MS = 1000;
+
+export function normalizeSyncSettings(raw) {
+  return {
+    mode: SYNC_MODES.includes(raw?.mode) ? raw.mode : "off",
+    outputId: typeof raw?.outputId === "string" ? raw.outputId : "",
+    inputId: typeof raw?.inputId === "string" ? raw.inputId : "",
+  };
+}
+
+export function readSyncSettings() {
+  if (typeof window === "undefined") return normalizeSyncSettings(null);
+  try {
+    return normalizeSyncSettings(JSON.parse(window.localStorage.getItem(SYNC_KEY) ?? "null"));
+  } catch {
+    return normalizeSyncSettings(null);
+  }
+}
+
+export function writeSyncSettings(settings) {
+  if (typeof window === "undefined") return;
+  window.localStorage.setItem(SYNC_KEY, JSON.stringify(settings));
+}
+
+// Pulsos de reloj por pulso del compás (12 en corcheas, 36 en negra con puntillo).
+export function getClocksPerPulse(ts, beatUnit) {
+  return Math.max(1, Math.round(CLOCKS_PER_QUARTER * getPulseQuarters(ts, beatUnit)));
+}
+
+// BPM del motor (referido a su unidad de pulso) a partir de un tempo en negras.
+export function getPulseBpm(quarterBpm, ts, beatUnit) {
+  return (quarterBpm * getPulseLayout(ts, beatUnit).tempoScale) / getPulseQuarters(ts, beatUnit);
+}
+
+export function encodeSongPosition(sixteenths) {
+  const value = Math.max(0, Math.min(0x3fff, Math.round(sixteenths)));
+  return [MIDI_SONG_POSITION, value & 0x7f, (value >> 7) & 0x7f];
+}
+
+export function decodeSongPosition(lsb, msb) {
+  return ((msb & 0x7f) << 7) | (lsb & 0x7f);
+}
+
+// Semicorcheas transcurridas antes de la sección indicada de una canción.
+export function getSongSixteenths(song, sectionIndex) {
+  return song.sections.slice(0, sectionIndex).reduce((total, section) => {
+    const { beats, unit } = parseBeats(section.config.ts);
+    return total + (section.bars * beats * 16) / unit;
+  }, 0);
+}
+
+/**
+ * Traduce entre el reloj de audio (segundos) y performance.now() (ms) con
+ * getOutputTimestamp, que ya descuenta la latencia de salida.
+ */
+export function createTimeMapper(context) {
+  const reference = () => {
+    const stamp = context.getOutputTimestamp?.();
+    if (stamp?.performanceTime > 0) return stamp;
+    return { contextTime: context.currentTime, performanceTime: performance.now() };
+  };
+  return {
+    toPerformance: (audioTime) => {
+      const { contextTime, performanceTime } = reference();
+      return performanceTime + (audioTime - contextTime) * 1000;
+    },
+    toAudio: (performanceTime) => {
+      const stamp = reference();
+      return stamp.contextTime + (performanceTime - stamp.performanceTime) / 1000;
+    },
+  };
+}
+
+/**
+ * Estima el intervalo entre pulsos de reloj: media de una ventana deslizante sin
+ * los intervalos lejos de la mediana (pulsos perdidos o duplicados), suavizada
+ * con una media exponencial.
+ */
+export function createClockFollower({ window: size = 24, smoothing = 0.2 } = {}) {
+  let last = null;
+  let intervals = [];
+  let estimate = null;
+
+  const reset = () => {
+    last = null;
+    intervals = [];
+    estimate = null;
+  };
+
+  const push = (time) => {
+    const interval = last === null ? null : time - last;
+    last = time;
+    if (interval === null || interval <= 0) return estimate;
+    if (interval > CLOCK_TIMEOUT_MS) {
+      intervals = [];
+      estimate = null;
+      return estimate;
+    }
+    intervals = [...intervals, interval].slice(-size);
+    const sorted = [...intervals].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const inliers = intervals.filter((value) => Math.abs(value - median) < median * 0.5);
+    const mean = inliers.reduce((total, value) => total + value, 0) / inliers.length;
+    estimate = estimate === null ? mean : estimate + (mean - estimate) * smoothing;
+    return estimate;
+  };
+
+  return {
+    push,
+    reset,
+    // BPM en negras, o null hasta tener al menos unos pulsos.
+    getQuarterBpm: () =>
+      estimate && intervals.length >= 6 ? 60000 / (estimate * CLOCKS_PER_QUARTER) : null,
+    getInterval: () => estimate,
+  };
+}
+
+/**
+ * Emisor de reloj sobre un MIDIOutput. start(position) arma el transporte: el
+ * Start (o Song Position + Continue si position > 0, en semicorcheas) sale con
+ * el primer pulso de compás. pulse() reparte los pulsos de reloj del pulso.
+ */
+export function createMidiClockSender({ output, toTimestamp }) {
+  let pendingPosition = null;
+
+  const start = (position = 0) => {
+    pendingPosition = position;
+  };
+
+  // transport: el pulso es del compás (no de la cuenta previa) y puede arrancar el transporte.
+  const pulse = ({ time, duration, clocks, transport = true }) => {
+    const at = toTimestamp(time);
+    if (transport && pendingPosition !== null) {
+      if (pendingPosition > 0) {
+        output.send(encodeSongPosition(pendingPosition), at);
+        output.send([MIDI_CONTINUE], at);
+      } else {
+        output.send([MIDI_START], at);
+      }
+      pendingPosition = null;
+    }
+    const spacing = (duration * 1000) / clocks;
+    for (let i = 0; i < clocks; i += 1) {
+      output.send([MIDI_CLOCK], at + i * spacing);
+    }
+  };
+
+  const stop = () => {
+    pendingPosition = null;
+    // Descarta los pulsos ya programados (no todos los navegadores lo admiten).
+    output.clear?.();
+    output.send([MIDI_STOP]);
+  };
+
+  return { start, pulse, stop };
+}
+
+/**
+ * Receptor de reloj y transporte. handle(data, time) recibe cada mensaje MIDI.
+ * El maestro arranca en el primer pulso de reloj tras Start/Continue:
+ * - onStart({ tick, time }) — tick: pulsos de reloj desde el inicio de la canción.
+ * - onClock({ tick, time }) — cada pulso de reloj con el transporte en marcha.
+ * - onStop({ time })
+ * - onTempo(quarterBpm) — estimación suavizada, también con el transporte parado.
+ */
+export function createMidiClockReceiver({ onStart, onClock, onStop, onTempo } = {}) {
+  const follower = createClockFollower();
+  let playing = false;
+  let awaitingClock = false;
+  let tick = 0;
+  let positionTicks = 0;
+
+  const handle = (data, time) => {
+    const status = data?.[0];
+    if (status === MIDI_START) {
+      positionTicks = 0;
+      tick = 0;
+      awaitingClock = true;
+    } else if (status === MIDI_CONTINUE) {
+      tick = positionTicks;
+      awaitingClock = true;
+    } else if (status === MIDI_SONG_POSITION && data.length >= 3) {
+      positionTicks = decodeSongPosition(data[1], data[2]) * CLOCKS_PER_SIXTEENTH;
+      if (!playing) tick = positionTicks;
+    } else if (status === MIDI_STOP) {
+      awaitingClock = false;
+      if (playing) {
+        playing = false;
+        positionTicks = tick;
+        onStop?.({ time });
+      }
+    } else if (status === MIDI_CLOCK) {
+      follower.push(time);
+      onTempo?.(follower.getQuarterBpm());
+      if (awaitingClock) {
+        awaitingClock = false;
+        playing = true;
+        onStart?.({ tick, time });
+      }
+      if (playing) {
+        onClock?.({ tick, time });
+        tick += 1;
+      }
+    }
+  };
+
+  const reset = () => {
+    follower.reset();
+    playing = false;
+    awaitingClock = false;
+    tick = 0;
+    positionTicks = 0;
+  };
+
+  return { handle, reset, isPlaying: () => playing };
+}
+
+// Acceso a Web MIDI; null si el entorno no lo ofrece o el usuario lo deniega.
+export async function requestMidiAccess() {
+  if (typeof navigator === "undefined" || !navigator.requestMIDIAccess) return null;
+  try {
+    return await navigator.requestMIDIAccess({ sysex: false });
+  } catch {
+    return null;
+  }
+}
+
+export function listMidiPorts(access) {
+  const list = (ports) =>
+    Array.from(ports?.values() ?? [])
+      .filter((port) => port.state !== "disconnected")
+      .map((port) => ({ id: port.id, name: port.name || port.id }));
+  return { inputs: list(access?.inputs), outputs: list(access?.outputs) };
+}
+
+// Pruebas mínimas de la sincronía (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  console.assert(
+    encodeSongPosition(200).join() === [0xf2, 72, 1].join() && decodeSongPosition(72, 1) === 200,
+    "falló Song Position Pointer"
+  );
+  console.assert(
+    getClocksPerPulse("4/4") === 24 &&
+      getClocksPerPulse("6/8") === 12 &&
+      getClocksPerPulse("6/8", "1/4.") === 36,
+    "falló getClocksPerPulse"
+  );
+  console.assert(
+    getPulseBpm(120, "6/8") === 120 && getPulseBpm(120, "6/8", "1/4.") === 80,
+    "falló getPulseBpm"
+  );
+  const song = { sections: [{ bars: 2, config: { ts: "4/4" } }, { bars: 1, config: { ts: "7/8" } }] };
+  console.assert(getSongSixteenths(song, 2) === 46, "falló getSongSixteenths");
+
+  // 120 BPM con ±2 ms de jitter y un pulso perdido: la estimación se queda cerca de 120.
+  const follower = createClockFollower();
+  let t = 0;
+  for (let i = 0; i < 96; i += 1) {
+    if (i !== 40) follower.push(t + (i % 2 ? 2 : -2));
+    t += 500 / 24;
+  }
+  console.assert(Math.abs(follower.getQuarterBpm() - 120) < 0.5, "falló el seguimiento de tempo");
+  follower.push(t + 5000);
+  console.assert(follower.getQuarterBpm() === null, "falló la pérdida del reloj");
+
+  const sent = [];
+  const sender = createMidiClockSender({
+    output: { send: (data, at) => sent.push({ status: data[0], at }) },
+    toTimestamp: (time) => time * 1000,
+  });
+  sender.start(8);
+  sender.pulse({ time: 0, duration: 0.5, clocks: 12, transport: false });
+  sender.pulse({ time: 0.5, duration: 0.5, clocks: 12 });
+  sender.stop();
+  const statuses = sent.map((entry) => entry.status);
+  console.assert(
+    statuses.indexOf(MIDI_SONG_POSITION) === 12 &&
+      statuses[13] === MIDI_CONTINUE &&
+      statuses.filter((s) => s === MIDI_CLOCK).length === 24 &&
+      statuses.at(-1) === MIDI_STOP,
+    "falló el emisor de reloj"
+  );
+  console.assert(Math.abs(sent[1].at - 500 / 12) < 1e-9, "falló el espaciado de los pulsos de reloj");
+
+  const events = [];
+  const receiver = createMidiClockReceiver({
+    onStart: (event) => events.push(["start", event.tick]),
+    onStop: () => events.push(["stop"]),
+  });
+  receiver.handle([MIDI_CLOCK], 0);
+  receiver.handle([MIDI_START], 1);
+  receiver.handle([MIDI_CLOCK], 20);
+  receiver.handle([MIDI_CLOCK], 40);
+  receiver.handle([MIDI_STOP], 50);
+  receiver.handle(encodeSongPosition(4), 60);
+  receiver.handle([MIDI_CONTINUE], 61);
+  receiver.handle([MIDI_CLOCK], 80);
+  console.assert(
+    events.map((e) => e.join(":")).join() === "start:0,stop,start:24",
+    "falló el receptor de transporte"
+  );
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
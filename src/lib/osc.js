@@ -0,0 +1,72 @@
+import { clamp } from "./config.js";
+
+/**
+ * Control por OSC (solo escritorio). El servidor UDP vive en el proceso
+ * principal (electron/osc.cjs); el panel guarda los ajustes, se los pasa por el
+ * puente del preload, recibe las órdenes y devuelve los pulsos cuando suenan.
+ */
+
+const OSC_KEY = "metronome-osc-v1";
+
+export const DEFAULT_OSC_SETTINGS = {
+  enabled: false,
+  port: 9000,
+  // Por defecto solo escucha en este equipo; con allowNetwork, en todas las interfaces.
+  allowNetwork: false,
+  replyHost: "127.0.0.1",
+  replyPort: 9001,
+};
+
+const normalizePort = (value, fallback) => {
+  const port = Math.round(Number(value));
+  return Number.isFinite(port) ? clamp(port, 1024, 65535) : fallback;
+};
+
+export function normalizeOscSettings(raw) {
+  return {
+    enabled: Boolean(raw?.enabled ?? DEFAULT_OSC_SETTINGS.enabled),
+    port: normalizePort(raw?.port, DEFAULT_OSC_SETTINGS.port),
+    allowNetwork: Boolean(raw?.allowNetwork ?? DEFAULT_OSC_SETTINGS.allowNetwork),
+    // Sin host no se envían pulsos.
+    replyHost:
+      typeof raw?.replyHost === "string" ? raw.replyHost.trim().slice(0, 255) : DEFAULT_OSC_SETTINGS.replyHost,
+    replyPort: normalizePort(raw?.replyPort, DEFAULT_OSC_SETTINGS.replyPort),
+  };
+}
+
+export function readOscSettings() {
+  if (typeof window === "undefined") return normalizeOscSettings(null);
+  try {
+    return normalizeOscSettings(JSON.parse(window.localStorage.getItem(OSC_KEY) ?? "null"));
+  } catch {
+    return normalizeOscSettings(null);
+  }
+}
+
+export function writeOscSettings(settings) {
+  if (typeof window === "undefined") return;
+  window.localStorage.setItem(OSC_KEY, JSON.stringify(settings));
+}
+
+// Puente del preload con OSC, o null fuera de la app de escritorio.
+export function getOscBridge() {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  return desktop?.configureOsc ? desktop : null;
+}
+
+// Pruebas mínimas de los ajustes OSC (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const settings = normalizeOscSettings({ port: 80, replyHost: "  192.168.1.20 ", replyPort: "abc" });
+  console.assert(
+    settings.port === 1024 && settings.replyHost === "192.168.1.20" && settings.replyPort === 9001,
+    "falló normalizeOscSettings"
+  );
+  console.assert(!normalizeOscSettings(null).allowNetwork, "falló el valor por defecto de allowNetwork");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,194 @@
+import { normalizeConfig } from "./config.js";
+
+/**
+ * Biblioteca de preajustes sin límite. Cada preajuste tiene nombre, notas,
+ * etiquetas, favorito, fechas (ISO) y una configuración completa (forma de
+ * normalizeConfig). El orden de la lista es el del usuario; las cuatro ranuras
+ * rápidas (Ctrl/⌘+1–4, mando, bandeja) apuntan a preajustes por id.
+ */
+
+export const QUICK_SLOTS = 4;
+const MAX_TAGS = 12;
+const MAX_TAG_LENGTH = 24;
+
+export function createPresetId() {
+  return `preset:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+const isDate = (value) => typeof value === "string" && !Number.isNaN(Date.parse(value));
+
+// Acepta una lista o un texto separado por comas; sin repetidas (sin distinguir mayúsculas).
+export function normalizeTags(raw) {
+  const list = typeof raw === "string" ? raw.split(",") : Array.isArray(raw) ? raw : [];
+  const tags = [];
+  for (const item of list) {
+    if (typeof item !== "string") continue;
+    const tag = item.trim().slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.some((other) => other.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+  }
+  return tags.slice(0, MAX_TAGS);
+}
+
+export function normalizePreset(raw, now = new Date().toISOString()) {
+  const createdAt = isDate(raw?.createdAt) ? raw.createdAt : now;
+  return {
+    id: typeof raw?.id === "string" && raw.id ? raw.id : createPresetId(),
+    name: typeof raw?.name === "string" && raw.name.trim() ? raw.name.slice(0, 80) : "Preajuste sin nombre",
+    notes: typeof raw?.notes === "string" ? raw.notes.slice(0, 2000) : "",
+    tags: normalizeTags(raw?.tags),
+    favorite: Boolean(raw?.favorite),
+    createdAt,
+    updatedAt: isDate(raw?.updatedAt) ? raw.updatedAt : createdAt,
+    config: normalizeConfig(raw?.config),
+  };
+}
+
+/**
+ * { presets, quickSlots }. Acepta también el formato antiguo (lista de cuatro
+ * configuraciones o null): cada ranura ocupada pasa a ser un preajuste con su ranura.
+ */
+export function normalizePresetLibrary(raw, now = new Date().toISOString()) {
+  if (Array.isArray(raw)) {
+    const presets = [];
+    const quickSlots = Array(QUICK_SLOTS).fill(null);
+    raw.slice(0, QUICK_SLOTS).forEach((config, i) => {
+      if (!config) return;
+      const preset = normalizePreset({ name: `Ranura ${i + 1}`, config }, now);
+      presets.push(preset);
+      quickSlots[i] = preset.id;
+    });
+    return { presets, quickSlots };
+  }
+  const seen = new Set();
+  const presets = (Array.isArray(raw?.presets) ? raw.presets : [])
+    .map((preset) => normalizePreset(preset, now))
+    .filter((preset) => !seen.has(preset.id) && seen.add(preset.id));
+  const quickSlots = Array.from({ length: QUICK_SLOTS }, (_, i) => {
+    const id = raw?.quickSlots?.[i];
+    return seen.has(id) ? id : null;
+  });
+  return { presets, quickSlots };
+}
+
+export function getPresetTags(presets) {
+  const tags = normalizeTags(presets.flatMap((preset) => preset.tags));
+  return tags.sort((a, b) => a.localeCompare(b, "es", { sensitivity: "base" }));
+}
+
+// Texto comparable: minúsculas y sin tildes ("canción" encuentra "cancion").
+const fold = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// Busca en nombre, notas y etiquetas; tag filtra por etiqueta exacta.
+export function filterPresets(presets, { query = "", tag = "", favoritesOnly = false } = {}) {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  return presets.filter((preset) => {
+    if (favoritesOnly && !preset.favorite) return false;
+    if (tag && !preset.tags.some((other) => fold(other) === fold(tag))) return false;
+    const haystack = fold([preset.name, preset.notes, ...preset.tags].join(" "));
+    return words.every((word) => haystack.includes(word));
+  });
+}
+
+// Operaciones puras: devuelven una biblioteca nueva.
+
+export function addPreset(library, raw, now = new Date().toISOString()) {
+  const preset = normalizePreset({ ...raw, id: null, createdAt: now, updatedAt: now }, now);
+  return { library: { ...library, presets: [...library.presets, preset] }, preset };
+}
+
+export function updatePreset(library, id, patch, now = new Date().toISOString()) {
+  return {
+    ...library,
+    presets: library.presets.map((preset) =>
+      preset.id === id ? normalizePreset({ ...preset, ...patch, id, updatedAt: now }, now) : preset
+    ),
+  };
+}
+
+// La copia va justo después del original, sin favorito ni ranura.
+export function duplicatePreset(library, id, now = new Date().toISOString()) {
+  const index = library.presets.findIndex((preset) => preset.id === id);
+  if (index === -1) return { library, preset: null };
+  const original = library.presets[index];
+  const preset = normalizePreset(
+    { ...original, id: null, name: `${original.name} (copia)`, favorite: false, createdAt: now, updatedAt: now },
+    now
+  );
+  const presets = [...library.presets];
+  presets.splice(index + 1, 0, preset);
+  return { library: { ...library, presets }, preset };
+}
+
+export function deletePreset(library, id) {
+  return {
+    presets: library.presets.filter((preset) => preset.id !== id),
+    quickSlots: library.quickSlots.map((slotId) => (slotId === id ? null : slotId)),
+  };
+}
+
+export function movePreset(library, id, delta) {
+  const index = library.presets.findIndex((preset) => preset.id === id);
+  const target = index + delta;
+  if (index === -1 || target < 0 || target >= library.presets.length) return library;
+  const presets = [...library.presets];
+  const [moved] = presets.splice(index, 1);
+  presets.splice(target, 0, moved);
+  return { ...library, presets };
+}
+
+export function assignQuickSlot(library, slot, id) {
+  const quickSlots = [...library.quickSlots];
+  quickSlots[slot] = library.presets.some((preset) => preset.id === id) ? id : null;
+  return { ...library, quickSlots };
+}
+
+export function getQuickSlotPreset(library, slot) {
+  const id = library.quickSlots[slot];
+  return id ? (library.presets.find((preset) => preset.id === id) ?? null) : null;
+}
+
+// Pruebas mínimas de la biblioteca (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const now = "2026-01-01T00:00:00.000Z";
+  const legacy = normalizePresetLibrary([{ bpm: 90 }, null, { bpm: 140 }], now);
+  console.assert(
+    legacy.presets.length === 2 &&
+      legacy.quickSlots[2] === legacy.presets[1].id &&
+      legacy.quickSlots[1] === null &&
+      legacy.presets[1].name === "Ranura 3",
+    "falló la migración de ranuras"
+  );
+  console.assert(normalizeTags(" Escalas, escalas ,Lectura,, ").join() === "Escalas,Lectura", "falló normalizeTags");
+
+  let { library, preset } = addPreset(legacy, { name: "Paradiddle", tags: ["Técnica"], config: { bpm: 70 } }, now);
+  console.assert(preset.config.bpm === 70 && library.presets.length === 3, "falló addPreset");
+  library = updatePreset(library, preset.id, { notes: "Alumna: Inés", favorite: true }, "2026-02-01T00:00:00.000Z");
+  const updated = library.presets[2];
+  console.assert(updated.createdAt === now && updated.updatedAt.startsWith("2026-02"), "falló updatePreset");
+  console.assert(filterPresets(library.presets, { query: "ines tecnica" }).length === 1, "falló la búsqueda");
+  console.assert(filterPresets(library.presets, { favoritesOnly: true })[0].id === preset.id, "falló el filtro de favoritos");
+
+  const copy = duplicatePreset(library, preset.id, now);
+  console.assert(copy.library.presets[3].name === "Paradiddle (copia)" && !copy.preset.favorite, "falló duplicatePreset");
+  library = movePreset(copy.library, preset.id, -2);
+  console.assert(library.presets[0].id === preset.id, "falló movePreset");
+  library = assignQuickSlot(library, 0, preset.id);
+  console.assert(getQuickSlotPreset(library, 0).id === preset.id, "falló assignQuickSlot");
+  library = deletePreset(library, preset.id);
+  console.assert(library.quickSlots[0] === null && library.presets.length === 3, "falló deletePreset");
+  console.assert(
+    normalizePresetLibrary({ presets: library.presets, quickSlots: ["preset:gone"] }).quickSlots[0] === null,
+    "falló la limpieza de ranuras"
+  );
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,100 @@
+import { normalizeTraining } from "./config.js";
+
+/**
+ * Rampa de tempo del modo de entrenamiento. Un tramo va de startBpm a targetBpm;
+ * con roundTrip cada ciclo añade el tramo de vuelta, y el ciclo se repite
+ * `repeats` veces. Al terminar, onComplete decide entre mantener o detener.
+ */
+
+// Duración de un tramo en su propia unidad: compases (escalonada o lineal por
+// compases) o segundos (lineal por minutos).
+function getLegLength(training) {
+  if (training.curve === "stepped") {
+    const steps = Math.ceil(Math.abs(training.targetBpm - training.startBpm) / training.step);
+    return { unit: "bars", value: Math.max(1, steps * training.every) };
+  }
+  return training.lengthUnit === "minutes"
+    ? { unit: "seconds", value: training.length * 60 }
+    : { unit: "bars", value: training.length };
+}
+
+function getLegTempo(training, from, to, elapsed, legLength) {
+  if (training.curve === "stepped") {
+    const steps = Math.floor(elapsed / training.every);
+    const delta = Math.min(Math.abs(to - from), steps * training.step);
+    return from + Math.sign(to - from) * delta;
+  }
+  return from + (to - from) * Math.min(1, elapsed / legLength);
+}
+
+/**
+ * Estado de la rampa tras `elapsed` = { bars, seconds } desde su inicio.
+ * Devuelve { bpm, progress (0..1 del total), leg (0 ida, 1 vuelta), cycle, done }.
+ */
+export function getRampState(training, elapsed) {
+  const length = getLegLength(training);
+  const position = length.unit === "bars" ? elapsed.bars : elapsed.seconds;
+  const legs = training.roundTrip ? 2 : 1;
+  const totalLegs = legs * training.repeats;
+  const legIndex = Math.floor(position / length.value);
+  if (legIndex >= totalLegs) {
+    const endsAtStart = training.roundTrip;
+    return {
+      bpm: endsAtStart ? training.startBpm : training.targetBpm,
+      progress: 1,
+      leg: legs - 1,
+      cycle: training.repeats - 1,
+      done: true,
+    };
+  }
+  const leg = legIndex % legs;
+  const from = leg === 0 ? training.startBpm : training.targetBpm;
+  const to = leg === 0 ? training.targetBpm : training.startBpm;
+  const legElapsed = position - legIndex * length.value;
+  return {
+    bpm: Math.round(getLegTempo(training, from, to, legElapsed, length.value)),
+    progress: position / (length.value * totalLegs),
+    leg,
+    cycle: Math.floor(legIndex / legs),
+    done: false,
+  };
+}
+
+// Pruebas mínimas de la rampa (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const stepped = normalizeTraining({ startBpm: 100, targetBpm: 110, step: 4, every: 2 });
+  console.assert(getRampState(stepped, { bars: 0 }).bpm === 100, "falló el inicio de la rampa escalonada");
+  console.assert(getRampState(stepped, { bars: 3 }).bpm === 104, "falló el escalón de la rampa");
+  console.assert(getRampState(stepped, { bars: 5 }).bpm === 108, "falló el último escalón de la rampa");
+  const top = getRampState(stepped, { bars: 6 });
+  console.assert(top.done && top.bpm === 110, "falló el final de la rampa escalonada");
+
+  const linear = normalizeTraining({
+    curve: "linear",
+    startBpm: 60,
+    targetBpm: 120,
+    length: 2,
+    lengthUnit: "minutes",
+    roundTrip: true,
+    repeats: 2,
+    onComplete: "stop",
+  });
+  console.assert(getRampState(linear, { seconds: 60 }).bpm === 90, "falló la rampa lineal por minutos");
+  const down = getRampState(linear, { seconds: 180 });
+  console.assert(down.bpm === 90 && down.leg === 1, "falló el tramo de vuelta");
+  const second = getRampState(linear, { seconds: 300 });
+  console.assert(second.cycle === 1 && second.leg === 0, "falló la repetición de la rampa");
+  const end = getRampState(linear, { seconds: 481 });
+  console.assert(end.done && end.bpm === 60 && end.progress === 1, "falló el final de ida y vuelta");
+
+  const slower = normalizeTraining({ curve: "linear", startBpm: 140, targetBpm: 100, length: 4 });
+  console.assert(getRampState(slower, { bars: 2 }).bpm === 120, "falló la rampa descendente");
+  console.assert(normalizeTraining({ curve: "exp" }).curve === "stepped", "falló normalizeTraining curve");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,54 @@
+import { clamp } from "./config.js";
+
+/**
+ * Mando a distancia por la red local (solo escritorio). El servidor HTTP y
+ * WebSocket vive en el proceso principal (electron/remote.cjs) y solo escucha
+ * mientras está activado; aquí quedan los ajustes y el acceso al puente.
+ */
+
+const REMOTE_KEY = "metronome-remote-v1";
+
+export const DEFAULT_REMOTE_SETTINGS = { enabled: false, port: 8730 };
+
+export function normalizeRemoteSettings(raw) {
+  const port = Math.round(Number(raw?.port));
+  return {
+    enabled: Boolean(raw?.enabled ?? DEFAULT_REMOTE_SETTINGS.enabled),
+    port: Number.isFinite(port) ? clamp(port, 1024, 65535) : DEFAULT_REMOTE_SETTINGS.port,
+  };
+}
+
+export function readRemoteSettings() {
+  if (typeof window === "undefined") return normalizeRemoteSettings(null);
+  try {
+    return normalizeRemoteSettings(JSON.parse(window.localStorage.getItem(REMOTE_KEY) ?? "null"));
+  } catch {
+    return normalizeRemoteSettings(null);
+  }
+}
+
+// Solo se guarda el puerto: el servidor nunca vuelve a escuchar solo al abrir la app.
+export function writeRemoteSettings(settings) {
+  if (typeof window === "undefined") return;
+  window.localStorage.setItem(REMOTE_KEY, JSON.stringify({ port: settings.port }));
+}
+
+// Puente del preload con el mando, o null fuera de la app de escritorio.
+export function getRemoteBridge() {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  return desktop?.configureRemote ? desktop : null;
+}
+
+// Pruebas mínimas de los ajustes del mando (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const settings = normalizeRemoteSettings({ enabled: 1, port: "70000" });
+  console.assert(settings.enabled === true && settings.port === 65535, "falló normalizeRemoteSettings");
+  console.assert(normalizeRemoteSettings(null).port === 8730, "falló el puerto por defecto");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,263 @@
+import { normalizeConfig } from "./config.js";
+import { createMetronomeEngine } from "./engine.js";
+import { createVoiceBank } from "./voices.js";
+
+/**
+ * Exportación offline de la pista de clic. El mismo motor que suena en vivo
+ * recorre la línea de tiempo con un reloj manual; los clics se reproducen
+ * después en un OfflineAudioContext y el resultado se codifica como WAV.
+ */
+
+export const RENDER_SAMPLE_RATES = [44100, 48000, 88200, 96000];
+export const RENDER_BIT_DEPTHS = [16, 24];
+export const RENDER_LENGTH_UNITS = ["bars", "seconds"];
+export const MAX_RENDER_SECONDS = 60 * 60;
+// El AudioBuffer (Float32) y el WAV se crean enteros en memoria: unos 170 MB y
+// 130 MB con este tope, que son 15 min a 48 kHz o 7 min 30 s a 96 kHz.
+export const MAX_RENDER_FRAMES = 48000 * 60 * 15;
+
+const RENDER_STEP = 0.05;
+// Ganancia maestra de la exportación: más alta que en vivo, con margen para capas superpuestas.
+const RENDER_GAIN = 0.8;
+
+export function getMaxRenderSeconds(sampleRate) {
+  return Math.floor(MAX_RENDER_FRAMES / sampleRate);
+}
+
+const formatMinutes = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return rest ? `${minutes} min ${rest} s` : `${minutes} min`;
+};
+
+// Mensaje para una pista WAV más larga de lo que cabe en memoria a esa frecuencia.
+export function getRenderLengthError(duration, sampleRate) {
+  const max = getMaxRenderSeconds(sampleRate);
+  if (duration <= max) return null;
+  return (
+    `A ${(sampleRate / 1000).toLocaleString("es")} kHz la pista WAV puede durar como mucho ` +
+    `${formatMinutes(max)}. Acórtala o baja la frecuencia de muestreo.`
+  );
+}
+
+/**
+ * error es el motivo por el que no se puede exportar el WAV con esta duración
+ * en segundos (en compases la duración se conoce al renderizar), o null.
+ */
+export function normalizeRenderOptions(raw) {
+  const pick = (list, value, fallback) => (list.includes(value) ? value : fallback);
+  const unit = pick(RENDER_LENGTH_UNITS, raw?.unit, "bars");
+  const sampleRate = pick(RENDER_SAMPLE_RATES, Number(raw?.sampleRate), 48000);
+  const length = Math.min(
+    Math.max(1, Math.round(Number(raw?.length) || (unit === "bars" ? 16 : 60))),
+    unit === "bars" ? 9999 : MAX_RENDER_SECONDS
+  );
+  return {
+    sampleRate,
+    bitDepth: pick(RENDER_BIT_DEPTHS, Number(raw?.bitDepth), 24),
+    unit,
+    length,
+    error: unit === "seconds" ? getRenderLengthError(length, sampleRate) : null,
+  };
+}
+
+/**
+ * Recorre el motor sin audio y devuelve { clicks: [{ time, click }], pulses, duration }.
+ * pulses = [{ time, barStart, bpm, ts, beatUnit }] describe cada pulso (cuenta previa
+ * incluida) con la configuración vigente, para reconstruir el mapa de tempo. En compases, la pista acaba en la barra que sigue al último compás; una
+ * canción sin bucle o una rampa con "detener" pueden acabarla antes.
+ */
+export function collectClicks(config, { song = null, unit = "bars", length = 16 } = {}) {
+  let time = 0;
+  let endTime = unit === "seconds" ? length : null;
+  const clicks = [];
+  const pulses = [];
+  const addPulse = (at, beatIndex) => {
+    const { bpm, ts, beatUnit } = engine.getConfig();
+    pulses.push({ time: at, barStart: beatIndex === 0, bpm, ts, beatUnit });
+  };
+  const engine = createMetronomeEngine({
+    clock: { start: () => {}, stop: () => {} },
+    now: () => time,
+    config: normalizeConfig(config),
+    scheduleClick: (at, click) => clicks.push({ time: at, click }),
+    onBeat: ({ time: at, beatIndex }) => addPulse(at, beatIndex),
+    onCountIn: ({ time: at, beatIndex }) => addPulse(at, beatIndex),
+    onBar: ({ time: at, bar }) => {
+      if (unit === "bars" && bar === length + 1) endTime = at;
+    },
+    onSongEnd: ({ time: at }) => {
+      endTime = Math.min(endTime ?? at, at);
+    },
+    onTrainingComplete: ({ time: at, stopped }) => {
+      if (stopped) endTime = Math.min(endTime ?? at, at);
+    },
+  });
+  engine.setSong(song);
+  engine.start(0);
+  while (engine.isRunning() && (endTime === null || time < endTime) && time < MAX_RENDER_SECONDS) {
+    engine.tick();
+    time += RENDER_STEP;
+  }
+  engine.stop();
+  const duration = Math.min(endTime ?? time, MAX_RENDER_SECONDS);
+  return {
+    clicks: clicks.filter((entry) => entry.time < duration - 1e-9),
+    pulses: pulses.filter((pulse) => pulse.time < duration - 1e-9),
+    duration,
+  };
+}
+
+/**
+ * Renderiza la pista a un AudioBuffer mono; lanza RangeError (con un mensaje
+ * para el usuario) si dura más de lo que permite MAX_RENDER_FRAMES. samples = [{ id, arrayBuffer }] con
+ * las muestras de usuario y de voz que deban sonar igual que en vivo.
+ */
+export async function renderClickTrack(config, options = {}, samples = []) {
+  const { sampleRate, unit, length } = normalizeRenderOptions(options);
+  const { clicks, duration } = collectClicks(config, { song: options.song ?? null, unit, length });
+  const lengthError = getRenderLengthError(duration, sampleRate);
+  if (lengthError) throw new RangeError(lengthError);
+  const context = new OfflineAudioContext(1, Math.max(1, Math.ceil(duration * sampleRate)), sampleRate);
+  const master = context.createGain();
+  master.gain.value = RENDER_GAIN * (normalizeConfig(config).volume / 100);
+  master.connect(context.destination);
+  const bank = createVoiceBank(context);
+  for (const sample of samples) {
+    try {
+      // decodeAudioData se queda con el búfer: se le pasa una copia.
+      await bank.loadUserSample(sample.id, sample.arrayBuffer.slice(0));
+    } catch {
+      // Igual que en vivo: una muestra dañada suena con la voz clásica.
+    }
+  }
+  for (const { time, click } of clicks) {
+    bank.play(master, time, click);
+  }
+  return context.startRendering();
+}
+
+// channels: Float32Array por canal, todos de la misma longitud. PCM entero little-endian.
+export function encodeWav(channels, sampleRate, bitDepth = 24) {
+  const bytesPerSample = bitDepth / 8;
+  const frames = channels[0]?.length ?? 0;
+  const blockAlign = channels.length * bytesPerSample;
+  const dataSize = frames * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i += 1) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+  writeText(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeText(8, "WAVE");
+  writeText(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeText(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const max = 2 ** (bitDepth - 1) - 1;
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame += 1) {
+    for (const channel of channels) {
+      const sample = Math.round(Math.max(-1, Math.min(1, channel[frame])) * max);
+      if (bitDepth === 16) {
+        view.setInt16(offset, sample, true);
+      } else {
+        view.setUint8(offset, sample & 0xff);
+        view.setUint8(offset + 1, (sample >> 8) & 0xff);
+        view.setUint8(offset + 2, (sample >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return buffer;
+}
+
+export function audioBufferToWav(audioBuffer, bitDepth = 24) {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) =>
+    audioBuffer.getChannelData(i)
+  );
+  return encodeWav(channels, audioBuffer.sampleRate, bitDepth);
+}
+
+// Pruebas mínimas de la exportación (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const bars = collectClicks({ bpm: 120, ts: "4/4", subdivision: "1/4" }, { unit: "bars", length: 2 });
+  console.assert(bars.duration === 4 && bars.clicks.length === 8, "falló la duración en compases");
+  const seconds = collectClicks(
+    { bpm: 120, ts: "4/4", subdivision: "1/8", swing: 50 },
+    { unit: "seconds", length: 1 }
+  );
+  console.assert(
+    seconds.duration === 1 && Math.abs(seconds.clicks[1].time - 0.3125) < 1e-9,
+    "falló el swing en la exportación"
+  );
+  const ramp = collectClicks(
+    {
+      bpm: 60,
+      ts: "1/4",
+      subdivision: "1/4",
+      training: {
+        enabled: true,
+        startBpm: 60,
+        targetBpm: 120,
+        curve: "linear",
+        length: 2,
+        onComplete: "stop",
+      },
+    },
+    { unit: "bars", length: 10 }
+  );
+  console.assert(
+    ramp.clicks.length === 2 && Math.abs(ramp.duration - 5 / 3) < 1e-9,
+    "falló la rampa en la exportación"
+  );
+
+  const wav16 = new DataView(encodeWav([new Float32Array([0, 1, -1])], 44100, 16));
+  console.assert(
+    wav16.byteLength === 50 && wav16.getUint32(40, true) === 6,
+    "falló el tamaño del WAV de 16 bits"
+  );
+  console.assert(
+    wav16.getInt16(46, true) === 32767 && wav16.getInt16(48, true) === -32767,
+    "falló PCM de 16 bits"
+  );
+  const wav24 = new DataView(encodeWav([new Float32Array([0.5]), new Float32Array([-1])], 48000, 24));
+  console.assert(
+    wav24.getUint16(22, true) === 2 &&
+      wav24.getUint16(32, true) === 6 &&
+      wav24.getUint32(28, true) === 288000,
+    "falló la cabecera del WAV de 24 bits"
+  );
+  const left = wav24.getUint8(44) | (wav24.getUint8(45) << 8) | (wav24.getInt8(46) << 16);
+  const right = wav24.getUint8(47) | (wav24.getUint8(48) << 8) | (wav24.getInt8(49) << 16);
+  console.assert(left === 4194304 && right === -8388607, "falló PCM de 24 bits");
+  const options = normalizeRenderOptions({ sampleRate: 22050, bitDepth: 8, unit: "seconds" });
+  console.assert(
+    options.sampleRate === 48000 && options.bitDepth === 24 && options.length === 60 && options.error === null,
+    "falló normalizeRenderOptions"
+  );
+  const long = normalizeRenderOptions({ sampleRate: 96000, unit: "seconds", length: 3600 });
+  console.assert(
+    long.length === 3600 && long.error?.includes("7 min 30 s"),
+    "falló el límite de duración a 96 kHz"
+  );
+  console.assert(
+    normalizeRenderOptions({ sampleRate: 48000, unit: "seconds", length: 900 }).error === null,
+    "falló el límite de duración a 48 kHz"
+  );
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
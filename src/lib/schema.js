@@ -0,0 +1,299 @@
+import { normalizeConfig, normalizeAccentLevel } from "./config.js";
+import { normalizePreset } from "./presets.js";
+import { normalizeSetlist, normalizeSong } from "./song.js";
+
+/**
+ * Archivos .metronome.json: versión del formato, cadena de migraciones y
+ * validación campo a campo. Un archivo puede llevar una configuración, un lote
+ * de preajustes, canciones y repertorios, o todo a la vez:
+ *
+ *   { format: "metronome", version: 2, config?, presets?, songs?, setlists? }
+ *
+ * Al importar, cada valor que se rechaza o se ajusta queda en issues con su
+ * ruta ("config.ts", "presets[2].config.bpm"…) para poder explicarlo.
+ */
+
+export const CONFIG_FILE_FORMAT = "metronome";
+export const CONFIG_FILE_VERSION = 2;
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Versión 1 y anteriores: acentos booleanos y una sola capa de polirritmo en polyBeats/….
+function migrateLegacyConfig(config) {
+  if (!isObject(config)) return config;
+  const { polyBeats, polySubdivision, polyVolume, ...rest } = config;
+  const next = { ...rest };
+  if (Array.isArray(config.accents)) {
+    next.accents = config.accents.map((level) => (typeof level === "boolean" ? normalizeAccentLevel(level) : level));
+  }
+  if (isObject(config.voices) && "poly" in config.voices) {
+    const { poly, ...voices } = config.voices;
+    next.voices = voices;
+  }
+  const hasLegacyLayer = [polyBeats, polySubdivision, polyVolume, config.voices?.poly].some(
+    (value) => value !== undefined
+  );
+  if (!Array.isArray(config.polyLayers) && hasLegacyLayer) {
+    const layer = { beats: polyBeats, subdivision: polySubdivision, volume: polyVolume, voice: config.voices?.poly };
+    next.polyLayers = [Object.fromEntries(Object.entries(layer).filter(([, value]) => value !== undefined))];
+  }
+  return next;
+}
+
+/**
+ * MIGRATIONS[n] convierte un archivo de la versión n a la n + 1. La versión 0 es
+ * una configuración suelta, sin envoltorio; la 1, { version: 1, config }.
+ */
+const MIGRATIONS = [
+  (config) => ({ version: 1, config }),
+  (file) => ({ format: CONFIG_FILE_FORMAT, version: 2, config: migrateLegacyConfig(file.config) }),
+];
+
+export function getFileVersion(raw) {
+  if (Number.isInteger(raw?.version) && raw.version >= 1) return raw.version;
+  return isObject(raw?.config) ? 1 : 0;
+}
+
+// Lleva el archivo a CONFIG_FILE_VERSION; falla si es de una versión más nueva.
+export function migrateConfigFile(raw) {
+  if (!isObject(raw)) throw new Error("El archivo no contiene una configuración del metrónomo.");
+  if (raw.format !== undefined && raw.format !== CONFIG_FILE_FORMAT) {
+    throw new Error("El archivo no es del metrónomo.");
+  }
+  const version = getFileVersion(raw);
+  if (version > CONFIG_FILE_VERSION) {
+    throw new Error(`El archivo es de una versión más nueva (v${version}); actualiza la aplicación.`);
+  }
+  let file = raw;
+  for (let step = version; step < CONFIG_FILE_VERSION; step += 1) file = MIGRATIONS[step](file);
+  return { file, version };
+}
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+const isSameText = (a, b) => typeof a === "string" && typeof b === "string" && a.replace(/\s+/g, "") === b;
+
+/**
+ * Compara el valor leído con el normalizado y apunta cada diferencia:
+ * "adjusted" (número fuera de rango), "replaced" (valor no válido),
+ * "resized" (lista con otra longitud) o "ignored" (campo desconocido).
+ * Los campos ausentes toman su valor por defecto sin aviso.
+ */
+function collectIssues(raw, value, path, issues, skip = []) {
+  if (raw === undefined) return;
+  if (Array.isArray(value)) {
+    if (!Array.isArray(raw)) {
+      issues.push({ path, kind: "replaced", from: raw, to: value });
+      return;
+    }
+    if (raw.length !== value.length) issues.push({ path, kind: "resized", from: raw.length, to: value.length });
+    value.forEach((item, i) => collectIssues(raw[i], item, `${path}[${i}]`, issues));
+    return;
+  }
+  if (isObject(value)) {
+    if (!isObject(raw)) {
+      issues.push({ path, kind: "replaced", from: raw, to: value });
+      return;
+    }
+    for (const key of Object.keys(raw)) {
+      if (!(key in value) && !skip.includes(key)) issues.push({ path: joinPath(path, key), kind: "ignored", from: raw[key] });
+    }
+    for (const key of Object.keys(value)) {
+      if (!skip.includes(key)) collectIssues(raw[key], value[key], joinPath(path, key), issues);
+    }
+    return;
+  }
+  if (Object.is(raw, value) || isSameText(raw, value)) return;
+  const kind = typeof raw === "number" && typeof value === "number" ? "adjusted" : "replaced";
+  issues.push({ path, kind, from: raw, to: value });
+}
+
+export function validateConfig(raw, path = "config") {
+  const config = normalizeConfig(raw);
+  const issues = [];
+  collectIssues(raw, config, path, issues);
+  return { config, issues };
+}
+
+// Los ids y las fechas se regeneran al importar; no cuentan como cambios.
+const ENTITY_SKIP = ["id", "createdAt", "updatedAt"];
+
+function readPresets(raw, issues, now) {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) {
+    issues.push({ path: "presets", kind: "replaced", from: raw, to: [] });
+    return [];
+  }
+  return raw.map((item, i) => {
+    const preset = normalizePreset({ ...(isObject(item) ? item : {}), id: null }, now);
+    collectIssues(item, preset, `presets[${i}]`, issues, ENTITY_SKIP);
+    return preset;
+  });
+}
+
+// Canciones con ids nuevos; los repertorios se reescriben con ellos.
+function readSongs(rawSongs, rawSetlists, issues) {
+  const ids = new Map();
+  const songs = [];
+  if (rawSongs !== undefined && !Array.isArray(rawSongs)) {
+    issues.push({ path: "songs", kind: "replaced", from: rawSongs, to: [] });
+  }
+  (Array.isArray(rawSongs) ? rawSongs : []).forEach((item, i) => {
+    const song = normalizeSong({ ...(isObject(item) ? item : {}), id: null });
+    if (typeof item?.id === "string") ids.set(item.id, song.id);
+    collectIssues(item, song, `songs[${i}]`, issues, ENTITY_SKIP);
+    songs.push(song);
+  });
+  if (rawSetlists !== undefined && !Array.isArray(rawSetlists)) {
+    issues.push({ path: "setlists", kind: "replaced", from: rawSetlists, to: [] });
+  }
+  const setlists = (Array.isArray(rawSetlists) ? rawSetlists : []).map((item, i) => {
+    const rawIds = Array.isArray(item?.songIds) ? item.songIds : [];
+    const setlist = normalizeSetlist(
+      { ...(isObject(item) ? item : {}), id: null, songIds: rawIds.map((id) => ids.get(id)) },
+      [...ids.values()]
+    );
+    collectIssues(item, setlist, `setlists[${i}]`, issues, [...ENTITY_SKIP, "songIds"]);
+    const missing = rawIds.length - setlist.songIds.length;
+    if (missing > 0) issues.push({ path: `setlists[${i}].songIds`, kind: "removed", from: missing, to: null });
+    return setlist;
+  });
+  return { songs, setlists };
+}
+
+const FILE_KEYS = ["format", "version", "exportedAt", "config", "presets", "songs", "setlists"];
+
+/**
+ * Lee el texto de un archivo .metronome.json de cualquier versión. Lanza un
+ * Error con un mensaje para el usuario si no se puede usar; si no, devuelve
+ * { version, config | null, presets, songs, setlists, issues }.
+ */
+export function readConfigFile(text, now = new Date().toISOString()) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("El archivo no es JSON válido.");
+  }
+  const { file, version } = migrateConfigFile(raw);
+  const issues = [];
+  for (const key of Object.keys(file)) {
+    if (!FILE_KEYS.includes(key)) issues.push({ path: key, kind: "ignored", from: file[key] });
+  }
+  const validated = file.config === undefined ? null : validateConfig(file.config);
+  if (validated) issues.push(...validated.issues);
+  const presets = readPresets(file.presets, issues, now);
+  const { songs, setlists } = readSongs(file.songs, file.setlists, issues);
+  if (!validated && presets.length === 0 && songs.length === 0 && setlists.length === 0) {
+    throw new Error("El archivo no contiene ni configuración, ni preajustes, ni canciones.");
+  }
+  return { version, config: validated?.config ?? null, presets, songs, setlists, issues };
+}
+
+// Archivo en la versión actual con las partes que se pasen.
+export function createConfigFile({ config, presets, songs, setlists }, now = new Date().toISOString()) {
+  return {
+    format: CONFIG_FILE_FORMAT,
+    version: CONFIG_FILE_VERSION,
+    exportedAt: now,
+    ...(config ? { config } : {}),
+    ...(presets ? { presets } : {}),
+    ...(songs ? { songs } : {}),
+    ...(setlists ? { setlists } : {}),
+  };
+}
+
+const formatValue = (value) => {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+};
+
+// Texto de un aviso de importación, p. ej. 'config.ts: se rechazó "4/5" y se usó "4/4"'.
+export function formatIssue({ path, kind, from, to }) {
+  switch (kind) {
+    case "adjusted":
+      return `${path}: ${from} está fuera de rango; se ajustó a ${to}`;
+    case "resized":
+      return `${path}: tenía ${from} elementos; se ajustó a ${to}`;
+    case "ignored":
+      return `${path}: campo desconocido; se ignoró`;
+    case "removed":
+      return `${path}: se quitaron ${from} canciones que no están en el archivo`;
+    default:
+      return `${path}: se rechazó ${formatValue(from)} y se usó ${formatValue(to)}`;
+  }
+}
+
+// Pruebas mínimas del formato de archivo (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const now = "2026-01-01T00:00:00.000Z";
+  const legacy = readConfigFile(
+    JSON.stringify({
+      version: 1,
+      config: { bpm: 400, ts: "4/5", accents: [true, false], polyBeats: 5, voices: { accent: "clave", poly: "cowbell" } },
+    }),
+    now
+  );
+  console.assert(legacy.version === 1 && legacy.config.bpm === 300, "falló la lectura de la versión 1");
+  console.assert(
+    legacy.config.polyLayers[0].beats === 5 && legacy.config.polyLayers[0].voice === "cowbell",
+    "falló la migración de la capa de polirritmo"
+  );
+  const paths = legacy.issues.map((issue) => `${issue.path}:${issue.kind}`);
+  console.assert(
+    paths.includes("config.bpm:adjusted") && paths.includes("config.ts:replaced"),
+    "falló la validación por campo"
+  );
+  console.assert(
+    !paths.some((path) => path.startsWith("config.polyBeats") || path.startsWith("config.voices.poly")),
+    "falló la migración sin avisos"
+  );
+  console.assert(
+    formatIssue(legacy.issues.find((issue) => issue.path === "config.ts")) ===
+      'config.ts: se rechazó "4/5" y se usó "4/4"',
+    "falló formatIssue"
+  );
+
+  const bare = readConfigFile(JSON.stringify({ bpm: 90, ts: " 3 / 4" }), now);
+  console.assert(bare.version === 0 && bare.config.ts === "3/4" && bare.issues.length === 0, "falló la versión 0");
+
+  const bundle = readConfigFile(
+    JSON.stringify(
+      createConfigFile(
+        {
+          presets: [{ id: "p", name: "Lento", config: { bpm: 60 } }, { name: "Raro", config: { swing: 99 } }],
+          songs: [{ id: "song:a", name: "A", sections: [{ bars: 2 }] }],
+          setlists: [{ name: "Gira", songIds: ["song:a", "song:b"] }],
+        },
+        now
+      )
+    ),
+    now
+  );
+  console.assert(bundle.config === null && bundle.presets.length === 2, "falló el lote de preajustes");
+  console.assert(bundle.presets[0].id !== "p", "falló el id nuevo del preajuste");
+  console.assert(bundle.setlists[0].songIds[0] === bundle.songs[0].id, "falló el repertorio del lote");
+  console.assert(
+    bundle.issues.some((issue) => issue.path === "presets[1].config.swing" && issue.kind === "adjusted") &&
+      bundle.issues.some((issue) => issue.path === "setlists[0].songIds" && issue.from === 1),
+    "falló la validación del lote"
+  );
+
+  const rejects = (text) => {
+    try {
+      readConfigFile(text, now);
+      return false;
+    } catch {
+      return true;
+    }
+  };
+  console.assert(rejects("{roto") && rejects("[1]"), "falló el archivo no válido");
+  console.assert(rejects(JSON.stringify({ format: "metronome", version: 9, config: {} })), "falló la versión futura");
+  console.assert(rejects(JSON.stringify({ format: "metronome", version: 2 })), "falló el archivo vacío");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
@@ -0,0 +1,209 @@
+/**
+ * Atajos globales (solo escritorio): funcionan aunque el panel esté oculto. El
+ * proceso principal los registra en el sistema (electron/shortcuts.cjs) y avisa
+ * de cada uno que no pudo registrar; aquí quedan las acciones, los ajustes y la
+ * conversión de teclas a aceleradores de Electron.
+ */
+
+const SHORTCUTS_KEY = "metronome-shortcuts-v1";
+
+// Mismo orden y mismos ids que SHORTCUT_ACTIONS en electron/shortcuts.cjs.
+export const SHORTCUT_ACTIONS = [
+  { id: "toggle", label: "Iniciar / detener" },
+  { id: "tap", label: "Marcar tempo" },
+  { id: "bpmUp1", label: "BPM +1" },
+  { id: "bpmDown1", label: "BPM −1" },
+  { id: "bpmUp5", label: "BPM +5" },
+  { id: "bpmDown5", label: "BPM −5" },
+  { id: "nextPreset", label: "Preajuste siguiente" },
+  { id: "previousPreset", label: "Preajuste anterior" },
+  { id: "nextSection", label: "Sección siguiente" },
+];
+
+export const DEFAULT_SHORTCUTS = {
+  enabled: true,
+  bindings: {
+    toggle: "CommandOrControl+Alt+Space",
+    tap: "CommandOrControl+Alt+T",
+    bpmUp1: "CommandOrControl+Alt+Up",
+    bpmDown1: "CommandOrControl+Alt+Down",
+    bpmUp5: "CommandOrControl+Alt+Shift+Up",
+    bpmDown5: "CommandOrControl+Alt+Shift+Down",
+    nextPreset: "CommandOrControl+Alt+Right",
+    previousPreset: "CommandOrControl+Alt+Left",
+    nextSection: "CommandOrControl+Alt+N",
+  },
+};
+
+// Atajos del propio panel: registrados como globales, el panel dejaría de recibirlos.
+const PANEL_SHORTCUTS = ["1", "2", "3", "4", "E", "I", "T"].flatMap((key) => [
+  `CommandOrControl+${key}`,
+  `CommandOrControl+Shift+${key}`,
+]);
+
+const MODIFIERS = ["CommandOrControl", "Alt", "Shift"];
+
+const CODE_KEYS = {
+  Space: "Space",
+  ArrowUp: "Up",
+  ArrowDown: "Down",
+  ArrowLeft: "Left",
+  ArrowRight: "Right",
+  Enter: "Enter",
+  Tab: "Tab",
+  Home: "Home",
+  End: "End",
+  PageUp: "PageUp",
+  PageDown: "PageDown",
+  Insert: "Insert",
+  Minus: "-",
+  Equal: "=",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+  Semicolon: ";",
+  Quote: "'",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Backslash: "\\",
+  Backquote: "`",
+  NumpadAdd: "numadd",
+  NumpadSubtract: "numsub",
+  NumpadMultiply: "nummult",
+  NumpadDivide: "numdiv",
+  NumpadDecimal: "numdec",
+};
+
+const KEY_LABELS = {
+  CommandOrControl: "Ctrl/⌘",
+  Alt: "Alt/⌥",
+  Shift: "⇧",
+  Space: "Espacio",
+  Up: "↑",
+  Down: "↓",
+  Left: "←",
+  Right: "→",
+};
+
+// Tecla principal por posición física (event.code), para no depender de la distribución.
+const getKeyName = (code) => {
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (/^Numpad\d$/.test(code)) return `num${code.slice(6)}`;
+  if (/^F([1-9]|1\d|2[0-4])$/.test(code)) return code;
+  return CODE_KEYS[code] ?? null;
+};
+
+/**
+ * Acelerador de Electron para una pulsación, o null si solo hay modificadores o
+ * falta alguno: sin modificador, un atajo global robaría la tecla a todo el sistema
+ * (salvo las teclas de función).
+ */
+export function toAccelerator(event) {
+  const key = getKeyName(event.code ?? "");
+  if (!key) return null;
+  const modifiers = [
+    event.ctrlKey || event.metaKey ? "CommandOrControl" : null,
+    event.altKey ? "Alt" : null,
+    event.shiftKey ? "Shift" : null,
+  ].filter(Boolean);
+  if (modifiers.length === 0 && !/^F\d+$/.test(key)) return null;
+  if (modifiers.length === 1 && modifiers[0] === "Shift" && !/^F\d+$/.test(key)) return null;
+  return [...modifiers, key].join("+");
+}
+
+export function formatAccelerator(accelerator) {
+  if (!accelerator) return "Sin asignar";
+  return accelerator
+    .split("+")
+    .map((part) => KEY_LABELS[part] ?? part)
+    .join(" + ");
+}
+
+const isAccelerator = (value) => {
+  if (typeof value !== "string" || value.length > 64) return false;
+  const parts = value.split("+");
+  const key = parts.pop();
+  return Boolean(key) && !MODIFIERS.includes(key) && parts.every((part) => MODIFIERS.includes(part));
+};
+
+export function normalizeShortcuts(raw) {
+  const bindings = {};
+  for (const { id } of SHORTCUT_ACTIONS) {
+    const value = raw?.bindings?.[id];
+    // "" deja la acción sin atajo; un valor ausente o no válido vuelve al de fábrica.
+    bindings[id] = value === "" || isAccelerator(value) ? value : DEFAULT_SHORTCUTS.bindings[id];
+  }
+  return { enabled: Boolean(raw?.enabled ?? DEFAULT_SHORTCUTS.enabled), bindings };
+}
+
+export function readShortcuts() {
+  if (typeof window === "undefined") return normalizeShortcuts(null);
+  try {
+    return normalizeShortcuts(JSON.parse(window.localStorage.getItem(SHORTCUTS_KEY) ?? "null"));
+  } catch {
+    return normalizeShortcuts(null);
+  }
+}
+
+export function writeShortcuts(settings) {
+  if (typeof window === "undefined") return;
+  window.localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Choques detectables antes de registrar: { [acción]: motivo } con "duplicate"
+ * (otra acción ya usa la combinación) o "panel" (tapa un atajo del panel).
+ */
+export function findShortcutConflicts(bindings) {
+  const conflicts = {};
+  const seen = new Set();
+  for (const { id } of SHORTCUT_ACTIONS) {
+    const accelerator = bindings[id];
+    if (!accelerator) continue;
+    if (PANEL_SHORTCUTS.includes(accelerator)) {
+      conflicts[id] = "panel";
+    } else if (seen.has(accelerator)) {
+      conflicts[id] = "duplicate";
+    }
+    seen.add(accelerator);
+  }
+  return conflicts;
+}
+
+// Puente del preload con los atajos globales, o null fuera de la app de escritorio.
+export function getShortcutsBridge() {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  return desktop?.configureShortcuts ? desktop : null;
+}
+
+// Pruebas mínimas de los atajos (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  console.assert(
+    toAccelerator({ code: "KeyK", metaKey: true, shiftKey: true }) === "CommandOrControl+Shift+K",
+    "falló toAccelerator"
+  );
+  console.assert(toAccelerator({ code: "KeyK" }) === null, "falló la tecla sin modificador");
+  console.assert(toAccelerator({ code: "ShiftLeft", shiftKey: true }) === null, "falló el modificador solo");
+  console.assert(toAccelerator({ code: "F5" }) === "F5", "falló la tecla de función");
+  const settings = normalizeShortcuts({ bindings: { tap: "", toggle: "Alt+Alt", bpmUp1: "F6" } });
+  console.assert(
+    settings.bindings.tap === "" &&
+      settings.bindings.toggle === DEFAULT_SHORTCUTS.bindings.toggle &&
+      settings.bindings.bpmUp1 === "F6",
+    "falló normalizeShortcuts"
+  );
+  const conflicts = findShortcutConflicts({ ...settings.bindings, bpmDown1: "F6", nextSection: "CommandOrControl+E" });
+  console.assert(
+    conflicts.bpmDown1 === "duplicate" && conflicts.nextSection === "panel" && !conflicts.bpmUp1,
+    "falló findShortcutConflicts"
+  );
+  console.assert(formatAccelerator("CommandOrControl+Alt+Up") === "Ctrl/⌘ + Alt/⌥ + ↑", "falló formatAccelerator");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
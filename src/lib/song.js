@@ -0,0 +1,128 @@
+import { clamp, normalizeConfig } from "./config.js";
+
+/**
+ * Canciones y repertorios. Una canción es una lista ordenada de secciones; cada
+ * sección guarda una configuración completa (forma de normalizeConfig) y cuántos
+ * compases dura. Un repertorio (setlist) ordena canciones por id.
+ */
+
+const SONGS_KEY = "metronome-songs-v1";
+export const MAX_SECTION_BARS = 999;
+
+export function createSongId(prefix = "song") {
+  return `${prefix}:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function normalizeSection(raw, index = 0) {
+  return {
+    name: typeof raw?.name === "string" ? raw.name : `Sección ${index + 1}`,
+    bars: clamp(Math.round(Number(raw?.bars)) || 4, 1, MAX_SECTION_BARS),
+    config: normalizeConfig(raw?.config),
+  };
+}
+
+export function normalizeSong(raw) {
+  const sections = Array.isArray(raw?.sections) && raw.sections.length > 0 ? raw.sections : [{}];
+  return {
+    id: typeof raw?.id === "string" && raw.id ? raw.id : createSongId(),
+    name: typeof raw?.name === "string" ? raw.name : "Canción sin título",
+    loop: Boolean(raw?.loop ?? false),
+    sections: sections.map((section, i) => normalizeSection(section, i)),
+  };
+}
+
+export function normalizeSetlist(raw, songIds = null) {
+  const ids = Array.isArray(raw?.songIds) ? raw.songIds.filter((id) => typeof id === "string") : [];
+  return {
+    id: typeof raw?.id === "string" && raw.id ? raw.id : createSongId("setlist"),
+    name: typeof raw?.name === "string" ? raw.name : "Repertorio",
+    // Con songIds se descartan las referencias a canciones borradas.
+    songIds: songIds ? ids.filter((id) => songIds.includes(id)) : ids,
+  };
+}
+
+export function normalizeSongLibrary(raw) {
+  const songs = Array.isArray(raw?.songs) ? raw.songs.map((song) => normalizeSong(song)) : [];
+  const songIds = songs.map((song) => song.id);
+  const setlists = Array.isArray(raw?.setlists)
+    ? raw.setlists.map((setlist) => normalizeSetlist(setlist, songIds))
+    : [];
+  return { songs, setlists };
+}
+
+export function getSongLength(song) {
+  return song.sections.reduce((total, section) => total + section.bars, 0);
+}
+
+/**
+ * Posición tras el compás { sectionIndex, bar } (bar = -1 antes de empezar).
+ * Una sección en bucle se repite; al final de la canción vuelve al inicio si
+ * song.loop o devuelve null.
+ */
+export function getNextSongPosition(song, position, loopSection = null) {
+  let sectionIndex = position.sectionIndex;
+  let bar = position.bar + 1;
+  if (bar >= song.sections[sectionIndex].bars) {
+    bar = 0;
+    if (loopSection !== sectionIndex) sectionIndex += 1;
+  }
+  if (sectionIndex >= song.sections.length) {
+    if (!song.loop) return null;
+    sectionIndex = 0;
+  }
+  return { sectionIndex, bar };
+}
+
+export function readSongLibrary() {
+  if (typeof window === "undefined") return normalizeSongLibrary(null);
+  try {
+    return normalizeSongLibrary(JSON.parse(window.localStorage.getItem(SONGS_KEY) ?? "null"));
+  } catch {
+    return normalizeSongLibrary(null);
+  }
+}
+
+export function writeSongLibrary(library) {
+  if (typeof window === "undefined") return;
+  window.localStorage.setItem(SONGS_KEY, JSON.stringify(library));
+}
+
+// Pruebas mínimas del modelo de canciones (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  const song = normalizeSong({
+    name: "Prueba",
+    sections: [
+      { name: "Intro", bars: 2, config: { bpm: 92 } },
+      { bars: 1, config: { ts: "7/8" } },
+    ],
+  });
+  console.assert(song.sections[1].name === "Sección 2", "falló el nombre por defecto de la sección");
+  console.assert(song.sections[0].config.bpm === 92 && getSongLength(song) === 3, "falló normalizeSong");
+  let position = { sectionIndex: 0, bar: -1 };
+  const visited = [];
+  for (let i = 0; i < 3; i += 1) {
+    position = getNextSongPosition(song, position);
+    visited.push(`${position.sectionIndex}:${position.bar}`);
+  }
+  console.assert(visited.join() === "0:0,0:1,1:0", "falló el avance por secciones");
+  console.assert(getNextSongPosition(song, position) === null, "falló el final de la canción");
+  console.assert(
+    getNextSongPosition({ ...song, loop: true }, position).sectionIndex === 0,
+    "falló el bucle de la canción"
+  );
+  const looped = getNextSongPosition(song, { sectionIndex: 0, bar: 1 }, 0);
+  console.assert(looped.sectionIndex === 0 && looped.bar === 0, "falló el bucle de sección");
+
+  const library = normalizeSongLibrary({
+    songs: [{ id: "song:a" }],
+    setlists: [{ name: "Gira", songIds: ["song:a", "song:gone"] }],
+  });
+  console.assert(library.setlists[0].songIds.join() === "song:a", "falló la limpieza del repertorio");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
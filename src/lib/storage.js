@@ -0,0 +1,47 @@
+/**
+ * Documentos persistentes del panel (preajustes, última configuración). En la
+ * app de escritorio son archivos JSON en userData a través del preload
+ * (electron/storage.cjs); en el navegador siguen en localStorage. La primera vez
+ * que el escritorio no encuentra el archivo, se migra lo que hubiera en
+ * localStorage y se borra de allí.
+ */
+
+// Puente del preload con los documentos, o null fuera de la app de escritorio.
+export function getStorageBridge() {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  return desktop?.readDocument ? desktop : null;
+}
+
+const readLocal = (localKey) => {
+  if (typeof window === "undefined") return null;
+  const stored = window.localStorage.getItem(localKey);
+  if (!stored) return null;
+  try {
+    return JSON.parse(stored);
+  } catch {
+    window.localStorage.removeItem(localKey);
+    return null;
+  }
+};
+
+// Valor guardado (ya interpretado) o null; name es el archivo y localKey la clave antigua.
+export async function readDocument(name, localKey) {
+  const bridge = getStorageBridge();
+  if (!bridge) return readLocal(localKey);
+  const stored = await bridge.readDocument(name);
+  if (stored !== null) return stored;
+  const legacy = readLocal(localKey);
+  if (legacy === null) return null;
+  await bridge.writeDocument(name, legacy);
+  window.localStorage.removeItem(localKey);
+  return legacy;
+}
+
+export async function writeDocument(name, localKey, value) {
+  const bridge = getStorageBridge();
+  if (bridge) {
+    await bridge.writeDocument(name, value);
+  } else if (typeof window !== "undefined") {
+    window.localStorage.setItem(localKey, JSON.stringify(value));
+  }
+}
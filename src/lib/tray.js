@@ -0,0 +1,11 @@
+/**
+ * Bandeja del sistema (solo escritorio). El proceso principal construye el menú
+ * y el título (electron/tray.cjs) con el estado y los pulsos que publica el panel;
+ * las órdenes del menú vuelven con la misma forma que las del mando.
+ */
+
+// Puente del preload con la bandeja, o null fuera de la app de escritorio.
+export function getTrayBridge() {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  return desktop?.sendTrayState ? desktop : null;
+}
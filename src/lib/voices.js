@@ -0,0 +1,248 @@
+import { DEFAULT_VOICE } from "./config.js";
+import { COUNT_VOICE_PREFIX } from "./count.js";
+
+/**
+ * Banco de sonidos de clic. Los sonidos integrados se sintetizan una vez como
+ * muestras (AudioBuffer); los del usuario se decodifican desde WAV/MP3.
+ * Funciona con cualquier BaseAudioContext, incluido OfflineAudioContext.
+ */
+
+const USER_SAMPLES_KEY = "metronome-user-samples-v1";
+export const MAX_USER_SAMPLE_BYTES = 512 * 1024;
+
+function noise() {
+  return Math.random() * 2 - 1;
+}
+
+// Recetas de síntesis: (t en segundos, índice de muestra) => valor sin normalizar.
+const BUILTIN_RECIPES = {
+  woodblock: {
+    length: 0.12,
+    render: (t) =>
+      Math.exp(-t / 0.022) *
+      (Math.sin(2 * Math.PI * 1020 * t) + 0.5 * Math.sin(2 * Math.PI * 1650 * t)),
+  },
+  cowbell: {
+    length: 0.35,
+    render: (t) =>
+      Math.exp(-t / 0.09) *
+      (Math.sign(Math.sin(2 * Math.PI * 587 * t)) + Math.sign(Math.sin(2 * Math.PI * 845 * t))),
+  },
+  rimshot: {
+    length: 0.1,
+    render: (t) =>
+      Math.exp(-t / 0.006) * noise() +
+      Math.exp(-t / 0.02) *
+        (Math.sin(2 * Math.PI * 1700 * t) + 0.6 * Math.sin(2 * Math.PI * 480 * t)),
+  },
+  hihat: {
+    length: 0.12,
+    render: (t) => Math.exp(-t / 0.025) * noise(),
+    highpass: true,
+  },
+  clave: {
+    length: 0.12,
+    render: (t) => Math.exp(-t / 0.035) * Math.sin(2 * Math.PI * 2500 * t),
+  },
+};
+
+export function synthesizeVoice(id, sampleRate) {
+  const recipe = BUILTIN_RECIPES[id];
+  if (!recipe) return null;
+  const length = Math.round(recipe.length * sampleRate);
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i += 1) {
+    data[i] = recipe.render(i / sampleRate);
+  }
+  if (recipe.highpass) {
+    // Diferencia de primer orden: deja solo el brillo del ruido.
+    for (let i = length - 1; i > 0; i -= 1) {
+      data[i] -= data[i - 1];
+    }
+  }
+  let peak = 0;
+  for (let i = 0; i < length; i += 1) {
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  if (peak > 0) {
+    for (let i = 0; i < length; i += 1) {
+      data[i] = (data[i] / peak) * 0.9;
+    }
+  }
+  return data;
+}
+
+export function createVoiceBank(context) {
+  const buffers = new Map();
+
+  const getBuffer = (id) => {
+    if (buffers.has(id)) return buffers.get(id);
+    const data = synthesizeVoice(id, context.sampleRate);
+    if (!data) return null;
+    const buffer = context.createBuffer(1, data.length, context.sampleRate);
+    buffer.copyToChannel(data, 0);
+    buffers.set(id, buffer);
+    return buffer;
+  };
+
+  const playOscillator = (destination, time, { accented, level, frequency, rate }) => {
+    const osc = context.createOscillator();
+    const gain = context.createGain();
+    osc.type = accented ? "square" : "triangle";
+    osc.frequency.setValueAtTime((frequency ?? (accented ? 1100 : 750)) * rate, time);
+
+    const attack = 0.003;
+    const decay = 0.06;
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime((accented ? 0.9 : 0.7) * level, time + attack);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+
+    osc.connect(gain);
+    gain.connect(destination);
+    osc.start(time);
+    osc.stop(time + decay + 0.02);
+  };
+
+  const play = (
+    destination,
+    time,
+    { voice = DEFAULT_VOICE, accented, intensity = 1, frequency, pitch = 0 }
+  ) => {
+    const level = Math.max(0, Math.min(1, intensity));
+    const rate = Math.pow(2, pitch / 12);
+    const buffer = voice === DEFAULT_VOICE ? null : getBuffer(voice);
+    // Una palabra del conteo sin muestra cargada no suena: no hay voz sintética.
+    if (!buffer && voice.startsWith(COUNT_VOICE_PREFIX)) return;
+    if (!buffer) {
+      playOscillator(destination, time, { accented, level, frequency, rate });
+      return;
+    }
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+    source.buffer = buffer;
+    source.playbackRate.setValueAtTime(rate, time);
+    gain.gain.setValueAtTime((accented ? 1 : 0.75) * level, time);
+    source.connect(gain);
+    gain.connect(destination);
+    source.start(time);
+  };
+
+  const loadUserSample = async (id, arrayBuffer) => {
+    const buffer = await context.decodeAudioData(arrayBuffer);
+    buffers.set(id, buffer);
+    return buffer;
+  };
+
+  return { play, loadUserSample, has: (id) => Boolean(getBuffer(id)) };
+}
+
+/**
+ * Muestras del usuario en IndexedDB ({ id, name, data: ArrayBuffer }): caben
+ * muchas más que en localStorage, que además las guardaba en base64. Si aun así
+ * no queda espacio, la escritura falla con un error que isStorageFullError reconoce.
+ */
+const SAMPLES_DATABASE = "metronome-samples";
+const SAMPLES_STORE = "samples";
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+function openSamplesDatabase() {
+  const request = window.indexedDB.open(SAMPLES_DATABASE, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(SAMPLES_STORE, { keyPath: "id" });
+  return requestToPromise(request);
+}
+
+async function withSamplesStore(mode, run) {
+  const database = await openSamplesDatabase();
+  try {
+    const transaction = database.transaction(SAMPLES_STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await run(transaction.objectStore(SAMPLES_STORE));
+    await done;
+    return result;
+  } finally {
+    database.close();
+  }
+}
+
+export function isStorageFullError(error) {
+  return error?.name === "QuotaExceededError";
+}
+
+async function dataUrlToArrayBuffer(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.arrayBuffer();
+}
+
+// Las versiones anteriores guardaban las muestras como data URL en localStorage.
+let legacyMigration = null;
+function migrateLegacySamples() {
+  legacyMigration ??= (async () => {
+    let legacy = [];
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(USER_SAMPLES_KEY) ?? "[]");
+      legacy = Array.isArray(parsed)
+        ? parsed.filter((entry) => typeof entry?.id === "string" && typeof entry?.dataUrl === "string")
+        : [];
+    } catch {
+      // Un valor dañado no se puede recuperar: se descarta.
+    }
+    if (legacy.length > 0) {
+      const samples = await Promise.all(
+        legacy.map(async ({ id, name, dataUrl }) => ({
+          id,
+          name: typeof name === "string" ? name : id,
+          data: await dataUrlToArrayBuffer(dataUrl),
+        }))
+      );
+      await withSamplesStore("readwrite", (store) =>
+        Promise.all(samples.map((sample) => requestToPromise(store.put(sample))))
+      );
+    }
+    window.localStorage.removeItem(USER_SAMPLES_KEY);
+  })();
+  return legacyMigration;
+}
+
+// Resuelve la lista ordenada por id (ids con la fecha: orden de carga).
+export async function readUserSamples() {
+  if (typeof window === "undefined" || !window.indexedDB) return [];
+  try {
+    await migrateLegacySamples();
+  } catch {
+    // Si la migración falla se reintenta en la próxima sesión.
+    legacyMigration = null;
+  }
+  return withSamplesStore("readonly", (store) => requestToPromise(store.getAll()));
+}
+
+export async function writeUserSample({ id, name, data }) {
+  if (typeof window === "undefined" || !window.indexedDB) throw new Error("Sin almacenamiento de muestras");
+  await withSamplesStore("readwrite", (store) => requestToPromise(store.put({ id, name, data })));
+}
+
+// Pruebas mínimas de síntesis (solo en NODE_ENV=test, lado servidor)
+function runSelfTests() {
+  for (const id of Object.keys(BUILTIN_RECIPES)) {
+    const data = synthesizeVoice(id, 44100);
+    const peak = data.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+    console.assert(data.length > 0, `falló la longitud de la voz ${id}`);
+    console.assert(peak > 0.85 && peak <= 0.9 + 1e-6, `falló la normalización de la voz ${id}`);
+  }
+  console.assert(synthesizeVoice("classic", 44100) === null, "falló la voz sin muestra");
+}
+if (
+  typeof window === "undefined" &&
+  typeof process !== "undefined" &&
+  process?.env?.NODE_ENV === "test"
+) {
+  runSelfTests();
+}
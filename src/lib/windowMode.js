@@ -0,0 +1,14 @@
+/**
+ * Modos de la ventana del panel (solo escritorio). El proceso principal aplica
+ * el modo y recuerda la posición de cada uno (electron/windowState.cjs); el panel
+ * solo pide el cambio y adapta su diseño.
+ */
+
+// Mismo orden y mismos ids que WINDOW_MODES en electron/windowState.cjs.
+export const WINDOW_MODES = ["tray", "pinned", "detached", "mini"];
+
+// Puente del preload con la ventana, o null fuera de la app de escritorio.
+export function getWindowBridge() {
+  const desktop = typeof window !== "undefined" ? window.metronomeDesktop : null;
+  return desktop?.setWindowMode ? desktop : null;
+}
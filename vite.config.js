@@ -1,10 +1,28 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import fs from "node:fs";
 import path from "node:path";
+import { getMissingCountWords } from "./src/lib/count.js";
+
+const COUNT_VOICE_DIR = path.resolve(__dirname, "./src/assets/count-voice");
+
+// La compilación falla si falta alguna palabra del conteo hablado: sin ella, esa parte no suena.
+function countVoicePlugin() {
+  return {
+    name: "count-voice-check",
+    buildStart() {
+      const files = fs.readdirSync(COUNT_VOICE_DIR).filter((file) => /\.(wav|mp3|ogg)$/.test(file));
+      const missing = getMissingCountWords(files);
+      if (missing.length > 0) {
+        this.error(`Faltan muestras del conteo hablado en src/assets/count-voice: ${missing.join(", ")}`);
+      }
+    },
+  };
+}
 
 export default defineConfig({
   base: "./",
-  plugins: [react()],
+  plugins: [react(), countVoicePlugin()],
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),